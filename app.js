@@ -8,7 +8,18 @@ const config = require('./config');
 const logger = require('./utils/logger');
 const { errorHandler, notFound } = require('./middlewares/errorHandler');
 const routes = require('./routes');
-const { restoreSessions } = require('./services/session');
+const metricsRoutes = require('./routes/metricsRoutes');
+const { trackHttpRequests } = require('./middlewares/metrics');
+const { restoreSessions, startSessionWatchdog, destroyAllSessions } = require('./services/session');
+const { startWebhookDispatcher, stopWebhookDispatcher } = require('./services/webhook');
+const { startAckTracking } = require('./services/tracking');
+const { startCampaignScheduler, stopCampaignScheduler } = require('./services/campaign');
+const { startOptOutHandling } = require('./services/suppression');
+const { startMetricsCollection } = require('./services/metrics');
+const { startQueueProcessing, closeAllQueues } = require('./services/queue');
+const { closeCheckQueues } = require('./services/contacts');
+const { closeRedisClient } = require('./config/redis');
+const { closeAllEventStreams } = require('./utils/sse');
 const fileUpload = require('express-fileupload');
 
 
@@ -49,8 +60,12 @@ if (config.app.environment === 'development') {
 	app.use(morgan('combined', { stream: accessLogStream }));
 }
 
+// Request metrics for /metrics
+app.use(trackHttpRequests);
+
 // Mount API routes
 app.use('/api', routes);
+app.use('/metrics', metricsRoutes);
 
 // Handle 404 errors
 app.use(notFound);
@@ -63,5 +78,69 @@ const PORT = config.app.port;
 const server = app.listen(PORT, async () => {
 	logger.info(`Server running in ${config.app.environment} mode on port ${PORT}`);
 	logger.info(`Debug mode: ${config.app.debugMode}`);
-	restoreSessions();
-});
\ No newline at end of file
+	startWebhookDispatcher();
+	startAckTracking();
+	startOptOutHandling();
+	startQueueProcessing();
+	startMetricsCollection();
+	startCampaignScheduler().catch((error) => {
+		logger.error(`Failed to start campaign scheduler: ${error.message}`);
+	});
+	restoreSessions().catch((error) => {
+		logger.error(`Failed to restore sessions: ${error.message}`);
+	});
+	startSessionWatchdog();
+});
+
+/**
+ * Stop accepting connections and wait for in-flight requests,
+ * event streams never end by themselves and are closed right away
+ * @returns {Promise<void>}
+ */
+const closeServer = () => new Promise((resolve) => {
+	const timer = setTimeout(() => server.closeAllConnections(), config.app.shutdownTimeout);
+	server.close(() => {
+		clearTimeout(timer);
+		resolve();
+	});
+	closeAllEventStreams();
+	server.closeIdleConnections();
+});
+
+let shuttingDown = false;
+
+/**
+ * Graceful shutdown: HTTP server, campaign ticks, message queues (waiting for active jobs), contact checks,
+ * WhatsApp clients, webhook deliveries and Redis, in that order
+ * @param {string} signal Received signal
+ */
+const shutdown = async (signal) => {
+	if (shuttingDown) return;
+	shuttingDown = true;
+	logger.info(`${signal} received, shutting down`);
+
+	// Last resort when a step hangs despite its own timeout
+	setTimeout(() => {
+		logger.error('Shutdown did not complete in time, exiting');
+		process.exit(1);
+	}, config.app.shutdownTimeout * 3).unref();
+
+	let exitCode = 0;
+	try {
+		await closeServer();
+		await stopCampaignScheduler();
+		await closeAllQueues();
+		await closeCheckQueues();
+		await destroyAllSessions();
+		await stopWebhookDispatcher();
+		await closeRedisClient();
+		logger.info('Shutdown complete');
+	} catch (error) {
+		logger.error(`Error during shutdown: ${error.message}`);
+		exitCode = 1;
+	}
+	process.exit(exitCode);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
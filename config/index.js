@@ -5,7 +5,8 @@ module.exports = {
 		port: process.env.PORT || 3000,
 		environment: process.env.NODE_ENV || 'development',
 		debugMode: process.env.DEBUG_MODE === 'true',
-		logLevel: process.env.LOG_LEVEL || 'info'
+		logLevel: process.env.LOG_LEVEL || 'info',
+		shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT || '30000'), // wait for active jobs on SIGTERM/SIGINT
 	},
 	redis: {
 		host: process.env.REDIS_HOST || 'localhost',
@@ -14,16 +15,72 @@ module.exports = {
 		db: parseInt(process.env.REDIS_DB || '0')
 	},
 	security: {
-		apiToken: process.env.API_TOKEN || 'default-api-token-please-change'
+		apiToken: process.env.API_TOKEN || 'default-api-token-please-change',
+		metricsToken: process.env.METRICS_TOKEN || null, // bearer token for /metrics, open when empty
+	},
+	health: {
+		timeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT || '5000'), // per dependency check
+		minFreeDiskMb: parseInt(process.env.HEALTH_MIN_FREE_DISK_MB || '500'),
+		requireSession: process.env.HEALTH_REQUIRE_SESSION === 'true', // not ready while no session is ready
 	},
 	whatsapp: {
 		dataPath: process.env.WA_DATA_PATH || './wa-sessions',
 		minMessageDelay: parseInt(process.env.MIN_MESSAGE_DELAY || '2000'),
 		maxMessageDelay: parseInt(process.env.MAX_MESSAGE_DELAY || '5000'),
 		temporaryMediaPath: process.env.TEMP_MEDIA_PATH || './media',
+		restoreConcurrency: parseInt(process.env.WA_RESTORE_CONCURRENCY || '2'), // sessions started in parallel on startup
+		transport: process.env.WA_TRANSPORT || 'whatsapp-web', // or simulator, to run without a phone and Chromium
+		simulator: {
+			login: process.env.WA_SIMULATOR_LOGIN || 'auto', // auto links after showing the QR code, qr waits for a simulated scan
+			delay: parseInt(process.env.WA_SIMULATOR_DELAY || '500'), // between simulated events, milliseconds
+			ack: process.env.WA_SIMULATOR_ACK || 'read', // last acknowledgement of sent messages: none, sent, delivered or read
+			unregistered: (process.env.WA_SIMULATOR_UNREGISTERED || '').split(',').map(number => number.trim()).filter(Boolean), // numbers or prefixes ending with *
+			business: (process.env.WA_SIMULATOR_BUSINESS || '').split(',').map(number => number.trim()).filter(Boolean), // reported as business accounts, same format
+			failureRate: parseFloat(process.env.WA_SIMULATOR_FAILURE_RATE || '0'), // share of sends failing, 0 to 1
+		},
+		reconnect: {
+			baseDelay: parseInt(process.env.WA_RECONNECT_BASE_DELAY || '5000'), // doubled after every failed attempt
+			maxDelay: parseInt(process.env.WA_RECONNECT_MAX_DELAY || '300000'),
+			maxAttempts: parseInt(process.env.WA_RECONNECT_MAX_ATTEMPTS || '0'), // 0 keeps trying
+		},
+		watchdog: {
+			interval: parseInt(process.env.WA_WATCHDOG_INTERVAL || '60000'), // 0 disables the watchdog
+			timeout: parseInt(process.env.WA_WATCHDOG_TIMEOUT || '15000'),
+			failures: parseInt(process.env.WA_WATCHDOG_FAILURES || '2'), // unhealthy checks in a row before a restart
+		},
 	},
 	queue : {
 		retryCount : parseInt(process.env.QUEUE_RETRY_COUNT || '2'),
 		retryDelay : parseInt(process.env.QUEUE_RETRY_DELAY || '3000'),
+	},
+	webhook: {
+		timeout: parseInt(process.env.WEBHOOK_TIMEOUT || '10000'),
+		retryCount: parseInt(process.env.WEBHOOK_RETRY_COUNT || '5'),
+		retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY || '5000'),
+	},
+	tracking: {
+		ttl: parseInt(process.env.TRACKING_TTL || '604800'), // seconds, 7 days
+	},
+	campaign: {
+		defaultTimezone: process.env.CAMPAIGN_TIMEZONE || 'UTC',
+	},
+	import: {
+		maxRows: parseInt(process.env.IMPORT_MAX_ROWS || '10000'),
+		ttl: parseInt(process.env.IMPORT_TTL || '3600'), // seconds an unconfirmed import is kept
+	},
+	phone: {
+		// ISO 3166-1 alpha-2 country for national numbers (e.g. ID), units can override it
+		defaultCountry: (process.env.PHONE_DEFAULT_COUNTRY || '').toUpperCase() || null
+	},
+	contacts: {
+		cacheTtl: parseInt(process.env.CONTACT_CACHE_TTL || '604800'), // seconds a registration check is reused, 7 days
+		rateLimit: parseInt(process.env.CONTACT_CHECK_RATE || '30'), // lookups per minute and unit
+		maxNumbers: parseInt(process.env.CONTACT_CHECK_MAX || '1000'), // numbers per check request
+		waitTimeout: parseInt(process.env.CONTACT_CHECK_WAIT || '20000'), // milliseconds a check request waits for lookups
+	},
+	optOut: {
+		// Inbound messages equal to one of these words (case-insensitive) opt the sender out
+		keywords: (process.env.OPT_OUT_KEYWORDS || 'STOP,BERHENTI,UNSUBSCRIBE').split(',').map(k => k.trim().toUpperCase()).filter(Boolean),
+		confirmation: process.env.OPT_OUT_CONFIRMATION || '' // reply sent after opting out, empty to stay silent
 	}
 };
\ No newline at end of file
@@ -26,6 +26,32 @@ const createRedisClient = () => {
 	return client;
 };
 
+// Shared client for services that keep their own data in Redis
+let sharedClient = null;
+
+/**
+ * Get the shared Redis client, creating it on first use
+ * @returns {Redis} Redis client instance
+ */
+const getRedisClient = () => {
+	if (!sharedClient) {
+		sharedClient = createRedisClient();
+	}
+	return sharedClient;
+};
+
+/**
+ * Close the shared Redis client (for graceful shutdown)
+ * @returns {Promise<void>}
+ */
+const closeRedisClient = async () => {
+	if (!sharedClient) return;
+	await sharedClient.quit();
+	sharedClient = null;
+};
+
 module.exports = {
-  	createRedisClient
+  	createRedisClient,
+	getRedisClient,
+	closeRedisClient
 };
\ No newline at end of file
@@ -0,0 +1,162 @@
+const apiKeyService = require('../services/apiKey');
+const { parseList } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Create an API key
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const createKey = async (req, res, next) => {
+	try {
+		const { name } = req.body;
+		const units = parseList(req.body.units);
+		const permissions = parseList(req.body.permissions);
+
+		if (units.length === 0) {
+			return res.status(400).json({
+				success: false,
+				message: `units must be a non-empty list of unit IDs, or ['${apiKeyService.ALL_UNITS}'] for all units`
+			});
+		}
+
+		const invalidPermissions = permissions.filter(p => !apiKeyService.PERMISSIONS.includes(p));
+		if (permissions.length === 0 || invalidPermissions.length > 0) {
+			return res.status(400).json({
+				success: false,
+				message: `permissions must be a non-empty list of: ${apiKeyService.PERMISSIONS.join(', ')}`,
+				invalidPermissions
+			});
+		}
+
+		logger.info(`Creating API key: ${name}`);
+		const apiKey = await apiKeyService.createKey({ name: name.trim(), units, permissions });
+
+		res.status(201).json({
+			success: true,
+			message: 'API key created successfully, store the token now as it cannot be shown again',
+			data: apiKey
+		});
+	} catch (error) {
+		logger.error(`Error creating API key: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Get all API keys
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getAllKeys = async (req, res, next) => {
+	try {
+		const keys = await apiKeyService.listKeys();
+
+		res.status(200).json({
+			success: true,
+			count: keys.length,
+			data: keys
+		});
+	} catch (error) {
+		logger.error(`Error getting API keys: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Get an API key by ID
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getKey = async (req, res, next) => {
+	try {
+		const { keyId } = req.params;
+		const apiKey = await apiKeyService.getKey(keyId);
+
+		if (!apiKey) {
+			return res.status(404).json({
+				success: false,
+				message: `No API key found with id: ${keyId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: apiKey
+		});
+	} catch (error) {
+		logger.error(`Error getting API key: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Issue a new token for an API key
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const rotateKey = async (req, res, next) => {
+	try {
+		const { keyId } = req.params;
+		logger.info(`Rotating API key ${keyId}`);
+		const apiKey = await apiKeyService.rotateKey(keyId);
+
+		if (!apiKey) {
+			return res.status(404).json({
+				success: false,
+				message: `No active API key found with id: ${keyId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: 'API key rotated successfully, the previous token no longer works',
+			data: apiKey
+		});
+	} catch (error) {
+		logger.error(`Error rotating API key: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Revoke an API key
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const revokeKey = async (req, res, next) => {
+	try {
+		const { keyId } = req.params;
+		logger.info(`Revoking API key ${keyId}`);
+		const apiKey = await apiKeyService.revokeKey(keyId);
+
+		if (!apiKey) {
+			return res.status(404).json({
+				success: false,
+				message: `No API key found with id: ${keyId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: `API key ${keyId} revoked successfully`,
+			data: apiKey
+		});
+	} catch (error) {
+		logger.error(`Error revoking API key: ${error.message}`);
+		next(error);
+	}
+};
+
+module.exports = {
+	createKey,
+	getAllKeys,
+	getKey,
+	rotateKey,
+	revokeKey
+};
@@ -0,0 +1,346 @@
+const campaignService = require('../services/campaign');
+const logger = require('../utils/logger');
+const config = require('../config');
+const unitSettingsService = require('../services/unitSettings');
+const { normalizeRecipient } = require('../utils/helpers');
+const { canAccessUnit } = require('../middlewares/auth');
+
+/**
+ * Validate campaign fields from a request body
+ * @param {Object} body Request body
+ * @param {Object} existing Campaign being updated (optional)
+ * @param {string} defaultCountry Country for national phone numbers (optional)
+ * @returns {Object} { error, invalidNumbers } or { fields } with normalized campaign fields
+ */
+const parseCampaignInput = (body, existing = null, defaultCountry) => {
+	let { unit_id, name, recipients, message, media, document, cron, timezone, debug_mode } = body;
+	const fields = {};
+
+	if (!existing || unit_id !== undefined) {
+		if (!unit_id) return { error: 'unit_id is required' };
+		fields.unitId = unit_id;
+	}
+
+	if (!existing || name !== undefined) {
+		if (!name || typeof name !== 'string') return { error: 'name is required' };
+		fields.name = name.trim();
+	}
+
+	if (!existing || recipients !== undefined) {
+		if (typeof recipients === 'string') {
+			try {
+				recipients = JSON.parse(recipients);
+			} catch (error) {
+				recipients = recipients.split(',').map(r => r.trim());
+			}
+		}
+		const recipientList = Array.isArray(recipients) ? recipients : (recipients ? [recipients] : []);
+		if (recipientList.length === 0) return { error: 'At least one recipient is required' };
+
+		const normalized = recipientList.map(num => normalizeRecipient(num, defaultCountry));
+		const invalidNumbers = normalized
+			.filter(result => !result.valid)
+			.map(({ input, reason, message }) => ({ input, reason, message }));
+		if (invalidNumbers.length > 0) {
+			return { error: 'Invalid phone number(s) found', invalidNumbers };
+		}
+		fields.recipients = normalized.map(result => result.phone);
+	}
+
+	if (!existing || message !== undefined || media !== undefined || document !== undefined) {
+		const current = existing ? existing.message : {};
+		const content = {
+			text: message !== undefined ? message : current.text,
+			media: media !== undefined ? media : current.media,
+			document: document !== undefined ? document : current.document
+		};
+		if (!content.text && !content.media && !content.document) {
+			return { error: 'Message content is required (text, media, or document)' };
+		}
+		// Uploaded files are removed after the first send, so campaigns only take URLs
+		const isUrl = (value) => typeof value === 'string' && /^https?:\/\//.test(value);
+		if ((content.media && !isUrl(content.media)) || (content.document && !isUrl(content.document))) {
+			return { error: 'Campaign media and document must be http(s) URLs' };
+		}
+		fields.message = {
+			text: content.text || '',
+			media: content.media || undefined,
+			document: content.document || undefined
+		};
+	}
+
+	if (!existing || cron !== undefined) {
+		if (!cron || !campaignService.isValidCron(cron)) {
+			return { error: 'cron must be a valid cron expression, e.g. "0 8 * * 1"' };
+		}
+		fields.cron = cron;
+	}
+
+	if (!existing || timezone !== undefined) {
+		const tz = timezone || config.campaign.defaultTimezone;
+		if (!campaignService.isValidTimezone(tz)) {
+			return { error: `Invalid timezone: ${tz}` };
+		}
+		fields.timezone = tz;
+	}
+
+	if (debug_mode !== undefined) {
+		fields.debugMode = debug_mode === true || String(debug_mode).toLowerCase() === 'true';
+	}
+
+	return { fields };
+};
+
+/**
+ * Create a recurring campaign
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const createCampaign = async (req, res, next) => {
+	try {
+		const defaultCountry = await unitSettingsService.getDefaultCountry(req.body.unit_id);
+		const { error, invalidNumbers, fields } = parseCampaignInput(req.body, null, defaultCountry);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+				...(invalidNumbers && { invalidNumbers })
+			});
+		}
+
+		logger.info(`Creating campaign "${fields.name}" for unitId: ${fields.unitId}`);
+		const campaign = await campaignService.createCampaign(fields);
+
+		res.status(201).json({
+			success: true,
+			message: 'Campaign created successfully',
+			data: campaign
+		});
+	} catch (error) {
+		logger.error(`Error creating campaign: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * List campaigns, optionally filtered by unit_id
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getAllCampaigns = async (req, res, next) => {
+	try {
+		const campaigns = (await campaignService.listCampaigns(req.query.unit_id))
+			.filter(campaign => canAccessUnit(req.auth, campaign.unitId));
+
+		res.status(200).json({
+			success: true,
+			count: campaigns.length,
+			data: campaigns
+		});
+	} catch (error) {
+		logger.error(`Error getting campaigns: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Get a campaign by ID
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getCampaign = async (req, res, next) => {
+	try {
+		const { campaignId } = req.params;
+		const campaign = await campaignService.getCampaign(campaignId);
+
+		if (!campaign) {
+			return res.status(404).json({
+				success: false,
+				message: `No campaign found with id: ${campaignId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: campaign
+		});
+	} catch (error) {
+		logger.error(`Error getting campaign: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Update a campaign
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const updateCampaign = async (req, res, next) => {
+	try {
+		const { campaignId } = req.params;
+		const existing = await campaignService.getCampaign(campaignId);
+
+		if (!existing) {
+			return res.status(404).json({
+				success: false,
+				message: `No campaign found with id: ${campaignId}`
+			});
+		}
+
+		const defaultCountry = await unitSettingsService.getDefaultCountry(req.body.unit_id || existing.unitId);
+		const { error, invalidNumbers, fields } = parseCampaignInput(req.body, existing, defaultCountry);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error,
+				...(invalidNumbers && { invalidNumbers })
+			});
+		}
+
+		logger.info(`Updating campaign ${campaignId}`);
+		const campaign = await campaignService.updateCampaign(campaignId, fields);
+
+		res.status(200).json({
+			success: true,
+			message: 'Campaign updated successfully',
+			data: campaign
+		});
+	} catch (error) {
+		logger.error(`Error updating campaign: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Delete a campaign
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const deleteCampaign = async (req, res, next) => {
+	try {
+		const { campaignId } = req.params;
+		logger.info(`Deleting campaign ${campaignId}`);
+		const removed = await campaignService.deleteCampaign(campaignId);
+
+		if (!removed) {
+			return res.status(404).json({
+				success: false,
+				message: `No campaign found with id: ${campaignId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: `Campaign ${campaignId} deleted successfully`
+		});
+	} catch (error) {
+		logger.error(`Error deleting campaign: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Pause a campaign
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const pauseCampaign = async (req, res, next) => {
+	try {
+		const { campaignId } = req.params;
+		const campaign = await campaignService.pauseCampaign(campaignId);
+
+		if (!campaign) {
+			return res.status(404).json({
+				success: false,
+				message: `No campaign found with id: ${campaignId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: `Campaign ${campaignId} paused`,
+			data: campaign
+		});
+	} catch (error) {
+		logger.error(`Error pausing campaign: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Resume a paused campaign
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const resumeCampaign = async (req, res, next) => {
+	try {
+		const { campaignId } = req.params;
+		const campaign = await campaignService.resumeCampaign(campaignId);
+
+		if (!campaign) {
+			return res.status(404).json({
+				success: false,
+				message: `No campaign found with id: ${campaignId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: `Campaign ${campaignId} resumed`,
+			data: campaign
+		});
+	} catch (error) {
+		logger.error(`Error resuming campaign: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Get run history of a campaign
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getCampaignRuns = async (req, res, next) => {
+	try {
+		const { campaignId } = req.params;
+		const campaign = await campaignService.getCampaign(campaignId);
+
+		if (!campaign) {
+			return res.status(404).json({
+				success: false,
+				message: `No campaign found with id: ${campaignId}`
+			});
+		}
+
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+		const runs = await campaignService.getCampaignRuns(campaignId, limit);
+
+		res.status(200).json({
+			success: true,
+			count: runs.length,
+			data: runs
+		});
+	} catch (error) {
+		logger.error(`Error getting campaign runs: ${error.message}`);
+		next(error);
+	}
+};
+
+module.exports = {
+	createCampaign,
+	getAllCampaigns,
+	getCampaign,
+	updateCampaign,
+	deleteCampaign,
+	pauseCampaign,
+	resumeCampaign,
+	getCampaignRuns
+};
@@ -0,0 +1,105 @@
+const chatService = require('../services/chat');
+const logger = require('../utils/logger');
+
+/**
+ * List the chats of a unit with their unread count and last message (?page=&limit=&unread=&archived=)
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const listChats = async (req, res, next) => {
+	try {
+		const { unitId } = req.params;
+		const page = Math.max(parseInt(req.query.page) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+		const result = await chatService.listChats(unitId, {
+			page,
+			limit,
+			unread: req.query.unread === true || req.query.unread === 'true',
+			archived: req.query.archived === true || req.query.archived === 'true'
+		});
+
+		res.status(200).json({
+			success: true,
+			data: result
+		});
+	} catch (error) {
+		logger.error(`Error listing chats: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Get a page of the messages of a chat, newest first (?page=&limit=)
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getMessages = async (req, res, next) => {
+	try {
+		const { unitId, chatId } = req.params;
+		const page = Math.max(parseInt(req.query.page) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+		const result = await chatService.getMessages(unitId, chatId, { page, limit });
+
+		res.status(200).json({
+			success: true,
+			data: result
+		});
+	} catch (error) {
+		logger.error(`Error getting chat messages: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Download the media attached to a message
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getMessageMedia = async (req, res, next) => {
+	try {
+		const { unitId, chatId, messageId } = req.params;
+		const media = await chatService.getMessageMedia(unitId, chatId, messageId);
+
+		// Always an attachment, the content type comes from the sender and must not render on this origin
+		res.setHeader('Content-Type', media.mimetype);
+		res.setHeader('Content-Disposition', media.filename
+			? `attachment; filename="${media.filename.replace(/["\\\r\n]/g, '_')}"`
+			: 'attachment');
+		res.send(media.data);
+	} catch (error) {
+		logger.error(`Error downloading message media: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Mark the messages of a chat as read
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const markChatRead = async (req, res, next) => {
+	try {
+		const { unitId, chatId } = req.params;
+		const result = await chatService.markChatRead(unitId, chatId);
+
+		res.status(200).json({
+			success: true,
+			message: `Chat ${result.chatId} marked as read`,
+			data: result
+		});
+	} catch (error) {
+		logger.error(`Error marking chat as read: ${error.message}`);
+		next(error);
+	}
+};
+
+module.exports = {
+	listChats,
+	getMessages,
+	getMessageMedia,
+	markChatRead
+};
@@ -0,0 +1,46 @@
+const contactService = require('../services/contacts');
+const { parseList } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Check which numbers are on WhatsApp for a unit, answering 202 while some are still being checked
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const checkContacts = async (req, res, next) => {
+	try {
+		const { unit_id, refresh } = req.body;
+		const numbers = parseList(req.body.numbers);
+
+		if (numbers.length === 0) {
+			return res.status(400).json({
+				success: false,
+				message: 'numbers must be a non-empty list of phone numbers'
+			});
+		}
+
+		const result = await contactService.checkContacts(unit_id, numbers, { refresh: Boolean(refresh) });
+		const registered = result.contacts.filter(contact => contact.registered).length;
+
+		res.status(result.pending.length > 0 ? 202 : 200).json({
+			success: true,
+			message: result.pending.length > 0
+				? `${result.contacts.length} number(s) checked, ${result.pending.length} still being checked`
+				: `${result.contacts.length} number(s) checked, ${registered} on WhatsApp`,
+			data: {
+				unitId: unit_id,
+				registered,
+				notRegistered: result.contacts.length - registered,
+				...result
+			}
+		});
+	} catch (error) {
+		logger.error(`Error checking contacts: ${error.message}`);
+		next(error);
+	}
+};
+
+module.exports = {
+	checkContacts
+};
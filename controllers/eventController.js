@@ -0,0 +1,54 @@
+const { subscribe } = require('../services/events');
+const { canAccessUnit } = require('../middlewares/auth');
+const { openEventStream } = require('../utils/sse');
+const { parseList } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Events available on the stream, message contents are only forwarded to webhooks
+const STREAM_EVENTS = ['session_status', 'job_status'];
+
+/**
+ * Stream session and job events as Server-Sent Events
+ * (?unit_id=a,b&events=session_status,job_status&batch_id=)
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const streamEvents = (req, res, next) => {
+	try {
+		const unitIds = parseList(req.query.unit_id);
+		const events = parseList(req.query.events);
+		const { batch_id } = req.query;
+
+		const unknown = events.filter(event => !STREAM_EVENTS.includes(event));
+		if (unknown.length > 0) {
+			return res.status(400).json({
+				success: false,
+				message: `Unknown event(s): ${unknown.join(', ')}. Available: ${STREAM_EVENTS.join(', ')}`
+			});
+		}
+
+		logger.info(`Streaming events for ${unitIds.length > 0 ? `unitId(s) ${unitIds.join(', ')}` : 'all accessible units'}`);
+
+		let unsubscribe = null;
+		const stream = openEventStream(req, res, () => unsubscribe && unsubscribe());
+		stream.send('connected', { unitIds, events, batchId: batch_id || null });
+
+		unsubscribe = subscribe((payload) => {
+			const { unitId, event, data } = payload;
+			if (unitIds.length > 0 ? !unitIds.includes(unitId) : !canAccessUnit(req.auth, unitId)) return;
+			if (!(events.length > 0 ? events : STREAM_EVENTS).includes(event)) return;
+			// A batch filter only keeps the events of its jobs
+			if (batch_id && data.batchId !== batch_id) return;
+
+			stream.send(event, payload);
+		});
+	} catch (error) {
+		logger.error(`Error streaming events: ${error.message}`);
+		next(error);
+	}
+};
+
+module.exports = {
+	streamEvents
+};
@@ -0,0 +1,217 @@
+const groupService = require('../services/group');
+const unitSettingsService = require('../services/unitSettings');
+const { normalizePhoneNumber, parseList } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Normalize participant phone numbers, national numbers use the unit's default country
+ * @param {string} unitId Unique identifier for the session
+ * @param {Array|string} participants Participant phone numbers
+ * @returns {Promise<Object>} { phones, invalidNumbers }
+ */
+const parseParticipants = async (unitId, participants) => {
+	const defaultCountry = await unitSettingsService.getDefaultCountry(unitId);
+	const phones = [];
+	const invalidNumbers = [];
+	parseList(participants).forEach((participant) => {
+		const normalized = normalizePhoneNumber(participant, defaultCountry);
+		if (!normalized.valid) {
+			invalidNumbers.push({ input: normalized.input, reason: normalized.reason, message: normalized.message });
+		} else if (!phones.includes(normalized.phone)) {
+			phones.push(normalized.phone);
+		}
+	});
+	return { phones, invalidNumbers };
+};
+
+/**
+ * List the groups of a unit's WhatsApp number
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const listGroups = async (req, res, next) => {
+	try {
+		const groups = await groupService.listGroups(req.params.unitId);
+
+		res.status(200).json({
+			success: true,
+			data: groups
+		});
+	} catch (error) {
+		logger.error(`Error listing groups: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Get a group with its participants
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getGroup = async (req, res, next) => {
+	try {
+		const { unitId, groupId } = req.params;
+		const group = await groupService.getGroup(unitId, groupId);
+
+		res.status(200).json({
+			success: true,
+			data: group
+		});
+	} catch (error) {
+		logger.error(`Error getting group: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Create a group with the unit's WhatsApp number as admin
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const createGroup = async (req, res, next) => {
+	try {
+		const { unitId } = req.params;
+		const { phones, invalidNumbers } = await parseParticipants(unitId, req.body.participants);
+
+		if (invalidNumbers.length > 0) {
+			return res.status(400).json({
+				success: false,
+				message: 'Invalid phone number(s) found',
+				invalidNumbers
+			});
+		}
+
+		const group = await groupService.createGroup(unitId, req.body.name.trim(), phones);
+
+		res.status(201).json({
+			success: true,
+			message: 'Group created successfully',
+			data: group
+		});
+	} catch (error) {
+		logger.error(`Error creating group: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Change the subject and/or description of a group
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const updateGroup = async (req, res, next) => {
+	try {
+		const { unitId, groupId } = req.params;
+		const { subject, description } = req.body;
+
+		if (subject === undefined && description === undefined) {
+			return res.status(400).json({
+				success: false,
+				message: 'At least one of subject or description is required'
+			});
+		}
+
+		const group = await groupService.updateGroup(unitId, groupId, { subject, description });
+
+		res.status(200).json({
+			success: true,
+			message: 'Group updated successfully',
+			data: group
+		});
+	} catch (error) {
+		logger.error(`Error updating group: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Add, remove, promote or demote participants of a group
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const updateParticipants = async (req, res, next) => {
+	try {
+		const { unitId, groupId, action } = req.params;
+		const { phones, invalidNumbers } = await parseParticipants(unitId, req.body.participants);
+
+		if (invalidNumbers.length > 0 || phones.length === 0) {
+			return res.status(400).json({
+				success: false,
+				message: phones.length === 0 && invalidNumbers.length === 0
+					? 'participants must be a non-empty list of phone numbers'
+					: 'Invalid phone number(s) found',
+				invalidNumbers
+			});
+		}
+
+		const result = await groupService.updateParticipants(unitId, groupId, action, phones);
+		const succeeded = result.results.filter(entry => entry.success).length;
+
+		res.status(200).json({
+			success: true,
+			message: `${action}: ${succeeded} of ${phones.length} participant(s) updated`,
+			data: result
+		});
+	} catch (error) {
+		logger.error(`Error updating group participants: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Get the invite link of a group
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getInviteLink = async (req, res, next) => {
+	try {
+		const { unitId, groupId } = req.params;
+		const invite = await groupService.getInviteLink(unitId, groupId);
+
+		res.status(200).json({
+			success: true,
+			data: invite
+		});
+	} catch (error) {
+		logger.error(`Error getting group invite link: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Replace the invite link of a group, the previous link stops working
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const revokeInviteLink = async (req, res, next) => {
+	try {
+		const { unitId, groupId } = req.params;
+		const invite = await groupService.getInviteLink(unitId, groupId, true);
+
+		res.status(200).json({
+			success: true,
+			message: 'Invite link revoked, the new link is returned',
+			data: invite
+		});
+	} catch (error) {
+		logger.error(`Error revoking group invite link: ${error.message}`);
+		next(error);
+	}
+};
+
+module.exports = {
+	listGroups,
+	getGroup,
+	createGroup,
+	updateGroup,
+	updateParticipants,
+	getInviteLink,
+	revokeInviteLink
+};
@@ -0,0 +1,81 @@
+const healthService = require('../services/health');
+const logger = require('../utils/logger');
+
+/**
+ * Health check
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ */
+const getHealth = (req, res) => {
+	res.status(200).json({
+		status: 'ok',
+		service: 'whatsapp-bulk-sender',
+		timestamp: new Date().toISOString()
+	});
+};
+
+/**
+ * Liveness probe
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ */
+const getLiveness = (req, res) => {
+	res.status(200).json(healthService.getLiveness());
+};
+
+/**
+ * Check readiness and answer 503 when a required component is down
+ * @param {Object} res Express response object
+ * @param {boolean} detailed Include unit IDs, session states, errors and paths of the components
+ * @returns {Promise<void>}
+ */
+const respondReadiness = async (res, detailed) => {
+	const readiness = await healthService.getReadiness();
+	if (readiness.status === 'down') {
+		const down = Object.keys(readiness.components).filter(name => readiness.components[name].status === 'down');
+		logger.warn(`Readiness check failed: ${down.join(', ')} down`);
+	}
+
+	const components = {};
+	Object.entries(readiness.components).forEach(([name, component]) => {
+		components[name] = detailed ? component : { status: component.status };
+	});
+	res.status(readiness.status === 'down' ? 503 : 200).json({ ...readiness, components });
+};
+
+/**
+ * Readiness probe, only the status of each component as it needs no authentication
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getReadiness = async (req, res, next) => {
+	try {
+		await respondReadiness(res, false);
+	} catch (error) {
+		logger.error(`Error checking readiness: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Readiness report with the details of every component
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getReadinessDetails = async (req, res, next) => {
+	try {
+		await respondReadiness(res, true);
+	} catch (error) {
+		logger.error(`Error checking readiness: ${error.message}`);
+		next(error);
+	}
+};
+
+module.exports = {
+	getHealth,
+	getLiveness,
+	getReadiness,
+	getReadinessDetails
+};
@@ -1,11 +1,221 @@
 const queueService = require('../services/queue');
+const trackingService = require('../services/tracking');
+const batchService = require('../services/batch');
+const templateService = require('../services/template');
+const importService = require('../services/import');
 const sessionService = require('../services/session');
 const logger = require('../utils/logger');
 const config = require('../config');
-const { validatePhoneNumber } = require('../utils/helpers');
+const unitSettingsService = require('../services/unitSettings');
+const { normalizeRecipient, normalizePhoneNumber, parseTimestampWithTimezone } = require('../utils/helpers');
+const { canAccessUnit } = require('../middlewares/auth');
 const crypto = require('crypto');
 const path = require('path');
 
+/**
+ * Move an uploaded file to the temporary media directory
+ * @param {Object} file express-fileupload file
+ * @returns {Promise<Object>} Media descriptor ({ path, mimetype, filename })
+ */
+const storeUploadedFile = async (file) => {
+	const tempFileName = `${crypto.randomBytes(16).toString('hex')}-${path.extname(file.name)}`;
+	const tempFilePath = path.join(config.whatsapp.temporaryMediaPath, tempFileName);
+	await file.mv(tempFilePath);
+
+	return {
+		path: tempFilePath,
+		mimetype: file.mimetype,
+		filename: file.name
+	};
+};
+
+/**
+ * Parse the optional send_at field
+ * @param {string} send_at ISO 8601 timestamp with timezone
+ * @returns {Object} { sendAt } or { error }
+ */
+const parseSendAt = (send_at) => {
+	if (!send_at) return { sendAt: null };
+
+	const sendAt = parseTimestampWithTimezone(send_at);
+	if (!sendAt) {
+		return { error: 'send_at must be an ISO 8601 timestamp with timezone, e.g. 2024-05-01T08:00:00+07:00' };
+	}
+	if (sendAt.getTime() <= Date.now()) {
+		return { error: 'send_at must be in the future' };
+	}
+	return { sendAt };
+};
+
+/**
+ * Parse the optional sticker, voice note, location, contact card and poll fields
+ * @param {Object} fields { sticker, voice, location, contact, poll, view_once, media }
+ * @param {string} defaultCountry Country for a national contact card number (optional)
+ * @returns {Object} { content } with the message content fields, or { error }
+ */
+const parseRichContent = ({ sticker, voice, location, contact, poll, view_once, media }, defaultCountry) => {
+	if (view_once && !media) {
+		return { error: 'view_once requires media' };
+	}
+
+	let contactCard;
+	if (contact) {
+		const normalized = normalizePhoneNumber(contact.phone, defaultCountry);
+		if (!normalized.valid) {
+			return { error: `Invalid contact phone number: ${normalized.input} (${normalized.message})` };
+		}
+		contactCard = { ...contact, phone: normalized.phone };
+	}
+
+	return {
+		content: {
+			sticker,
+			voice,
+			location,
+			contact: contactCard,
+			poll: poll ? { question: poll.question, options: poll.options, allowMultiple: poll.allow_multiple === true } : undefined,
+			viewOnce: view_once === true
+		}
+	};
+};
+
+/**
+ * Find recipients lacking a value for a placeholder of the message
+ * @param {string} message Message text
+ * @param {Array<Object>} recipientList Recipients as { phone, variables }
+ * @returns {Array<Object>} Recipients with missing variables ({ recipient, missing })
+ */
+const findMissingTemplateVariables = (message, recipientList) => {
+	return recipientList
+		.map(recipient => ({
+			recipient: recipient.phone,
+			missing: templateService.findMissingVariables(message, recipient.variables)
+		}))
+		.filter(recipient => recipient.missing.length > 0);
+};
+
+/**
+ * Answer a request rejected by prepareMessage or checkTemplateVariables
+ * @param {Object} res Express response object
+ * @param {Object} error { status, message } and further details of the rejection
+ */
+const sendRejection = (res, { status, ...body }) => {
+	res.status(status).json({
+		success: false,
+		...body
+	});
+};
+
+/**
+ * Validate the message fields shared by /send and import confirmation (uploads, template,
+ * content, schedule, session and rich content) and build the message to queue
+ * @param {Object} req Express request object
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Promise<Object>} { content, sharedVariables, defaultCountry, sendAt, debugMode }, or { error } to answer with
+ */
+const prepareMessage = async (req, unitId) => {
+	let { message, media, document, sticker, voice, location, contact, poll, view_once, debug_mode, send_at, template_id, variables } = req.body;
+	const reject = (status, reason) => ({ error: { status, message: reason } });
+
+	// Uploads from form-data replace the URL fields
+	if (req.files && req.files.media) {
+		media = await storeUploadedFile(req.files.media);
+	}
+	if (req.files && req.files.document) {
+		document = await storeUploadedFile(req.files.document);
+	}
+	if (req.files && req.files.sticker) {
+		sticker = await storeUploadedFile(req.files.sticker);
+	}
+	if (req.files && req.files.voice) {
+		voice = await storeUploadedFile(req.files.voice);
+	}
+
+	// Convert debugMode to boolean if it's string
+	if (typeof debug_mode === 'string') {
+		debug_mode = debug_mode.toLowerCase() === 'true';
+	}
+
+	// Shared template variables may arrive as JSON string from form-data
+	if (typeof variables === 'string') {
+		try {
+			variables = JSON.parse(variables);
+		} catch (error) {
+			return reject(400, 'variables must be a JSON object');
+		}
+	}
+	const sharedVariables = variables && typeof variables === 'object' ? variables : {};
+
+	// Use a stored template as message text
+	if (template_id) {
+		const template = await templateService.getTemplate(template_id);
+		if (!template) {
+			return reject(404, `No template found with id: ${template_id}`);
+		}
+		message = template.body;
+	}
+
+	// Uploads may stand in for the text
+	if (!message && !media && !document && !sticker && !voice && !location && !contact && !poll) {
+		return reject(400, 'Message content is required (text, media, document, sticker, voice, location, contact or poll)');
+	}
+
+	// Validate optional schedule
+	const { sendAt, error: sendAtError } = parseSendAt(send_at);
+	if (sendAtError) {
+		return reject(400, sendAtError);
+	}
+
+	// Check if session exists and is ready
+	if (!sessionService.isSessionReady(unitId)) {
+		return reject(400, `WhatsApp session for unit_id ${unitId} is not ready`);
+	}
+
+	// Contact card numbers are normalized like recipients
+	const defaultCountry = await unitSettingsService.getDefaultCountry(unitId);
+	const { content: richContent, error: richContentError } = parseRichContent({ sticker, voice, location, contact, poll, view_once, media }, defaultCountry);
+	if (richContentError) {
+		return reject(400, richContentError);
+	}
+
+	return {
+		content: {
+			text: message || '',
+			media,
+			document,
+			...richContent
+		},
+		sharedVariables,
+		defaultCountry,
+		sendAt,
+		debugMode: (debug_mode === true) || (debug_mode === undefined && config.app.debugMode === true)
+	};
+};
+
+/**
+ * Check that every recipient of a templated message has a value for each placeholder
+ * @param {string} text Message text
+ * @param {Array<Object>} recipientList Recipients as { phone, variables }
+ * @returns {Object} { recipients } to queue, with their variables only when the text is templated, or { error }
+ */
+const checkTemplateVariables = (text, recipientList) => {
+	if (templateService.extractPlaceholders(text).length === 0) {
+		return { recipients: recipientList.map(recipient => recipient.phone) };
+	}
+
+	const missingVariables = findMissingTemplateVariables(text, recipientList);
+	if (missingVariables.length > 0) {
+		return {
+			error: {
+				status: 400,
+				message: 'Missing template variable(s) for some recipients',
+				missingVariables
+			}
+		};
+	}
+	return { recipients: recipientList };
+};
+
 /**
  * Send message to one or multiple recipients
  * @param {Object} req Express request object
@@ -14,7 +224,7 @@ const path = require('path');
  */
 const sendMessage = async (req, res, next) => {
 	try {
-		let { unit_id, recipients, message, media, document, debug_mode } = req.body;
+		let { unit_id, recipients } = req.body;
 
 		// sesuaikan format penerima
 		if(typeof recipients === 'string') {
@@ -25,72 +235,30 @@ const sendMessage = async (req, res, next) => {
 			}
 		}
 
-		// Handle media from form-data
-		if (req.files && req.files.media) {
-			const mediaFile = req.files.media;
-			const tempFileName = `${crypto.randomBytes(16).toString('hex')}-${path.extname(mediaFile.name)}`;
-			const tempFilePath = path.join(config.whatsapp.temporaryMediaPath, tempFileName);
-			await mediaFile.mv(tempFilePath);
-
-			media = {
-				path: tempFilePath,
-				mimetype: mediaFile.mimetype,
-				filename: mediaFile.name
-			};
-		}
-
-		// Handle document from form-data
-		if (req.files && req.files.document) {
-			const docFile = req.files.document;
-			const tempFileName = `${crypto.randomBytes(16).toString('hex')}-${path.extname(docFile.name)}`;
-			const tempFilePath = path.join(config.whatsapp.temporaryMediaPath, tempFileName);
-			await docFile.mv(tempFilePath);
-
-			document = {
-				path: tempFilePath,
-				mimetype: docFile.mimetype,
-				filename: docFile.name
-			};
-		}
-
-		// Convert debugMode to boolean if it's string
-		if (typeof debug_mode === 'string') {
-			debug_mode = debug_mode.toLowerCase() === 'true';
-		}
-		
-		// Validate request body
-		if (!unit_id) {
-			return res.status(400).json({
-				success: false,
-				message: 'unit_id is required'
-			});
-		}
-		
-		if (!recipients || (Array.isArray(recipients) && recipients.length === 0)) {
-			return res.status(400).json({
-				success: false,
-				message: 'At least one recipient is required'
-			});
-		}
-		
-		if (!message || (!message && !media && !document)) {
-			return res.status(400).json({
-				success: false,
-				message: 'Message content is required (text, media, or document)'
-			});
+		// unit_id and recipients are checked by the route schema
+		const prepared = await prepareMessage(req, unit_id);
+		if (prepared.error) {
+			return sendRejection(res, prepared.error);
 		}
+		const { content, sharedVariables, defaultCountry, sendAt, debugMode } = prepared;
 		
-		// Check if session exists and is ready
-		if (!sessionService.isSessionReady(unit_id)) {
-			return res.status(400).json({
-				success: false,
-				message: `WhatsApp session for unit_id ${unit_id} is not ready`
-			});
-		}
-		
-		// Validate phone numbers
-		const recipientList = Array.isArray(recipients) ? recipients : [recipients];
-		const invalidNumbers = recipientList.filter(num => !validatePhoneNumber(num));
+		// Recipients are phone numbers or { phone, variables } objects
+		const recipientList = (Array.isArray(recipients) ? recipients : [recipients]).map(entry => (
+			entry && typeof entry === 'object'
+				? { phone: entry.phone, variables: { ...sharedVariables, ...(entry.variables || {}) } }
+				: { phone: entry, variables: sharedVariables }
+		));
+
+		// Normalize phone numbers to E.164, national numbers use the unit's default country, group IDs are kept
+		const invalidNumbers = [];
+		recipientList.forEach((recipient) => {
+			const normalized = normalizeRecipient(recipient.phone, defaultCountry);
+			if (normalized.valid) {
+				recipient.phone = normalized.phone;
+			} else {
+				invalidNumbers.push({ input: normalized.input, reason: normalized.reason, message: normalized.message });
+			}
+		});
 		
 		if (invalidNumbers.length > 0) {
 			return res.status(400).json({
@@ -99,27 +267,21 @@ const sendMessage = async (req, res, next) => {
 				invalidNumbers
 			});
 		}
+
+		// Templated messages need a value for every placeholder, for every recipient
+		const checked = checkTemplateVariables(content.text, recipientList);
+		if (checked.error) {
+			return sendRejection(res, checked.error);
+		}
 		
-		// Determine debug mode
-		const useDebugMode = (debug_mode === true) ||  (debug_mode === undefined && config.app.debugMode === true);
-		
-		logger.info(`Queuing message from unit_id ${unit_id} to ${recipientList.length} recipient(s)`);
+		logger.info(`Queuing message from unit_id ${unit_id} to ${recipientList.length} recipient(s)${sendAt ? ` scheduled at ${sendAt.toISOString()}` : ''}`);
 		
 		// Queue message
-		const result = await queueService.queueMessage(
-			unit_id,
-			recipientList,
-			{
-				text : message,
-				media: media,
-				document: document
-			},
-			useDebugMode
-		);
+		const result = await queueService.queueMessage(unit_id, checked.recipients, content, debugMode, { sendAt });
 		
 		res.status(202).json({
 			success: true,
-			message: 'Message queued successfully',
+			message: sendAt ? 'Message scheduled successfully' : 'Message queued successfully',
 			data: result
 		});
 	} catch (error) {
@@ -136,12 +298,12 @@ const sendMessage = async (req, res, next) => {
  */
 const getQueueStats = async (req, res, next) => {
 	try {
-		const { unit_id } = req.params;
-		if (unit_id) {
+		const { unitId } = req.params;
+		if (unitId) {
 			// Get stats for specific unitId
-			logger.info(`Getting queue statistics for unitId: ${unit_id}`);			
+			logger.info(`Getting queue statistics for unitId: ${unitId}`);			
 			try {
-				const stats = await queueService.getQueueStats(unit_id);				
+				const stats = await queueService.getQueueStats(unitId);				
 				res.status(200).json({
 					success: true,
 					data: stats
@@ -149,13 +311,14 @@ const getQueueStats = async (req, res, next) => {
 			} catch (error) {
 				return res.status(404).json({
 					success: false,
-					message: `No queue found for unitId: ${unit_id}`
+					message: `No queue found for unitId: ${unitId}`
 				});
 			}
 		} else {
 			// Get stats for all queues
 			logger.info('Getting queue statistics for all units');
-			const stats = await queueService.getAllQueuesStats();			
+			const stats = (await queueService.getAllQueuesStats())
+				.filter(queueStats => canAccessUnit(req.auth, queueStats.unitId));
 			res.status(200).json({
 				success: true,
 				count: stats.length,
@@ -176,24 +339,18 @@ const getQueueStats = async (req, res, next) => {
  */
 const clearQueue = async (req, res, next) => {
 	try {
-		const { unit_id } = req.params;		
-		if (!unit_id) {
-			return res.status(400).json({
-				success: false,
-				message: 'unitId is required'
-			});
-		}		
-		logger.info(`Clearing queue for unitId: ${unit_id}`);
+		const { unitId } = req.params;
+		logger.info(`Clearing queue for unitId: ${unitId}`);
 		try {
-			const result = await queueService.clearQueue(unit_id);
+			const result = await queueService.clearQueue(unitId);
 			res.status(200).json({
 				success: true,
-				message: `Cleared ${result.removedCount} jobs from queue for unitId ${unit_id}`
+				message: `Cleared ${result.removedCount} jobs from queue for unitId ${unitId}`
 			});
 		} catch (error) {
 			return res.status(404).json({
 				success: false,
-				message: `No queue found for unitId: ${unit_id}`
+				message: `No queue found for unitId: ${unitId}`
 			});
 		}
 	} catch (error) {
@@ -202,8 +359,546 @@ const clearQueue = async (req, res, next) => {
 	}
 };
 
+/**
+ * Get delivery status of a queued job
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getJobStatus = async (req, res, next) => {
+	try {
+		const { jobId } = req.params;
+		const status = await trackingService.getJobStatus(jobId);
+
+		if (!status) {
+			return res.status(404).json({
+				success: false,
+				message: `No delivery status found for job: ${jobId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: status
+		});
+	} catch (error) {
+		logger.error(`Error getting job status: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Get delivery summary for a list of jobs
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getJobsStatusSummary = async (req, res, next) => {
+	try {
+		let { job_ids } = req.body;
+
+		if (typeof job_ids === 'string') {
+			job_ids = job_ids.split(',').map(id => id.trim()).filter(Boolean);
+		}
+
+		// Jobs of units outside the API key scope are reported as unknown
+		const result = await trackingService.getStatusSummary(job_ids, record => canAccessUnit(req.auth, record.unitId));
+
+		res.status(200).json({
+			success: true,
+			data: result
+		});
+	} catch (error) {
+		logger.error(`Error getting jobs status summary: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Get a single job of a unit queue
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getJob = async (req, res, next) => {
+	try {
+		const { unitId, jobId } = req.params;
+		const job = await queueService.getJob(unitId, jobId);
+
+		res.status(200).json({
+			success: true,
+			data: job
+		});
+	} catch (error) {
+		logger.error(`Error getting job: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * List jobs of a unit queue by state with pagination
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const listJobs = async (req, res, next) => {
+	try {
+		const { unitId } = req.params;
+		const state = req.query.state || 'failed';
+		const page = Math.max(parseInt(req.query.page) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+		logger.info(`Listing ${state} jobs for unitId: ${unitId}`);
+		const result = await queueService.listJobs(unitId, state, page, limit);
+
+		res.status(200).json({
+			success: true,
+			data: result
+		});
+	} catch (error) {
+		logger.error(`Error listing jobs: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Retry a single failed job
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const retryJob = async (req, res, next) => {
+	try {
+		const { unitId, jobId } = req.params;
+		const job = await queueService.retryJob(unitId, jobId);
+
+		res.status(200).json({
+			success: true,
+			message: `Job ${jobId} queued for retry`,
+			data: job
+		});
+	} catch (error) {
+		logger.error(`Error retrying job: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Retry all failed jobs of a unit queue
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const retryFailedJobs = async (req, res, next) => {
+	try {
+		const { unitId } = req.params;
+		logger.info(`Retrying failed jobs for unitId: ${unitId}`);
+		const result = await queueService.retryFailedJobs(unitId);
+
+		res.status(200).json({
+			success: true,
+			message: `Retried ${result.retriedCount} failed jobs for unitId ${unitId}`,
+			data: result
+		});
+	} catch (error) {
+		logger.error(`Error retrying failed jobs: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Remove a single job from a unit queue
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const removeJob = async (req, res, next) => {
+	try {
+		const { unitId, jobId } = req.params;
+		const result = await queueService.removeJob(unitId, jobId);
+
+		res.status(200).json({
+			success: true,
+			message: `Job ${jobId} removed from queue for unitId ${unitId}`,
+			data: result
+		});
+	} catch (error) {
+		logger.error(`Error removing job: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * List upcoming scheduled messages of a unit
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const listScheduled = async (req, res, next) => {
+	try {
+		const { unitId } = req.params;
+		logger.info(`Listing scheduled messages for unitId: ${unitId}`);
+		const result = await queueService.listScheduled(unitId);
+
+		res.status(200).json({
+			success: true,
+			data: result
+		});
+	} catch (error) {
+		logger.error(`Error listing scheduled messages: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Reschedule a scheduled message
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const rescheduleMessage = async (req, res, next) => {
+	try {
+		const { unitId, jobId } = req.params;
+		const { sendAt, error: sendAtError } = parseSendAt(req.body.send_at);
+
+		if (sendAtError || !sendAt) {
+			return res.status(400).json({
+				success: false,
+				message: sendAtError || 'send_at is required'
+			});
+		}
+
+		const job = await queueService.rescheduleJob(unitId, jobId, sendAt);
+
+		res.status(200).json({
+			success: true,
+			message: `Job ${jobId} rescheduled to ${sendAt.toISOString()}`,
+			data: job
+		});
+	} catch (error) {
+		logger.error(`Error rescheduling message: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Cancel a scheduled message
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const cancelScheduled = async (req, res, next) => {
+	try {
+		const { unitId, jobId } = req.params;
+		const result = await queueService.cancelScheduled(unitId, jobId);
+
+		res.status(200).json({
+			success: true,
+			message: `Scheduled job ${jobId} cancelled`,
+			data: result
+		});
+	} catch (error) {
+		logger.error(`Error cancelling scheduled message: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * List batches of a unit
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const listBatches = async (req, res, next) => {
+	try {
+		const { unit_id } = req.query;
+		const page = Math.max(parseInt(req.query.page) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+		const result = await batchService.listBatches(unit_id, page, limit);
+
+		res.status(200).json({
+			success: true,
+			data: result
+		});
+	} catch (error) {
+		logger.error(`Error listing batches: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Get progress of a batch
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getBatch = async (req, res, next) => {
+	try {
+		const { batchId } = req.params;
+		const batch = await batchService.getBatchProgress(batchId);
+
+		if (!batch) {
+			return res.status(404).json({
+				success: false,
+				message: `No batch found with id: ${batchId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: batch
+		});
+	} catch (error) {
+		logger.error(`Error getting batch: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Cancel the remaining jobs of a batch
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const cancelBatch = async (req, res, next) => {
+	try {
+		const { batchId } = req.params;
+		logger.info(`Cancelling batch ${batchId}`);
+		const result = await queueService.cancelBatch(batchId);
+
+		if (!result) {
+			return res.status(404).json({
+				success: false,
+				message: `No batch found with id: ${batchId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: `Cancelled ${result.cancelledCount} remaining jobs of batch ${batchId}`,
+			data: result
+		});
+	} catch (error) {
+		logger.error(`Error cancelling batch: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Download a CSV report of a batch
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getBatchReport = async (req, res, next) => {
+	try {
+		const { batchId } = req.params;
+		const report = await batchService.getBatchReport(batchId);
+
+		if (report === null) {
+			return res.status(404).json({
+				success: false,
+				message: `No batch found with id: ${batchId}`
+			});
+		}
+
+		res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+		res.setHeader('Content-Disposition', `attachment; filename="${batchId}.csv"`);
+		res.status(200).send(report);
+	} catch (error) {
+		logger.error(`Error building batch report: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Shape a stored import for API responses (valid rows are only sampled)
+ * @param {Object} recipientImport Stored import
+ * @returns {Object} Import preview
+ */
+const formatImportPreview = (recipientImport) => {
+	const { valid, ...preview } = recipientImport;
+	return {
+		...preview,
+		sample: valid.slice(0, 20)
+	};
+};
+
+/**
+ * Upload a CSV or XLSX recipient file and get a validation preview
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const importRecipients = async (req, res, next) => {
+	try {
+		const { unit_id, phone_column } = req.body;
+		const file = req.files.file;
+		logger.info(`Importing recipients for unit_id ${unit_id} from ${file.name}`);
+
+		const table = await importService.parseRecipientFile(file);
+		const defaultCountry = await unitSettingsService.getDefaultCountry(unit_id);
+		const preview = importService.buildPreview(table, phone_column, defaultCountry);
+		const recipientImport = await importService.createImport(unit_id, file.name, preview);
+
+		res.status(201).json({
+			success: true,
+			message: 'Recipients imported, confirm the import to queue the messages',
+			data: formatImportPreview(recipientImport)
+		});
+	} catch (error) {
+		logger.error(`Error importing recipients: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Get the preview of a recipient import
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getImport = async (req, res, next) => {
+	try {
+		const { importId } = req.params;
+		const recipientImport = await importService.getImport(importId);
+
+		if (!recipientImport) {
+			return res.status(404).json({
+				success: false,
+				message: `No import found with id: ${importId} (it may have expired)`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: formatImportPreview(recipientImport)
+		});
+	} catch (error) {
+		logger.error(`Error getting import: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Queue the valid recipients of an import as a batch
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const confirmImport = async (req, res, next) => {
+	try {
+		const { importId } = req.params;
+
+		const recipientImport = await importService.getImport(importId);
+		if (!recipientImport) {
+			return res.status(404).json({
+				success: false,
+				message: `No import found with id: ${importId} (it may have expired)`
+			});
+		}
+
+		if (recipientImport.valid.length === 0) {
+			return res.status(400).json({
+				success: false,
+				message: 'Import has no valid recipients'
+			});
+		}
+
+		const unitId = recipientImport.unitId;
+		const prepared = await prepareMessage(req, unitId);
+		if (prepared.error) {
+			return sendRejection(res, prepared.error);
+		}
+		const { content, sharedVariables, sendAt, debugMode } = prepared;
+
+		// File columns override shared variables
+		const recipientList = recipientImport.valid.map(row => ({
+			phone: row.phone,
+			variables: { ...sharedVariables, ...row.variables }
+		}));
+
+		const checked = checkTemplateVariables(content.text, recipientList);
+		if (checked.error) {
+			return sendRejection(res, checked.error);
+		}
+
+		// An import can only be queued once, a concurrent confirmation finds it gone
+		if (!(await importService.claimImport(importId))) {
+			return res.status(409).json({
+				success: false,
+				message: `Import ${importId} was already confirmed or has expired`
+			});
+		}
+
+		logger.info(`Queuing import ${importId} for unit_id ${unitId}: ${recipientList.length} recipient(s)`);
+		let result;
+		try {
+			result = await queueService.queueMessage(unitId, checked.recipients, content, debugMode, { sendAt, source: `import:${importId}` });
+		} catch (error) {
+			await importService.restoreImport(recipientImport);
+			throw error;
+		}
+
+		res.status(202).json({
+			success: true,
+			message: sendAt ? 'Imported recipients scheduled successfully' : 'Imported recipients queued successfully',
+			data: result
+		});
+	} catch (error) {
+		logger.error(`Error confirming import: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Discard a recipient import
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const discardImport = async (req, res, next) => {
+	try {
+		const { importId } = req.params;
+		const removed = await importService.deleteImport(importId);
+
+		if (!removed) {
+			return res.status(404).json({
+				success: false,
+				message: `No import found with id: ${importId} (it may have expired)`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: `Import ${importId} discarded`
+		});
+	} catch (error) {
+		logger.error(`Error discarding import: ${error.message}`);
+		next(error);
+	}
+};
+
 module.exports = {
 	sendMessage,
 	getQueueStats,
-	clearQueue
+	clearQueue,
+	getJobStatus,
+	getJobsStatusSummary,
+	getJob,
+	listJobs,
+	retryJob,
+	retryFailedJobs,
+	removeJob,
+	listScheduled,
+	rescheduleMessage,
+	cancelScheduled,
+	listBatches,
+	getBatch,
+	cancelBatch,
+	getBatchReport,
+	importRecipients,
+	getImport,
+	confirmImport,
+	discardImport
 };
\ No newline at end of file
@@ -0,0 +1,32 @@
+const metricsService = require('../services/metrics');
+const queueService = require('../services/queue');
+const sessionService = require('../services/session');
+const logger = require('../utils/logger');
+
+/**
+ * Get metrics in the Prometheus text format
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getMetrics = async (req, res, next) => {
+	try {
+		// Gauges are read at scrape time
+		const [queueCounts, sessions] = await Promise.all([
+			queueService.getQueueCounts(),
+			sessionService.getAllSessions()
+		]);
+		metricsService.setQueueDepths(queueCounts);
+		metricsService.setSessionStatuses(sessions);
+
+		const { contentType, body } = await metricsService.getMetrics();
+		res.set('Content-Type', contentType).status(200).send(body);
+	} catch (error) {
+		logger.error(`Error collecting metrics: ${error.message}`);
+		next(error);
+	}
+};
+
+module.exports = {
+	getMetrics
+};
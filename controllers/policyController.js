@@ -0,0 +1,183 @@
+const policyService = require('../services/policy');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Check whether a value is a positive integer
+ * @param {*} value Value to check
+ * @returns {boolean}
+ */
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validate a sending policy request body
+ * @param {Object} body Request body
+ * @returns {Object} { fields } on success or { error } when invalid
+ */
+const parsePolicyInput = (body) => {
+	const { timezone, window, limits, warmup } = body;
+	const fields = {};
+
+	const tz = timezone || config.campaign.defaultTimezone;
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone: tz });
+	} catch (error) {
+		return { error: `Invalid timezone: ${tz}` };
+	}
+	fields.timezone = tz;
+
+	if (window) {
+		const start = policyService.parseTimeOfDay(window.start);
+		const end = policyService.parseTimeOfDay(window.end);
+		if (start === null || end === null) {
+			return { error: 'window.start and window.end must be times in HH:mm format' };
+		}
+		if (start === end) {
+			return { error: 'window.start and window.end must differ' };
+		}
+
+		const days = window.days === undefined ? [0, 1, 2, 3, 4, 5, 6] : window.days;
+		if (!Array.isArray(days) || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+			return { error: 'window.days must be a non-empty list of weekdays, 0 (Sunday) to 6 (Saturday)' };
+		}
+		fields.window = { start: window.start, end: window.end, days: [...new Set(days)].sort((a, b) => a - b) };
+	}
+
+	if (limits) {
+		const { per_hour, per_day } = limits;
+		if (per_hour !== undefined && per_hour !== null && !isPositiveInteger(per_hour)) {
+			return { error: 'limits.per_hour must be a positive integer' };
+		}
+		if (per_day !== undefined && per_day !== null && !isPositiveInteger(per_day)) {
+			return { error: 'limits.per_day must be a positive integer' };
+		}
+		fields.limits = { perHour: per_hour || null, perDay: per_day || null };
+	}
+
+	if (warmup && warmup.enabled !== false) {
+		const { initial_daily, daily_increment, started_at } = warmup;
+		if (!isPositiveInteger(initial_daily)) {
+			return { error: 'warmup.initial_daily must be a positive integer' };
+		}
+		if (!Number.isInteger(daily_increment) || daily_increment < 0) {
+			return { error: 'warmup.daily_increment must be a non-negative integer' };
+		}
+		// Without started_at the service keeps the stored start, or starts the ramp now
+		const startedAt = started_at ? new Date(started_at) : null;
+		if (startedAt && isNaN(startedAt.getTime())) {
+			return { error: 'warmup.started_at must be a valid date' };
+		}
+		fields.warmup = {
+			enabled: true,
+			startedAt: startedAt ? startedAt.toISOString() : null,
+			initialDaily: initial_daily,
+			dailyIncrement: daily_increment
+		};
+	}
+
+	if (!fields.window && !fields.limits && !fields.warmup) {
+		return { error: 'At least one of window, limits or warmup is required' };
+	}
+
+	return { fields };
+};
+
+/**
+ * Create or replace the sending policy for a unitId
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const setPolicy = async (req, res, next) => {
+	try {
+		const { unitId } = req.params;
+		const { error, fields } = parsePolicyInput(req.body);
+		if (error) {
+			return res.status(400).json({
+				success: false,
+				message: error
+			});
+		}
+
+		logger.info(`Setting sending policy for unitId: ${unitId}`);
+		const policy = await policyService.setPolicy(unitId, fields);
+
+		res.status(200).json({
+			success: true,
+			message: 'Sending policy saved successfully',
+			data: {
+				...policy,
+				usage: await policyService.getUsage(unitId)
+			}
+		});
+	} catch (error) {
+		logger.error(`Error setting sending policy: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Get the sending policy and current quota usage for a unitId
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getPolicy = async (req, res, next) => {
+	try {
+		const { unitId } = req.params;
+		const policy = await policyService.getPolicy(unitId);
+
+		if (!policy) {
+			return res.status(404).json({
+				success: false,
+				message: `No sending policy configured for unitId: ${unitId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: {
+				...policy,
+				usage: await policyService.getUsage(unitId)
+			}
+		});
+	} catch (error) {
+		logger.error(`Error getting sending policy: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Delete the sending policy for a unitId
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const deletePolicy = async (req, res, next) => {
+	try {
+		const { unitId } = req.params;
+		logger.info(`Deleting sending policy for unitId: ${unitId}`);
+		const removed = await policyService.deletePolicy(unitId);
+
+		if (!removed) {
+			return res.status(404).json({
+				success: false,
+				message: `No sending policy configured for unitId: ${unitId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: `Sending policy for unitId ${unitId} deleted successfully`
+		});
+	} catch (error) {
+		logger.error(`Error deleting sending policy: ${error.message}`);
+		next(error);
+	}
+};
+
+module.exports = {
+	setPolicy,
+	getPolicy,
+	deletePolicy
+};
@@ -1,4 +1,11 @@
 const sessionService = require('../services/session');
+const unitSettingsService = require('../services/unitSettings');
+const QRCode = require('qrcode');
+const { isSupportedCountry } = require('libphonenumber-js');
+const { canAccessUnit, hasPermission } = require('../middlewares/auth');
+const { subscribe } = require('../services/events');
+const { normalizePhoneNumber } = require('../utils/helpers');
+const { openEventStream } = require('../utils/sse');
 const logger = require('../utils/logger');
 
 /**
@@ -9,25 +16,37 @@ const logger = require('../utils/logger');
  */
 const createSession = async (req, res, next) => {
 	try {
-		const { unit_id } = req.body;
+		const { unit_id, default_country, phone_number } = req.body;
 		
-		if (!unit_id) {
+		if (default_country !== undefined && !isSupportedCountry(String(default_country).toUpperCase())) {
 			return res.status(400).json({
 				success: false,
-				message: 'unit_id is required'
+				message: 'default_country must be an ISO 3166-1 alpha-2 country code, e.g. ID'
 			});
 		}
 		
-		// Validate unitId format (alphanumeric and dashes only)
-		if (!/^[a-zA-Z0-9-_]+$/.test(unit_id)) {
-			return res.status(400).json({
-				success: false,
-				message: 'unitId must contain only alphanumeric characters, dashes, and underscores'
-			});
+		// Link by entering a pairing code on this phone instead of scanning the QR code
+		let pairingPhone;
+		if (phone_number !== undefined) {
+			const country = default_country !== undefined
+				? String(default_country).toUpperCase()
+				: await unitSettingsService.getDefaultCountry(unit_id);
+			const normalized = normalizePhoneNumber(phone_number, country);
+			if (!normalized.valid) {
+				return res.status(400).json({
+					success: false,
+					message: `phone_number is invalid: ${normalized.message}`
+				});
+			}
+			pairingPhone = normalized.phone;
 		}
 		
 		logger.info(`Creating new WhatsApp session for unitId: ${unit_id}`);
-		const session = await sessionService.createSession(unit_id);
+		const session = await sessionService.createSession(unit_id, { pairingPhone });
+
+		if (default_country !== undefined) {
+			await unitSettingsService.updateUnitSettings(unit_id, { defaultCountry: String(default_country).toUpperCase() });
+		}
 		
 		res.status(201).json({
 			success: true,
@@ -57,7 +76,8 @@ const createSession = async (req, res, next) => {
 const getAllSessions = async (req, res, next) => {
 	try {
 		logger.info('Getting all WhatsApp sessions');
-		const sessions = sessionService.getAllSessions();
+		const sessions = (await sessionService.getAllSessions())
+			.filter(session => canAccessUnit(req.auth, session.unitId));
 		
 		res.status(200).json({
 			success: true,
@@ -81,7 +101,7 @@ const getSessionByUnitId = async (req, res, next) => {
 		const { unitId } = req.params;
 		logger.info(`Getting WhatsApp session for unitId: ${unitId}`);
 		
-		const session = sessionService.getSessionByUnitId(unitId);
+		const session = await sessionService.getSessionByUnitId(unitId);
 		
 		if (!session) {
 		return res.status(404).json({
@@ -89,10 +109,13 @@ const getSessionByUnitId = async (req, res, next) => {
 			message: `No session found for unitId: ${unitId}`
 		});
 		}
+
+		// Login codes link a phone to the unit, keys that may only read stats do not get them
+		const { qrCode, pairingCode, ...details } = session;
 		
 		res.status(200).json({
 			success: true,
-			data: session
+			data: hasPermission(req.auth, 'sessions') ? session : details
 		});
 	} catch (error) {
 		logger.error(`Error getting WhatsApp session: ${error.message}`);
@@ -101,7 +124,7 @@ const getSessionByUnitId = async (req, res, next) => {
 };
 
 /**
- * Get QR code for a WhatsApp session
+ * Get QR code for a WhatsApp session, as JSON (raw QR string) or rendered (?format=png|svg&size=)
  * @param {Object} req Express request object
  * @param {Object} res Express response object
  * @param {Function} next Express next middleware function
@@ -109,9 +132,10 @@ const getSessionByUnitId = async (req, res, next) => {
 const getSessionQR = async (req, res, next) => {
 	try {
 		const { unitId } = req.params;
+		const format = req.query.format || 'json';
 		logger.info(`Getting QR code for unitId: ${unitId}`);
 		
-		const session = sessionService.getSessionByUnitId(unitId);
+		const session = await sessionService.getSessionByUnitId(unitId);
 		
 		if (!session) {
 			return res.status(404).json({
@@ -136,6 +160,17 @@ const getSessionQR = async (req, res, next) => {
 			});
 		}
 		
+		// The QR code rotates, rendered images must not be cached
+		res.set('Cache-Control', 'no-store');
+		const width = Math.min(Math.max(parseInt(req.query.size) || 300, 100), 1000);
+		
+		if (format === 'png') {
+			return res.type('png').send(await QRCode.toBuffer(qrCode, { type: 'png', width }));
+		}
+		if (format === 'svg') {
+			return res.type('svg').send(await QRCode.toString(qrCode, { type: 'svg', width }));
+		}
+		
 		res.status(200).json({
 			success: true,
 			data: {
@@ -149,6 +184,119 @@ const getSessionQR = async (req, res, next) => {
 	}
 };
 
+/**
+ * Stream the login of a session as Server-Sent Events: every new QR code (raw and as PNG data URL),
+ * pairing codes and the final status. The stream ends once the session is ready.
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const streamSessionQR = async (req, res, next) => {
+	try {
+		const { unitId } = req.params;
+		const session = await sessionService.getSessionByUnitId(unitId);
+		
+		if (!session) {
+			return res.status(404).json({
+				success: false,
+				message: `No session found for unitId: ${unitId}`
+			});
+		}
+		
+		logger.info(`Streaming QR codes for unitId: ${unitId}`);
+		let unsubscribe = null;
+		const stream = openEventStream(req, res, () => unsubscribe && unsubscribe());
+		
+		const sendQR = async (qrCode) => {
+			stream.send('qr', { unitId, qrCode, image: await QRCode.toDataURL(qrCode, { width: 300 }) });
+		};
+		
+		stream.send('status', { unitId, status: session.status });
+		if (session.status === 'ready') {
+			return stream.end();
+		}
+		if (session.status === 'qr_received' && session.qrCode) {
+			await sendQR(session.qrCode);
+		}
+		if (session.pairingCode) {
+			stream.send('pairing_code', { unitId, pairingCode: session.pairingCode });
+		}
+		
+		unsubscribe = subscribe(({ unitId: eventUnitId, event, data }) => {
+			if (eventUnitId !== unitId) return;
+			
+			switch (event) {
+				case 'qr':
+					sendQR(data.qrCode).catch((error) => {
+						logger.error(`Error rendering QR code for unitId ${unitId}: ${error.message}`);
+					});
+					break;
+				case 'pairing_code':
+					stream.send('pairing_code', { unitId, pairingCode: data.pairingCode });
+					break;
+				case 'authenticated':
+					stream.send('status', { unitId, status: 'authenticated' });
+					break;
+				case 'auth_failure':
+				case 'disconnected':
+					stream.send('status', { unitId, status: event === 'auth_failure' ? 'auth_failed' : 'disconnected', reason: data.reason });
+					break;
+				case 'ready':
+					stream.send('status', { unitId, status: 'ready', whatsappNumber: data.whatsappNumber });
+					stream.end();
+					break;
+			}
+		});
+	} catch (error) {
+		logger.error(`Error streaming QR codes: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Request a pairing code to link a session by phone number instead of scanning the QR code
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const requestPairingCode = async (req, res, next) => {
+	try {
+		const { unitId } = req.params;
+		const { phone_number } = req.body;
+		
+		const normalized = normalizePhoneNumber(phone_number, await unitSettingsService.getDefaultCountry(unitId));
+		if (!normalized.valid) {
+			return res.status(400).json({
+				success: false,
+				message: `phone_number is invalid: ${normalized.message}`
+			});
+		}
+		
+		if (!(await sessionService.getSessionByUnitId(unitId))) {
+			return res.status(404).json({
+				success: false,
+				message: `No session found for unitId: ${unitId}`
+			});
+		}
+		
+		logger.info(`Requesting pairing code for unitId: ${unitId}`);
+		const pairingCode = await sessionService.requestPairingCode(unitId, normalized.phone);
+		
+		res.status(200).json({
+			success: true,
+			message: 'Enter the pairing code in WhatsApp on the phone: Linked devices > Link with phone number',
+			data: {
+				unitId,
+				phoneNumber: normalized.phone,
+				pairingCode
+			}
+		});
+	} catch (error) {
+		logger.error(`Error requesting pairing code: ${error.message}`);
+		next(error);
+	}
+};
+
 /**
  * Delete a WhatsApp session
  * @param {Object} req Express request object
@@ -179,10 +327,82 @@ const deleteSession = async (req, res, next) => {
 	}
 };
 
+/**
+ * Get the settings of a unit
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getSessionSettings = async (req, res, next) => {
+	try {
+		const { unitId } = req.params;
+		const settings = await unitSettingsService.getUnitSettings(unitId);
+
+		res.status(200).json({
+			success: true,
+			data: {
+				unitId,
+				...settings,
+				// Country actually applied, falling back to PHONE_DEFAULT_COUNTRY
+				effectiveDefaultCountry: await unitSettingsService.getDefaultCountry(unitId) || null
+			}
+		});
+	} catch (error) {
+		logger.error(`Error getting unit settings: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Change the settings of a unit
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const updateSessionSettings = async (req, res, next) => {
+	try {
+		const { unitId } = req.params;
+		const { default_country } = req.body;
+		const changes = {};
+
+		if (default_country !== undefined) {
+			// null or empty falls back to PHONE_DEFAULT_COUNTRY
+			const country = default_country ? String(default_country).toUpperCase() : null;
+			if (country && !isSupportedCountry(country)) {
+				return res.status(400).json({
+					success: false,
+					message: 'default_country must be an ISO 3166-1 alpha-2 country code, e.g. ID'
+				});
+			}
+			changes.defaultCountry = country;
+		}
+
+		logger.info(`Updating settings for unitId: ${unitId}`);
+		const settings = await unitSettingsService.updateUnitSettings(unitId, changes);
+
+		res.status(200).json({
+			success: true,
+			message: 'Settings saved successfully',
+			data: {
+				unitId,
+				...settings,
+				effectiveDefaultCountry: await unitSettingsService.getDefaultCountry(unitId) || null
+			}
+		});
+	} catch (error) {
+		logger.error(`Error updating unit settings: ${error.message}`);
+		next(error);
+	}
+};
+
 module.exports = {
 	createSession,
 	getAllSessions,
 	getSessionByUnitId,
 	getSessionQR,
-	deleteSession
+	streamSessionQR,
+	requestPairingCode,
+	deleteSession,
+	getSessionSettings,
+	updateSessionSettings
 };
\ No newline at end of file
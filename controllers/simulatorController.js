@@ -0,0 +1,164 @@
+const sessionService = require('../services/session');
+const { parseList } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Get the simulator transport of a unit, answering 404 when the unit has no session
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @returns {Object|null} Simulator transport, null when the response was sent
+ */
+const findSimulator = (req, res) => {
+	const { unitId } = req.params;
+	const transport = sessionService.getTransportByUnitId(unitId);
+
+	if (!transport || !transport.simulator) {
+		res.status(404).json({
+			success: false,
+			message: `No simulated session found for unitId: ${unitId}`
+		});
+		return null;
+	}
+	return transport;
+};
+
+/**
+ * Get the simulated connection of a unit: state, number, behaviour and sent messages
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const inspect = async (req, res, next) => {
+	try {
+		const transport = findSimulator(req, res);
+		if (!transport) return;
+
+		res.status(200).json({
+			success: true,
+			data: {
+				unitId: req.params.unitId,
+				...transport.inspect()
+			}
+		});
+	} catch (error) {
+		logger.error(`Error inspecting simulated session: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Change the simulated behaviour of a unit
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const configure = async (req, res, next) => {
+	try {
+		const transport = findSimulator(req, res);
+		if (!transport) return;
+
+		const { login, delay, ack, unregistered, business, failure_rate, fail_next, state } = req.body;
+		logger.info(`Configuring simulated session for unitId: ${req.params.unitId}`);
+		transport.configure({
+			login,
+			delay,
+			ack,
+			unregistered: unregistered === undefined ? undefined : parseList(unregistered),
+			business: business === undefined ? undefined : parseList(business),
+			failureRate: failure_rate,
+			failNext: fail_next,
+			state
+		});
+
+		res.status(200).json({
+			success: true,
+			message: 'Simulated behaviour updated successfully',
+			data: transport.inspect().behaviour
+		});
+	} catch (error) {
+		logger.error(`Error configuring simulated session: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Scan the QR code of a unit waiting to be linked
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const scan = async (req, res, next) => {
+	try {
+		const transport = findSimulator(req, res);
+		if (!transport) return;
+
+		logger.info(`Scanning simulated QR code for unitId: ${req.params.unitId}`);
+		transport.scan();
+
+		res.status(200).json({
+			success: true,
+			message: 'QR code scanned, the session connects shortly'
+		});
+	} catch (error) {
+		logger.error(`Error scanning simulated QR code: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Drop the connection of a unit
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const disconnect = async (req, res, next) => {
+	try {
+		const transport = findSimulator(req, res);
+		if (!transport) return;
+
+		const reason = req.body.reason || 'SIMULATED';
+		logger.info(`Disconnecting simulated session for unitId: ${req.params.unitId} (${reason})`);
+		transport.disconnect(reason);
+
+		res.status(200).json({
+			success: true,
+			message: `Simulated session disconnected: ${reason}`
+		});
+	} catch (error) {
+		logger.error(`Error disconnecting simulated session: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Deliver an inbound message to a unit, handled like a message from WhatsApp
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const receive = async (req, res, next) => {
+	try {
+		const transport = findSimulator(req, res);
+		if (!transport) return;
+
+		const { from, author, body, type, media } = req.body;
+		const message = transport.receive({ from: String(from), author: author && String(author), body, type, media });
+
+		res.status(201).json({
+			success: true,
+			message: 'Inbound message delivered',
+			data: message
+		});
+	} catch (error) {
+		logger.error(`Error delivering simulated message: ${error.message}`);
+		next(error);
+	}
+};
+
+module.exports = {
+	inspect,
+	configure,
+	scan,
+	disconnect,
+	receive
+};
@@ -0,0 +1,137 @@
+const suppressionService = require('../services/suppression');
+const importService = require('../services/import');
+const unitSettingsService = require('../services/unitSettings');
+const { parseList } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * List the suppressed numbers of a unit or of the global list
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const listSuppressions = async (req, res, next) => {
+	try {
+		const scope = req.params.unitId || suppressionService.GLOBAL_SCOPE;
+		const page = Math.max(parseInt(req.query.page) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+		const result = await suppressionService.listSuppressions(scope, page, limit, req.query.search);
+
+		res.status(200).json({
+			success: true,
+			data: result
+		});
+	} catch (error) {
+		logger.error(`Error listing suppressed numbers: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Add numbers to the suppression list of a unit or to the global list
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const addSuppressions = async (req, res, next) => {
+	try {
+		const scope = req.params.unitId || suppressionService.GLOBAL_SCOPE;
+		const phones = parseList(req.body.phones);
+
+		if (phones.length === 0) {
+			return res.status(400).json({
+				success: false,
+				message: 'phones must be a non-empty list of phone numbers'
+			});
+		}
+
+		const result = await suppressionService.addSuppressions(scope, phones, {
+			source: 'api',
+			reason: req.body.reason
+		});
+
+		res.status(200).json({
+			success: true,
+			message: `${result.added.length} number(s) added to the ${scope} suppression list`,
+			data: result
+		});
+	} catch (error) {
+		logger.error(`Error adding suppressed numbers: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Remove a number from the suppression list of a unit or from the global list
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const removeSuppression = async (req, res, next) => {
+	try {
+		const scope = req.params.unitId || suppressionService.GLOBAL_SCOPE;
+		const { phone } = req.params;
+		const removed = await suppressionService.removeSuppression(scope, phone);
+
+		if (!removed) {
+			return res.status(404).json({
+				success: false,
+				message: `${phone} is not on the ${scope} suppression list`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: `${phone} removed from the ${scope} suppression list`
+		});
+	} catch (error) {
+		logger.error(`Error removing suppressed number: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Add the numbers of an uploaded CSV or XLSX file to a suppression list
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const importSuppressions = async (req, res, next) => {
+	try {
+		const scope = req.params.unitId || suppressionService.GLOBAL_SCOPE;
+		const file = req.files.file;
+		logger.info(`Importing suppressed numbers into the ${scope} list from ${file.name}`);
+
+		const table = await importService.parseRecipientFile(file);
+		const defaultCountry = await unitSettingsService.getDefaultCountry(req.params.unitId);
+		const preview = importService.buildPreview(table, req.body.phone_column, defaultCountry);
+		const result = await suppressionService.addSuppressions(scope, preview.valid.map(row => row.phone), {
+			source: 'import',
+			reason: req.body.reason
+		});
+
+		res.status(200).json({
+			success: true,
+			message: `${result.added.length} number(s) added to the ${scope} suppression list`,
+			data: {
+				phoneColumn: preview.phoneColumn,
+				summary: {
+					...preview.summary,
+					added: result.added.length,
+					existing: result.existing.length
+				},
+				invalid: preview.invalid
+			}
+		});
+	} catch (error) {
+		logger.error(`Error importing suppressed numbers: ${error.message}`);
+		next(error);
+	}
+};
+
+module.exports = {
+	listSuppressions,
+	addSuppressions,
+	removeSuppression,
+	importSuppressions
+};
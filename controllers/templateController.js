@@ -0,0 +1,189 @@
+const templateService = require('../services/template');
+const logger = require('../utils/logger');
+
+/**
+ * Create a message template
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const createTemplate = async (req, res, next) => {
+	try {
+		const { name, body, description } = req.body;
+
+		logger.info(`Creating template: ${name}`);
+		const template = await templateService.createTemplate({ name: name.trim(), body, description });
+
+		res.status(201).json({
+			success: true,
+			message: 'Template created successfully',
+			data: template
+		});
+	} catch (error) {
+		logger.error(`Error creating template: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Get all message templates
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getAllTemplates = async (req, res, next) => {
+	try {
+		const templates = await templateService.listTemplates();
+
+		res.status(200).json({
+			success: true,
+			count: templates.length,
+			data: templates
+		});
+	} catch (error) {
+		logger.error(`Error getting templates: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Get a message template by ID
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getTemplate = async (req, res, next) => {
+	try {
+		const { templateId } = req.params;
+		const template = await templateService.getTemplate(templateId);
+
+		if (!template) {
+			return res.status(404).json({
+				success: false,
+				message: `No template found with id: ${templateId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: template
+		});
+	} catch (error) {
+		logger.error(`Error getting template: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Update a message template
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const updateTemplate = async (req, res, next) => {
+	try {
+		const { templateId } = req.params;
+		const { name, body, description } = req.body;
+		const changes = {};
+
+		if (name !== undefined) {
+			changes.name = name.trim();
+		}
+
+		if (body !== undefined) {
+			changes.body = body;
+		}
+
+		if (description !== undefined) {
+			changes.description = description || '';
+		}
+
+		const template = await templateService.updateTemplate(templateId, changes);
+
+		if (!template) {
+			return res.status(404).json({
+				success: false,
+				message: `No template found with id: ${templateId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: 'Template updated successfully',
+			data: template
+		});
+	} catch (error) {
+		logger.error(`Error updating template: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Delete a message template
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const deleteTemplate = async (req, res, next) => {
+	try {
+		const { templateId } = req.params;
+		logger.info(`Deleting template ${templateId}`);
+		const removed = await templateService.deleteTemplate(templateId);
+
+		if (!removed) {
+			return res.status(404).json({
+				success: false,
+				message: `No template found with id: ${templateId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: `Template ${templateId} deleted successfully`
+		});
+	} catch (error) {
+		logger.error(`Error deleting template: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Render a template with the given variables without sending it
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const previewTemplate = async (req, res, next) => {
+	try {
+		const { templateId } = req.params;
+		const variables = req.body.variables || {};
+		const template = await templateService.getTemplate(templateId);
+
+		if (!template) {
+			return res.status(404).json({
+				success: false,
+				message: `No template found with id: ${templateId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: {
+				text: templateService.renderTemplate(template.body, variables),
+				missing: templateService.findMissingVariables(template.body, variables)
+			}
+		});
+	} catch (error) {
+		logger.error(`Error previewing template: ${error.message}`);
+		next(error);
+	}
+};
+
+module.exports = {
+	createTemplate,
+	getAllTemplates,
+	getTemplate,
+	updateTemplate,
+	deleteTemplate,
+	previewTemplate
+};
@@ -0,0 +1,160 @@
+const webhookService = require('../services/webhook');
+const logger = require('../utils/logger');
+const crypto = require('crypto');
+
+/**
+ * Hide the webhook secret in API responses
+ * @param {Object} webhook Webhook configuration
+ * @returns {Object} Webhook configuration without the full secret
+ */
+const maskSecret = (webhook) => ({
+	...webhook,
+	secret: webhook.secret ? `${webhook.secret.slice(0, 4)}********` : null
+});
+
+/**
+ * Create or replace the webhook for a unitId
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const setWebhook = async (req, res, next) => {
+	try {
+		const { unitId } = req.params;
+		let { url, secret, events, enabled } = req.body;
+
+		if (events === undefined) {
+			events = ['*'];
+		}
+		if (typeof events === 'string') {
+			events = events.split(',').map(e => e.trim()).filter(Boolean);
+		}
+		const invalidEvents = Array.isArray(events)
+			? events.filter(e => e !== '*' && !webhookService.WEBHOOK_EVENTS.includes(e))
+			: [events];
+		if (!Array.isArray(events) || events.length === 0 || invalidEvents.length > 0) {
+			return res.status(400).json({
+				success: false,
+				message: `events must be a list containing '*' or any of: ${webhookService.WEBHOOK_EVENTS.join(', ')}`,
+				invalidEvents
+			});
+		}
+
+		// Generate a secret when the caller does not provide one
+		const generatedSecret = !secret;
+		if (generatedSecret) {
+			secret = crypto.randomBytes(24).toString('hex');
+		}
+
+		logger.info(`Setting webhook for unitId: ${unitId}`);
+		const webhook = await webhookService.setWebhook(unitId, {
+			url,
+			secret,
+			events,
+			enabled: enabled === undefined ? true : (enabled === true || enabled === 'true')
+		});
+
+		res.status(200).json({
+			success: true,
+			message: 'Webhook saved successfully',
+			// Only reveal the secret when it was generated for the caller
+			data: generatedSecret ? webhook : maskSecret(webhook)
+		});
+	} catch (error) {
+		logger.error(`Error setting webhook: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Get the webhook for a unitId
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const getWebhook = async (req, res, next) => {
+	try {
+		const { unitId } = req.params;
+		const webhook = await webhookService.getWebhook(unitId);
+
+		if (!webhook) {
+			return res.status(404).json({
+				success: false,
+				message: `No webhook configured for unitId: ${unitId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			data: maskSecret(webhook)
+		});
+	} catch (error) {
+		logger.error(`Error getting webhook: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Delete the webhook for a unitId
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const deleteWebhook = async (req, res, next) => {
+	try {
+		const { unitId } = req.params;
+		logger.info(`Deleting webhook for unitId: ${unitId}`);
+		const removed = await webhookService.deleteWebhook(unitId);
+
+		if (!removed) {
+			return res.status(404).json({
+				success: false,
+				message: `No webhook configured for unitId: ${unitId}`
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: `Webhook for unitId ${unitId} deleted successfully`
+		});
+	} catch (error) {
+		logger.error(`Error deleting webhook: ${error.message}`);
+		next(error);
+	}
+};
+
+/**
+ * Queue a test event to the webhook of a unitId
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Express next middleware function
+ */
+const testWebhook = async (req, res, next) => {
+	try {
+		const { unitId } = req.params;
+		const delivery = await webhookService.sendTestEvent(unitId);
+
+		if (!delivery) {
+			return res.status(404).json({
+				success: false,
+				message: `No webhook configured for unitId: ${unitId}`
+			});
+		}
+
+		res.status(202).json({
+			success: true,
+			message: 'Test event queued for delivery',
+			data: delivery
+		});
+	} catch (error) {
+		logger.error(`Error sending test webhook: ${error.message}`);
+		next(error);
+	}
+};
+
+module.exports = {
+	setWebhook,
+	getWebhook,
+	deleteWebhook,
+	testWebhook
+};
@@ -1,10 +1,13 @@
 const config = require('../config');
 const logger = require('../utils/logger');
+const apiKeyService = require('../services/apiKey');
 
 /**
  * Middleware to authenticate API requests using token
+ * Accepts the configured master token (admin on every unit) or an API key
+ * and stores the caller's scope in req.auth
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
 	// Get token from header
 	const token = req.headers['x-api-token'];
 	
@@ -17,17 +20,141 @@ const authenticateToken = (req, res, next) => {
 		});
 	}
 
-	// Validate token
-	if (token !== config.security.apiToken) {
-		logger.warn(`Unauthorized access attempt: Invalid API token provided`);
-		return res.status(403).json({ 
-			success: false, 
-			message: 'Access denied. Invalid API token' 
+	try {
+		// Master token from configuration
+		if (token === config.security.apiToken) {
+			req.auth = {
+				keyId: null,
+				units: [apiKeyService.ALL_UNITS],
+				permissions: ['admin']
+			};
+			return next();
+		}
+
+		// Validate token
+		const apiKey = await apiKeyService.authenticate(token);
+		if (!apiKey) {
+			logger.warn(`Unauthorized access attempt: Invalid API token provided`);
+			return res.status(403).json({ 
+				success: false, 
+				message: 'Access denied. Invalid API token' 
+			});
+		}
+
+		req.auth = {
+			keyId: apiKey.id,
+			units: apiKey.units,
+			permissions: apiKey.permissions
+		};
+		next();
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Middleware accepting the API token as ?token= for clients that cannot set headers,
+ * such as the browser EventSource. Only used on streaming endpoints, since URLs end up in access logs
+ */
+const acceptQueryToken = (req, res, next) => {
+	if (!req.headers['x-api-token'] && req.query.token) {
+		req.headers['x-api-token'] = String(req.query.token);
+	}
+	next();
+};
+
+/**
+ * Middleware protecting the metrics endpoint with METRICS_TOKEN as bearer token,
+ * the way Prometheus authenticates scrapes. Open when no token is configured.
+ */
+const authenticateMetrics = (req, res, next) => {
+	const expected = config.security.metricsToken;
+	if (!expected) return next();
+
+	if (req.headers.authorization !== `Bearer ${expected}`) {
+		logger.warn('Unauthorized access attempt: Invalid metrics token');
+		return res.status(401).json({
+			success: false,
+			message: 'Access denied. A valid metrics token is required'
 		});
 	}
 	next();
 };
 
+/**
+ * Check whether the caller holds a permission
+ * @param {Object} auth Caller scope (req.auth)
+ * @param {string} permission Permission name
+ * @returns {boolean}
+ */
+const hasPermission = (auth, permission) => {
+	return Boolean(auth) && (auth.permissions.includes('admin') || auth.permissions.includes(permission));
+};
+
+/**
+ * Check whether the caller may access a unit
+ * @param {Object} auth Caller scope (req.auth)
+ * @param {string} unitId Unit ID, or '*' for resources shared by all units
+ * @returns {boolean}
+ */
+const canAccessUnit = (auth, unitId) => {
+	return Boolean(auth) && (auth.units.includes(apiKeyService.ALL_UNITS) || auth.units.includes(unitId));
+};
+
+/**
+ * Default unit lookup: the unitId route parameter or unit_id in body or query
+ * @param {Object} req Express request object
+ * @returns {string|undefined} Unit ID
+ */
+const unitFromRequest = (req) => {
+	return req.params.unitId || (req.body && req.body.unit_id) || req.query.unit_id;
+};
+
+/**
+ * Middleware factory checking the caller's permission and unit scope
+ * @param {string} permission Required permission
+ * @param {Function} resolveUnitId Returns (or resolves to) the unit ID(s) the request touches,
+ * nothing when the resource is not found so the controller can answer 404
+ * @returns {Function} Express middleware
+ */
+const authorize = (permission, resolveUnitId = unitFromRequest) => {
+	const middleware = async (req, res, next) => {
+		try {
+			if (!hasPermission(req.auth, permission)) {
+				logger.warn(`Access denied: API key ${req.auth && req.auth.keyId} lacks ${permission} permission`);
+				return res.status(403).json({
+					success: false,
+					message: `Access denied. This API key lacks the ${permission} permission`
+				});
+			}
+
+			const resolved = await resolveUnitId(req);
+			const unitIds = (Array.isArray(resolved) ? resolved : [resolved]).filter(Boolean);
+			const denied = unitIds.find(unitId => !canAccessUnit(req.auth, unitId));
+			if (denied) {
+				logger.warn(`Access denied: API key ${req.auth.keyId} is not scoped to unit ${denied}`);
+				return res.status(403).json({
+					success: false,
+					message: denied === apiKeyService.ALL_UNITS
+						? 'Access denied. This API key is limited to specific units'
+						: `Access denied. This API key has no access to unitId: ${denied}`
+				});
+			}
+			next();
+		} catch (error) {
+			next(error);
+		}
+	};
+	// Listed in the OpenAPI document
+	middleware.permission = permission;
+	return middleware;
+};
+
 module.exports = {
-  	authenticateToken
+	authenticateToken,
+	acceptQueryToken,
+	authenticateMetrics,
+	authorize,
+	hasPermission,
+	canAccessUnit
 };
\ No newline at end of file
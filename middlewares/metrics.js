@@ -0,0 +1,23 @@
+const metricsService = require('../services/metrics');
+
+/**
+ * Middleware recording the count and duration of HTTP requests per route
+ */
+const trackHttpRequests = (req, res, next) => {
+	const start = process.hrtime.bigint();
+
+	res.on('finish', () => {
+		// Event streams stay open for minutes, their duration would skew the histogram
+		if (String(res.get('Content-Type')).startsWith('text/event-stream')) return;
+
+		// Route templates keep the number of label values bounded
+		const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+		const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+		metricsService.recordHttpRequest(req.method, route, res.statusCode, seconds);
+	});
+	next();
+};
+
+module.exports = {
+	trackHttpRequests
+};
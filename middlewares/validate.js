@@ -0,0 +1,80 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+// Route params, query strings and form-data fields arrive as strings, coerce them to the schema types
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, strict: false });
+addFormats(ajv);
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Describe a schema violation as { field, message }
+ * @param {string} location Request part (params, query or body)
+ * @param {Object} error Ajv error
+ * @returns {Object} Field problem
+ */
+const formatError = (location, error) => {
+	const segments = error.instancePath.split('/').filter(Boolean);
+	const { params } = error;
+
+	if (error.keyword === 'required') {
+		return { field: [location, ...segments, params.missingProperty].join('.'), message: 'is required' };
+	}
+
+	let message = error.message;
+	if (error.keyword === 'enum') {
+		message = `must be one of: ${params.allowedValues.join(', ')}`;
+	}
+	return { field: [location, ...segments].join('.'), message };
+};
+
+/**
+ * Middleware factory validating a request against a route schema. The schema also documents
+ * the route in the OpenAPI document, so it stays attached to the middleware
+ * @param {Object} schema Route schema
+ * @param {string} schema.summary One-line description of the route
+ * @param {string} schema.description Longer description (optional)
+ * @param {Object} schema.params JSON schema of the route parameters (optional)
+ * @param {Object} schema.query JSON schema of the query string (optional)
+ * @param {Object} schema.body JSON schema of the request body (optional)
+ * @param {Object} schema.files Uploaded files as { properties: { field: { description } }, required } (optional)
+ * @returns {Function} Express middleware
+ */
+const validate = (schema) => {
+	const validators = LOCATIONS
+		.filter(location => schema[location])
+		.map(location => ({ location, check: ajv.compile(schema[location]) }));
+	const requiredFiles = (schema.files && schema.files.required) || [];
+
+	const middleware = (req, res, next) => {
+		const errors = [];
+
+		validators.forEach(({ location, check }) => {
+			if (req[location] === undefined) {
+				req[location] = {};
+			}
+			if (!check(req[location])) {
+				errors.push(...check.errors.map(error => formatError(location, error)));
+			}
+		});
+
+		requiredFiles
+			.filter(field => !req.files || !req.files[field])
+			.forEach(field => errors.push({ field: `files.${field}`, message: 'is required' }));
+
+		if (errors.length > 0) {
+			return res.status(400).json({
+				success: false,
+				message: 'Validation failed',
+				errors
+			});
+		}
+		next();
+	};
+	middleware.schema = schema;
+	return middleware;
+};
+
+module.exports = {
+	validate
+};
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/apiKey');
+
+// Apply authentication middleware to all routes, key management needs an admin for all units
+router.use(authenticateToken);
+router.use(authorize('admin', () => '*'));
+
+// Create an API key
+router.post('/', validate(schemas.createKey), apiKeyController.createKey);
+
+// Get all API keys
+router.get('/', validate(schemas.getAllKeys), apiKeyController.getAllKeys);
+
+// Get a specific API key
+router.get('/:keyId', validate(schemas.getKey), apiKeyController.getKey);
+
+// Issue a new token for an API key
+router.post('/:keyId/rotate', validate(schemas.rotateKey), apiKeyController.rotateKey);
+
+// Revoke an API key
+router.delete('/:keyId', validate(schemas.revokeKey), apiKeyController.revokeKey);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const campaignController = require('../controllers/campaignController');
+const campaignService = require('../services/campaign');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/campaign');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// Unit of the addressed campaign, plus the unit it is moved to on update
+const campaignUnit = async (req) => {
+	const campaign = await campaignService.getCampaign(req.params.campaignId);
+	return campaign && [campaign.unitId, req.body && req.body.unit_id];
+};
+
+// Create a recurring campaign
+router.post('/', authorize('send'), validate(schemas.createCampaign), campaignController.createCampaign);
+
+// Get all campaigns (?unit_id= to filter by unit)
+router.get('/', authorize('stats'), validate(schemas.getAllCampaigns), campaignController.getAllCampaigns);
+
+// Get a specific campaign
+router.get('/:campaignId', authorize('stats', campaignUnit), validate(schemas.getCampaign), campaignController.getCampaign);
+
+// Update a campaign
+router.put('/:campaignId', authorize('send', campaignUnit), validate(schemas.updateCampaign), campaignController.updateCampaign);
+
+// Delete a campaign
+router.delete('/:campaignId', authorize('send', campaignUnit), validate(schemas.deleteCampaign), campaignController.deleteCampaign);
+
+// Pause a campaign
+router.post('/:campaignId/pause', authorize('send', campaignUnit), validate(schemas.pauseCampaign), campaignController.pauseCampaign);
+
+// Resume a campaign
+router.post('/:campaignId/resume', authorize('send', campaignUnit), validate(schemas.resumeCampaign), campaignController.resumeCampaign);
+
+// Get run history of a campaign
+router.get('/:campaignId/runs', authorize('stats', campaignUnit), validate(schemas.getCampaignRuns), campaignController.getCampaignRuns);
+
+module.exports = router;
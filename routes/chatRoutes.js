@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const chatController = require('../controllers/chatController');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/chat');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// List the chats of a unit (?page=&limit=&unread=&archived=)
+router.get('/:unitId', authorize('send'), validate(schemas.listChats), chatController.listChats);
+
+// Get the messages of a chat, newest first (?page=&limit=)
+router.get('/:unitId/:chatId/messages', authorize('send'), validate(schemas.getMessages), chatController.getMessages);
+
+// Download the media of a message
+router.get('/:unitId/:chatId/messages/:messageId/media', authorize('send'), validate(schemas.getMessageMedia), chatController.getMessageMedia);
+
+// Mark a chat as read
+router.post('/:unitId/:chatId/read', authorize('send'), validate(schemas.markChatRead), chatController.markChatRead);
+
+module.exports = router;
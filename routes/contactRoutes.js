@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const contactController = require('../controllers/contactController');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/contact');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// Check which numbers are on WhatsApp
+router.post('/check', authorize('send'), validate(schemas.checkContacts), contactController.checkContacts);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+const { authenticateToken, acceptQueryToken, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/event');
+
+// EventSource cannot send headers, the stream also accepts ?token=
+router.use(acceptQueryToken);
+router.use(authenticateToken);
+
+// Units the stream is limited to (?unit_id=a,b), none streams every unit the key may access
+const streamUnits = (req) => String(req.query.unit_id || '').split(',').map(unitId => unitId.trim()).filter(Boolean);
+
+// Stream session and job events (Server-Sent Events, ?unit_id=&events=&batch_id=)
+router.get('/', authorize('stats', streamUnits), validate(schemas.streamEvents), eventController.streamEvents);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const groupController = require('../controllers/groupController');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/group');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// List the groups of a unit
+router.get('/:unitId', authorize('send'), validate(schemas.listGroups), groupController.listGroups);
+
+// Create a group
+router.post('/:unitId', authorize('sessions'), validate(schemas.createGroup), groupController.createGroup);
+
+// Get a group with its participants
+router.get('/:unitId/:groupId', authorize('send'), validate(schemas.getGroup), groupController.getGroup);
+
+// Change the subject or description of a group
+router.patch('/:unitId/:groupId', authorize('sessions'), validate(schemas.updateGroup), groupController.updateGroup);
+
+// Add, remove, promote or demote participants of a group
+router.post('/:unitId/:groupId/participants/:action', authorize('sessions'), validate(schemas.updateParticipants), groupController.updateParticipants);
+
+// Get the invite link of a group
+router.get('/:unitId/:groupId/invite', authorize('sessions'), validate(schemas.getInviteLink), groupController.getInviteLink);
+
+// Replace the invite link of a group
+router.post('/:unitId/:groupId/invite/revoke', authorize('sessions'), validate(schemas.revokeInviteLink), groupController.revokeInviteLink);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const healthController = require('../controllers/healthController');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { ALL_UNITS } = require('../services/apiKey');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/health');
+
+// Health check endpoint (no authentication required)
+router.get('/', validate(schemas.getHealth), healthController.getHealth);
+
+// Liveness probe: the process is running (no authentication required)
+router.get('/live', validate(schemas.getLiveness), healthController.getLiveness);
+
+// Readiness probe: Redis, queues, sessions and disk space (no authentication required)
+router.get('/ready', validate(schemas.getReadiness), healthController.getReadiness);
+
+// Readiness report with sessions, errors and paths, for keys covering all units
+router.get('/ready/details', authenticateToken, authorize('stats', () => ALL_UNITS), validate(schemas.getReadinessDetails), healthController.getReadinessDetails);
+
+module.exports = router;
@@ -1,33 +1,80 @@
 const express = require('express');
 const router = express.Router();
+const swaggerUi = require('swagger-ui-express');
+const { version } = require('../package.json');
+const { buildOpenApiDocument } = require('../utils/openapi');
+const healthRoutes = require('./healthRoutes');
 const sessionRoutes = require('./sessionRoutes');
 const messageRoutes = require('./messageRoutes');
+const contactRoutes = require('./contactRoutes');
+const groupRoutes = require('./groupRoutes');
+const chatRoutes = require('./chatRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const campaignRoutes = require('./campaignRoutes');
+const templateRoutes = require('./templateRoutes');
+const policyRoutes = require('./policyRoutes');
+const apiKeyRoutes = require('./apiKeyRoutes');
+const suppressionRoutes = require('./suppressionRoutes');
+const eventRoutes = require('./eventRoutes');
+const simulatorRoutes = require('./simulatorRoutes');
+const transports = require('../services/transports');
 
-// Health check endpoint (no authentication required)
-router.get('/health', (req, res) => {
-	res.status(200).json({
-		status: 'ok',
-		service: 'whatsapp-bulk-sender',
-		timestamp: new Date().toISOString()
-	});
-});
+const info = {
+	title: 'WhatsApp Bulk Sender API',
+	version,
+	description: 'API for sending bulk WhatsApp messages'
+};
+
+// Mounted routers, listed on /api and documented in the OpenAPI document from their route schemas
+const sections = [
+	{ path: '/health', router: healthRoutes, name: 'Health', description: 'Health check, liveness and readiness probes' },
+	{ path: '/sessions', router: sessionRoutes, name: 'Sessions', description: 'WhatsApp session management' },
+	{ path: '/messages', router: messageRoutes, name: 'Messages', description: 'WhatsApp message sending and queue management' },
+	{ path: '/contacts', router: contactRoutes, name: 'Contacts', description: 'WhatsApp registration checks with cached results' },
+	{ path: '/groups', router: groupRoutes, name: 'Groups', description: 'WhatsApp groups of a unit and their participants' },
+	{ path: '/chats', router: chatRoutes, name: 'Chats', description: 'Chats and message history of a unit' },
+	{ path: '/webhooks', router: webhookRoutes, name: 'Webhooks', description: 'Webhook configuration for inbound events' },
+	{ path: '/campaigns', router: campaignRoutes, name: 'Campaigns', description: 'Recurring campaigns scheduled by cron expression' },
+	{ path: '/templates', router: templateRoutes, name: 'Templates', description: 'Message templates with per-recipient variables' },
+	{ path: '/policies', router: policyRoutes, name: 'Policies', description: 'Per-unit sending windows, quotas and warm-up' },
+	{ path: '/keys', router: apiKeyRoutes, name: 'API keys', description: 'API keys scoped to units and permissions' },
+	{ path: '/suppressions', router: suppressionRoutes, name: 'Suppressions', description: 'Opt-out suppression lists per unit and global' },
+	{ path: '/events', router: eventRoutes, name: 'Events', description: 'Live session and job events (Server-Sent Events)' }
+];
+
+// Simulator controls exist only with WA_TRANSPORT=simulator
+if (transports.isSimulator()) {
+	sections.push({ path: '/simulator', router: simulatorRoutes, name: 'Simulator', description: 'Simulated WhatsApp connections for staging and tests' });
+}
 
-// API documentation endpoint (no authentication required)
+// Routes do not change at runtime, the document is built on first request
+let openApiDocument = null;
+
+// API index (no authentication required)
 router.get('/', (req, res) => {
 	res.status(200).json({
-		name: 'WhatsApp Bulk Sender API',
-		version: '1.0.0',
-		description: 'API for sending bulk WhatsApp messages',
-		endpoints: {
-			'/api/health': 'Health check endpoint',
-			'/api/sessions': 'WhatsApp session management',
-			'/api/messages': 'WhatsApp message sending and queue management'
-		}
+		name: info.title,
+		version: info.version,
+		description: info.description,
+		documentation: '/api/docs',
+		openapi: '/api/openapi.json',
+		endpoints: Object.fromEntries(sections.map(({ path, description }) => [`/api${path}`, description]))
 	});
 });
 
+// OpenAPI document (no authentication required)
+router.get('/openapi.json', (req, res) => {
+	openApiDocument = openApiDocument || buildOpenApiDocument(info, sections);
+	res.status(200).json(openApiDocument);
+});
+
+// Interactive API documentation (no authentication required)
+router.use('/docs', swaggerUi.serve, swaggerUi.setup(null, {
+	customSiteTitle: info.title,
+	swaggerOptions: { url: '/api/openapi.json' }
+}));
+
 // Mount routes
-router.use('/sessions', sessionRoutes);
-router.use('/messages', messageRoutes);
+sections.forEach(({ path, router: sectionRouter }) => router.use(path, sectionRouter));
 
 module.exports = router;
\ No newline at end of file
@@ -1,21 +1,91 @@
 const express = require('express');
 const router = express.Router();
 const messageController = require('../controllers/messageController');
-const { authenticateToken } = require('../middlewares/auth');
+const batchService = require('../services/batch');
+const importService = require('../services/import');
+const trackingService = require('../services/tracking');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/message');
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
 
+// Units of resources addressed by ID, checked against the API key scope
+const batchUnit = async (req) => {
+	const batch = await batchService.getBatch(req.params.batchId);
+	return batch && batch.unitId;
+};
+const importUnit = async (req) => {
+	const recipientImport = await importService.getImport(req.params.importId);
+	return recipientImport && recipientImport.unitId;
+};
+const jobUnit = (req) => trackingService.getJobUnitId(req.params.jobId);
+
 // Send a message
-router.post('/send', messageController.sendMessage);
+router.post('/send', authorize('send'), validate(schemas.sendMessage), messageController.sendMessage);
 
 // Get queue statistics for all units
-router.get('/queue', messageController.getQueueStats);
+router.get('/queue', authorize('stats'), validate(schemas.getAllQueueStats), messageController.getQueueStats);
 
 // Get queue statistics for a specific unit
-router.get('/queue/:unitId', messageController.getQueueStats);
+router.get('/queue/:unitId', authorize('stats'), validate(schemas.getQueueStats), messageController.getQueueStats);
 
 // Clear queue for a specific unit
-router.delete('/queue/:unitId', messageController.clearQueue);
+router.delete('/queue/:unitId', authorize('send'), validate(schemas.clearQueue), messageController.clearQueue);
+
+// List jobs of a unit by state (?state=failed&page=1&limit=20)
+router.get('/queue/:unitId/jobs', authorize('stats'), validate(schemas.listJobs), messageController.listJobs);
+
+// Retry all failed jobs of a unit
+router.post('/queue/:unitId/retry', authorize('send'), validate(schemas.retryFailedJobs), messageController.retryFailedJobs);
+
+// Get a single job
+router.get('/queue/:unitId/jobs/:jobId', authorize('stats'), validate(schemas.getJob), messageController.getJob);
+
+// Retry a single failed job
+router.post('/queue/:unitId/jobs/:jobId/retry', authorize('send'), validate(schemas.retryJob), messageController.retryJob);
+
+// Remove a single job
+router.delete('/queue/:unitId/jobs/:jobId', authorize('send'), validate(schemas.removeJob), messageController.removeJob);
+
+// List upcoming scheduled messages of a unit
+router.get('/scheduled/:unitId', authorize('stats'), validate(schemas.listScheduled), messageController.listScheduled);
+
+// Reschedule a scheduled message
+router.patch('/scheduled/:unitId/:jobId', authorize('send'), validate(schemas.rescheduleMessage), messageController.rescheduleMessage);
+
+// Cancel a scheduled message
+router.delete('/scheduled/:unitId/:jobId', authorize('send'), validate(schemas.cancelScheduled), messageController.cancelScheduled);
+
+// Upload a CSV/XLSX recipient file and get a validation preview
+router.post('/import', authorize('send'), validate(schemas.importRecipients), messageController.importRecipients);
+
+// Get the preview of a recipient import
+router.get('/import/:importId', authorize('send', importUnit), validate(schemas.getImport), messageController.getImport);
+
+// Queue the valid recipients of an import
+router.post('/import/:importId/confirm', authorize('send', importUnit), validate(schemas.confirmImport), messageController.confirmImport);
+
+// Discard a recipient import
+router.delete('/import/:importId', authorize('send', importUnit), validate(schemas.discardImport), messageController.discardImport);
+
+// List batches of a unit (?unit_id=&page=&limit=)
+router.get('/batches', authorize('stats'), validate(schemas.listBatches), messageController.listBatches);
+
+// Get progress of a batch
+router.get('/batches/:batchId', authorize('stats', batchUnit), validate(schemas.getBatch), messageController.getBatch);
+
+// Download CSV report of a batch
+router.get('/batches/:batchId/report', authorize('stats', batchUnit), validate(schemas.getBatchReport), messageController.getBatchReport);
+
+// Cancel the remaining jobs of a batch
+router.delete('/batches/:batchId', authorize('send', batchUnit), validate(schemas.cancelBatch), messageController.cancelBatch);
+
+// Get delivery summary for a list of jobs
+router.post('/jobs/status', authorize('stats'), validate(schemas.getJobsStatusSummary), messageController.getJobsStatusSummary);
+
+// Get delivery status of a single job
+router.get('/jobs/:jobId/status', authorize('stats', jobUnit), validate(schemas.getJobStatus), messageController.getJobStatus);
 
 module.exports = router;
\ No newline at end of file
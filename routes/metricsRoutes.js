@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const metricsController = require('../controllers/metricsController');
+const { authenticateMetrics } = require('../middlewares/auth');
+
+// Prometheus scrape endpoint, protected by METRICS_TOKEN when set
+router.get('/', authenticateMetrics, metricsController.getMetrics);
+
+module.exports = router;
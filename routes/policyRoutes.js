@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const policyController = require('../controllers/policyController');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/policy');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// Get sending policy and quota usage for a unit
+router.get('/:unitId', authorize('stats'), validate(schemas.getPolicy), policyController.getPolicy);
+
+// Create or replace sending policy for a unit
+router.put('/:unitId', authorize('admin'), validate(schemas.setPolicy), policyController.setPolicy);
+
+// Delete sending policy for a unit
+router.delete('/:unitId', authorize('admin'), validate(schemas.deletePolicy), policyController.deletePolicy);
+
+module.exports = router;
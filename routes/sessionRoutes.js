@@ -1,24 +1,41 @@
 const express = require('express');
 const router = express.Router();
 const sessionController = require('../controllers/sessionController');
-const { authenticateToken } = require('../middlewares/auth');
+const { authenticateToken, acceptQueryToken, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/session');
+
+// EventSource cannot send headers, the login stream also accepts ?token=
+router.use('/:unitId/qr/stream', acceptQueryToken);
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
 
 // Create a new WhatsApp session
-router.post('/', sessionController.createSession);
+router.post('/', authorize('sessions'), validate(schemas.createSession), sessionController.createSession);
 
 // Get all WhatsApp sessions
-router.get('/', sessionController.getAllSessions);
+router.get('/', authorize('stats'), validate(schemas.getAllSessions), sessionController.getAllSessions);
 
 // Get a specific WhatsApp session
-router.get('/:unitId', sessionController.getSessionByUnitId);
+router.get('/:unitId', authorize('stats'), validate(schemas.getSessionByUnitId), sessionController.getSessionByUnitId);
 
 // Get QR code for a WhatsApp session
-router.get('/:unitId/qr', sessionController.getSessionQR);
+router.get('/:unitId/qr', authorize('sessions'), validate(schemas.getSessionQR), sessionController.getSessionQR);
+
+// Stream new QR codes, pairing codes and the login status (Server-Sent Events)
+router.get('/:unitId/qr/stream', authorize('sessions'), validate(schemas.streamSessionQR), sessionController.streamSessionQR);
+
+// Request a pairing code to link by phone number instead of scanning the QR code
+router.post('/:unitId/pairing-code', authorize('sessions'), validate(schemas.requestPairingCode), sessionController.requestPairingCode);
+
+// Get settings of a unit (default phone country)
+router.get('/:unitId/settings', authorize('stats'), validate(schemas.getSessionSettings), sessionController.getSessionSettings);
+
+// Change settings of a unit
+router.put('/:unitId/settings', authorize('sessions'), validate(schemas.updateSessionSettings), sessionController.updateSessionSettings);
 
 // Delete a WhatsApp session
-router.delete('/:unitId', sessionController.deleteSession);
+router.delete('/:unitId', authorize('sessions'), validate(schemas.deleteSession), sessionController.deleteSession);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const simulatorController = require('../controllers/simulatorController');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/simulator');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// Get the simulated connection of a unit
+router.get('/:unitId', authorize('admin'), validate(schemas.inspect), simulatorController.inspect);
+
+// Change the simulated behaviour of a unit
+router.put('/:unitId', authorize('admin'), validate(schemas.configure), simulatorController.configure);
+
+// Scan the QR code of a unit
+router.post('/:unitId/scan', authorize('admin'), validate(schemas.scan), simulatorController.scan);
+
+// Drop the connection of a unit
+router.post('/:unitId/disconnect', authorize('admin'), validate(schemas.disconnect), simulatorController.disconnect);
+
+// Deliver an inbound message to a unit
+router.post('/:unitId/inbound', authorize('admin'), validate(schemas.receive), simulatorController.receive);
+
+module.exports = router;
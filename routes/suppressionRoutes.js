@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const suppressionController = require('../controllers/suppressionController');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/suppression');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// The global list applies to every unit, only unrestricted admins may change it
+const allUnits = () => '*';
+
+// List globally suppressed numbers (?page=&limit=&search=)
+router.get('/global', authorize('stats'), validate(schemas.listGlobalSuppressions), suppressionController.listSuppressions);
+
+// Add numbers to the global suppression list
+router.post('/global', authorize('admin', allUnits), validate(schemas.addGlobalSuppressions), suppressionController.addSuppressions);
+
+// Import numbers from a CSV/XLSX file into the global suppression list
+router.post('/global/import', authorize('admin', allUnits), validate(schemas.importGlobalSuppressions), suppressionController.importSuppressions);
+
+// Remove a number from the global suppression list
+router.delete('/global/:phone', authorize('admin', allUnits), validate(schemas.removeGlobalSuppression), suppressionController.removeSuppression);
+
+// List suppressed numbers of a unit (?page=&limit=&search=)
+router.get('/:unitId', authorize('stats'), validate(schemas.listSuppressions), suppressionController.listSuppressions);
+
+// Add numbers to the suppression list of a unit
+router.post('/:unitId', authorize('send'), validate(schemas.addSuppressions), suppressionController.addSuppressions);
+
+// Import numbers from a CSV/XLSX file into the suppression list of a unit
+router.post('/:unitId/import', authorize('send'), validate(schemas.importSuppressions), suppressionController.importSuppressions);
+
+// Remove a number from the suppression list of a unit
+router.delete('/:unitId/:phone', authorize('send'), validate(schemas.removeSuppression), suppressionController.removeSuppression);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const templateController = require('../controllers/templateController');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/template');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// Templates are shared by all units, only unrestricted admins may change them
+const allUnits = () => '*';
+
+// Create a message template
+router.post('/', authorize('admin', allUnits), validate(schemas.createTemplate), templateController.createTemplate);
+
+// Get all message templates
+router.get('/', authorize('send'), validate(schemas.getAllTemplates), templateController.getAllTemplates);
+
+// Get a specific message template
+router.get('/:templateId', authorize('send'), validate(schemas.getTemplate), templateController.getTemplate);
+
+// Update a message template
+router.put('/:templateId', authorize('admin', allUnits), validate(schemas.updateTemplate), templateController.updateTemplate);
+
+// Delete a message template
+router.delete('/:templateId', authorize('admin', allUnits), validate(schemas.deleteTemplate), templateController.deleteTemplate);
+
+// Render a template with variables
+router.post('/:templateId/preview', authorize('send'), validate(schemas.previewTemplate), templateController.previewTemplate);
+
+module.exports = router;
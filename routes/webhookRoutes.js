@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../schemas/webhook');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// Get webhook configuration for a unit
+router.get('/:unitId', authorize('sessions'), validate(schemas.getWebhook), webhookController.getWebhook);
+
+// Create or replace webhook configuration for a unit
+router.put('/:unitId', authorize('sessions'), validate(schemas.setWebhook), webhookController.setWebhook);
+
+// Delete webhook configuration for a unit
+router.delete('/:unitId', authorize('sessions'), validate(schemas.deleteWebhook), webhookController.deleteWebhook);
+
+// Send a test event to a unit's webhook
+router.post('/:unitId/test', authorize('sessions'), validate(schemas.testWebhook), webhookController.testWebhook);
+
+module.exports = router;
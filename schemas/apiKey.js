@@ -0,0 +1,42 @@
+const { PERMISSIONS, ALL_UNITS } = require('../services/apiKey');
+const { object, params, list } = require('./common');
+
+const keyParams = params({ keyId: { type: 'string' } });
+
+const createKey = {
+	summary: 'Create an API key',
+	description: 'The token is only returned once.',
+	body: object({
+		name: { type: 'string', minLength: 1 },
+		units: list({ type: 'string' }, `Unit IDs the key may access, '${ALL_UNITS}' for all units`),
+		permissions: list({ type: 'string', enum: PERMISSIONS }, 'Permissions of the key')
+	}, ['name', 'units', 'permissions'])
+};
+
+const getAllKeys = {
+	summary: 'Get all API keys'
+};
+
+const getKey = {
+	summary: 'Get a specific API key',
+	params: keyParams
+};
+
+const rotateKey = {
+	summary: 'Issue a new token for an API key',
+	description: 'The previous token stops working.',
+	params: keyParams
+};
+
+const revokeKey = {
+	summary: 'Revoke an API key',
+	params: keyParams
+};
+
+module.exports = {
+	createKey,
+	getAllKeys,
+	getKey,
+	rotateKey,
+	revokeKey
+};
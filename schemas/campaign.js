@@ -0,0 +1,72 @@
+const { unitId, object, params, list, recipient, debugMode } = require('./common');
+
+const campaignParams = params({ campaignId: { type: 'string' } });
+
+const campaignFields = {
+	unit_id: unitId,
+	name: { type: 'string', minLength: 1 },
+	recipients: list(recipient, 'Recipient phone numbers or group IDs'),
+	message: { type: 'string', description: 'Message text, or caption of the media or document' },
+	media: { type: 'string', pattern: '^https?://', description: 'URL of an image, video or audio file' },
+	document: { type: 'string', pattern: '^https?://', description: 'URL of a document' },
+	cron: { type: 'string', description: 'Cron expression of the runs, e.g. "0 8 * * 1"' },
+	timezone: { type: 'string', description: 'IANA timezone of the cron expression, defaults to CAMPAIGN_TIMEZONE' },
+	debug_mode: debugMode
+};
+
+const createCampaign = {
+	summary: 'Create a recurring campaign',
+	description: 'At least one of message, media or document is required.',
+	body: object(campaignFields, ['unit_id', 'name', 'recipients', 'cron'])
+};
+
+const getAllCampaigns = {
+	summary: 'Get all campaigns',
+	query: object({ unit_id: unitId })
+};
+
+const getCampaign = {
+	summary: 'Get a specific campaign',
+	params: campaignParams
+};
+
+const updateCampaign = {
+	summary: 'Update a campaign',
+	description: 'Only the given fields change.',
+	params: campaignParams,
+	body: object(campaignFields)
+};
+
+const deleteCampaign = {
+	summary: 'Delete a campaign',
+	params: campaignParams
+};
+
+const pauseCampaign = {
+	summary: 'Pause a campaign',
+	params: campaignParams
+};
+
+const resumeCampaign = {
+	summary: 'Resume a campaign',
+	params: campaignParams
+};
+
+const getCampaignRuns = {
+	summary: 'Get the run history of a campaign',
+	params: campaignParams,
+	query: object({
+		limit: { type: 'integer', minimum: 1, maximum: 100, default: 20, description: 'Number of runs, newest first' }
+	})
+};
+
+module.exports = {
+	createCampaign,
+	getAllCampaigns,
+	getCampaign,
+	updateCampaign,
+	deleteCampaign,
+	pauseCampaign,
+	resumeCampaign,
+	getCampaignRuns
+};
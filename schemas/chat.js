@@ -0,0 +1,46 @@
+const { MAX_HISTORY } = require('../services/chat');
+const { unitId, object, params, pagination } = require('./common');
+
+const chatId = {
+	type: 'string',
+	minLength: 1,
+	description: 'Chat ID (628123456789@c.us, 120363012345678901@g.us) or phone number'
+};
+
+const chatParams = params({ unitId, chatId });
+
+const listChats = {
+	summary: 'List the chats of a unit',
+	description: 'Most recent first, with their unread count and last message.',
+	params: params({ unitId }),
+	query: object({
+		...pagination(20, 100),
+		unread: { type: 'boolean', default: false, description: 'Only chats with unread messages' },
+		archived: { type: 'boolean', default: false, description: 'Include archived chats' }
+	})
+};
+
+const getMessages = {
+	summary: 'Get the messages of a chat',
+	description: `Newest first, page 1 holds the latest messages. Only the last ${MAX_HISTORY} messages of a chat can be paged through.`,
+	params: chatParams,
+	query: object(pagination(50, 100))
+};
+
+const getMessageMedia = {
+	summary: 'Download the media of a message',
+	description: 'Answers with the file itself. Media deleted from the phone or expired on the WhatsApp servers is no longer available (404).',
+	params: params({ unitId, chatId, messageId: { type: 'string', description: 'Serialized message ID, e.g. false_628123456789@c.us_3EB0...' } })
+};
+
+const markChatRead = {
+	summary: 'Mark a chat as read',
+	params: chatParams
+};
+
+module.exports = {
+	listChats,
+	getMessages,
+	getMessageMedia,
+	markChatRead
+};
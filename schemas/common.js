@@ -0,0 +1,155 @@
+/**
+ * JSON schema fragments shared by the route schemas
+ */
+
+const unitId = {
+	type: 'string',
+	pattern: '^[a-zA-Z0-9_-]+$',
+	description: 'Unit ID: letters, digits, dashes and underscores'
+};
+
+/**
+ * Schema of an object with the given properties
+ * @param {Object} properties Property schemas
+ * @param {Array<string>} required Required property names (optional)
+ * @returns {Object} JSON schema
+ */
+const object = (properties, required = []) => ({
+	type: 'object',
+	properties,
+	...(required.length > 0 && { required })
+});
+
+/**
+ * Schema of route parameters, all of them required
+ * @param {Object} properties Parameter schemas
+ * @returns {Object} JSON schema
+ */
+const params = (properties) => object(properties, Object.keys(properties));
+
+/**
+ * Schema of a list given as array or comma separated string, as form-data cannot send arrays
+ * @param {Object} items Item schema
+ * @param {string} description List description
+ * @returns {Object} JSON schema
+ */
+const list = (items, description) => ({
+	type: ['array', 'string'],
+	items,
+	minItems: 1,
+	minLength: 1,
+	description: `${description}, as array or comma separated string`
+});
+
+/**
+ * Schema of page and limit query parameters
+ * @param {number} defaultLimit Default page size
+ * @param {number} maxLimit Largest page size
+ * @returns {Object} Property schemas
+ */
+const pagination = (defaultLimit, maxLimit) => ({
+	page: { type: 'integer', minimum: 1, default: 1, description: 'Page number, starting at 1' },
+	limit: { type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit, description: 'Items per page' }
+});
+
+const phone = {
+	type: ['string', 'number'],
+	description: 'Phone number in international format, or national format of the unit\'s default country'
+};
+
+// Message recipients may also be groups
+const recipient = {
+	...phone,
+	description: `${phone.description}, or group ID (120363012345678901@g.us)`
+};
+
+const country = {
+	type: 'string',
+	pattern: '^[a-zA-Z]{2}$',
+	description: 'ISO 3166-1 alpha-2 country code, e.g. ID'
+};
+
+const sendAt = {
+	type: 'string',
+	description: 'ISO 8601 timestamp with timezone to schedule the message, e.g. 2024-05-01T08:00:00+07:00'
+};
+
+const debugMode = {
+	type: 'boolean',
+	description: 'Send without the random delay and sending policy, defaults to DEBUG_MODE'
+};
+
+const variables = {
+	type: ['object', 'string'],
+	description: 'Template variables shared by all recipients, a JSON string in form-data'
+};
+
+const token = {
+	type: 'string',
+	description: 'API token, for clients such as EventSource that cannot set the x-api-token header'
+};
+
+const location = object({
+	latitude: { type: 'number', minimum: -90, maximum: 90 },
+	longitude: { type: 'number', minimum: -180, maximum: 180 },
+	name: { type: 'string', description: 'Place name, e.g. the store name' },
+	address: { type: 'string' },
+	url: { type: 'string', format: 'uri', description: 'Link shown with the location' }
+}, ['latitude', 'longitude']);
+
+const contactCard = object({
+	name: { type: 'string', minLength: 1 },
+	phone,
+	organization: { type: 'string' },
+	email: { type: 'string', format: 'email' }
+}, ['name', 'phone']);
+
+// WhatsApp polls have 2 to 12 distinct options
+const poll = object({
+	question: { type: 'string', minLength: 1, maxLength: 255 },
+	options: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 100 }, minItems: 2, maxItems: 12, uniqueItems: true },
+	allow_multiple: { type: 'boolean', default: false, description: 'Let recipients pick more than one option' }
+}, ['question', 'options']);
+
+// Content of an outgoing message, each field sends its own message, uploads may replace the files
+const messageContent = {
+	message: { type: 'string', description: 'Message text, or caption of the media or document' },
+	media: { type: 'string', description: 'URL of an image, video or audio file' },
+	view_once: { type: 'boolean', description: 'Send the media image or video as view once' },
+	document: { type: 'string', description: 'URL of a document' },
+	sticker: { type: 'string', description: 'URL of an image sent as sticker' },
+	voice: { type: 'string', description: 'URL of an audio file sent as voice note' },
+	location: { ...location, description: 'Location pin, JSON body only' },
+	contact: { ...contactCard, description: 'Contact card, JSON body only' },
+	poll: { ...poll, description: 'Poll, JSON body only' },
+	template_id: { type: 'string', description: 'Template used as message text' },
+	variables,
+	send_at: sendAt,
+	debug_mode: debugMode
+};
+
+const messageUploads = {
+	properties: {
+		media: { description: 'Image, video or audio file' },
+		document: { description: 'Document file' },
+		sticker: { description: 'Image file sent as sticker' },
+		voice: { description: 'Audio file sent as voice note' }
+	}
+};
+
+module.exports = {
+	unitId,
+	object,
+	params,
+	list,
+	pagination,
+	phone,
+	recipient,
+	country,
+	sendAt,
+	debugMode,
+	variables,
+	token,
+	messageContent,
+	messageUploads
+};
@@ -0,0 +1,15 @@
+const { unitId, object, list, phone } = require('./common');
+
+const checkContacts = {
+	summary: 'Check which numbers are on WhatsApp',
+	description: 'Cached results (CONTACT_CACHE_TTL) are returned right away, other numbers are looked up through the unit\'s session at CONTACT_CHECK_RATE per minute. Numbers not looked up within CONTACT_CHECK_WAIT are returned as pending with status 202, checking them again later returns their result.',
+	body: object({
+		unit_id: unitId,
+		numbers: list(phone, 'Phone numbers, at most CONTACT_CHECK_MAX'),
+		refresh: { type: 'boolean', default: false, description: 'Look numbers up again even when cached' }
+	}, ['unit_id', 'numbers'])
+};
+
+module.exports = {
+	checkContacts
+};
@@ -0,0 +1,16 @@
+const { object, token } = require('./common');
+
+const streamEvents = {
+	summary: 'Stream session and job events',
+	description: 'Server-Sent Events of the units the API key may access.',
+	query: object({
+		unit_id: { type: 'string', description: 'Comma separated unit IDs, all accessible units when omitted' },
+		events: { type: 'string', description: 'Comma separated events: session_status, job_status' },
+		batch_id: { type: 'string', description: 'Only job events of this batch' },
+		token
+	})
+};
+
+module.exports = {
+	streamEvents
+};
@@ -0,0 +1,72 @@
+const { PARTICIPANT_ACTIONS } = require('../services/group');
+const { unitId, object, params, list, phone } = require('./common');
+
+const groupId = {
+	type: 'string',
+	pattern: '^\\d+(-\\d+)?(@g\\.us)?$',
+	description: 'Group ID, e.g. 120363012345678901@g.us (the @g.us suffix may be left out)'
+};
+
+const unitParams = params({ unitId });
+const groupParams = params({ unitId, groupId });
+
+const participants = list(phone, 'Participant phone numbers');
+
+const listGroups = {
+	summary: 'List the groups of a unit',
+	description: 'Groups the unit\'s WhatsApp number is in, without their participants.',
+	params: unitParams
+};
+
+const createGroup = {
+	summary: 'Create a group',
+	description: 'The unit\'s WhatsApp number becomes the group admin. Participants that cannot be added are reported with their result code, WhatsApp sends them an invite when their privacy settings require one.',
+	params: unitParams,
+	body: object({
+		name: { type: 'string', minLength: 1, maxLength: 100 },
+		participants
+	}, ['name'])
+};
+
+const getGroup = {
+	summary: 'Get a group with its participants',
+	params: groupParams
+};
+
+const updateGroup = {
+	summary: 'Change the subject or description of a group',
+	params: groupParams,
+	body: object({
+		subject: { type: 'string', minLength: 1, maxLength: 100 },
+		description: { type: 'string', maxLength: 2048, description: 'Empty to remove the description' }
+	})
+};
+
+const updateParticipants = {
+	summary: 'Add, remove, promote or demote participants of a group',
+	description: 'The unit\'s WhatsApp number has to be an admin of the group. The result of every participant is returned.',
+	params: params({ unitId, groupId, action: { type: 'string', enum: PARTICIPANT_ACTIONS } }),
+	body: object({ participants }, ['participants'])
+};
+
+const getInviteLink = {
+	summary: 'Get the invite link of a group',
+	description: 'The unit\'s WhatsApp number has to be an admin of the group.',
+	params: groupParams
+};
+
+const revokeInviteLink = {
+	summary: 'Replace the invite link of a group',
+	description: 'The previous link stops working. The unit\'s WhatsApp number has to be an admin of the group.',
+	params: groupParams
+};
+
+module.exports = {
+	listGroups,
+	createGroup,
+	getGroup,
+	updateGroup,
+	updateParticipants,
+	getInviteLink,
+	revokeInviteLink
+};
@@ -0,0 +1,25 @@
+const getHealth = {
+	summary: 'Health check'
+};
+
+const getLiveness = {
+	summary: 'Liveness probe',
+	description: 'The process is running.'
+};
+
+const getReadiness = {
+	summary: 'Readiness probe',
+	description: 'Checks Redis, queues, sessions and disk space, answers 503 when a component is down. Only the status of each component is returned.'
+};
+
+const getReadinessDetails = {
+	summary: 'Readiness report',
+	description: 'Same checks as the readiness probe, with the queues, sessions, errors and disk paths of each component.'
+};
+
+module.exports = {
+	getHealth,
+	getLiveness,
+	getReadiness,
+	getReadinessDetails
+};
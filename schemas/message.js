@@ -0,0 +1,184 @@
+const { LISTABLE_STATES } = require('../services/queue');
+const { unitId, object, params, list, pagination, recipient, sendAt, messageContent, messageUploads } = require('./common');
+
+const unitParams = params({ unitId });
+const jobParams = params({ unitId, jobId: { type: 'string' } });
+const batchParams = params({ batchId: { type: 'string' } });
+const importParams = params({ importId: { type: 'string' } });
+
+// A phone number or group ID, or one with its own template variables
+const recipientEntry = {
+	anyOf: [
+		recipient,
+		object({
+			phone: recipient,
+			variables: { type: 'object', description: 'Template variables of this recipient' }
+		}, ['phone'])
+	]
+};
+
+const sendMessage = {
+	summary: 'Send a message',
+	description: 'Queues a message to one or more recipients. At least one of message, media, document, sticker, voice, location, contact, poll or template_id is required. Each is sent as its own message, except message which captions media or document. media, document, sticker and voice may also be uploaded as form-data files.',
+	body: object({
+		unit_id: unitId,
+		recipients: {
+			type: ['array', 'string', 'number'],
+			items: recipientEntry,
+			minItems: 1,
+			minLength: 1,
+			description: 'Recipients as array, JSON string or comma separated string'
+		},
+		...messageContent
+	}, ['unit_id', 'recipients']),
+	files: messageUploads
+};
+
+const getAllQueueStats = {
+	summary: 'Get queue statistics for all units'
+};
+
+const getQueueStats = {
+	summary: 'Get queue statistics for a unit',
+	params: unitParams
+};
+
+const clearQueue = {
+	summary: 'Clear the queue of a unit',
+	params: unitParams
+};
+
+const listJobs = {
+	summary: 'List jobs of a unit by state',
+	params: unitParams,
+	query: object({
+		state: { type: 'string', enum: LISTABLE_STATES, default: 'failed' },
+		...pagination(20, 100)
+	})
+};
+
+const retryFailedJobs = {
+	summary: 'Retry all failed jobs of a unit',
+	params: unitParams
+};
+
+const getJob = {
+	summary: 'Get a single job',
+	params: jobParams
+};
+
+const retryJob = {
+	summary: 'Retry a single failed job',
+	params: jobParams
+};
+
+const removeJob = {
+	summary: 'Remove a single job',
+	params: jobParams
+};
+
+const listScheduled = {
+	summary: 'List upcoming scheduled messages of a unit',
+	params: unitParams
+};
+
+const rescheduleMessage = {
+	summary: 'Reschedule a scheduled message',
+	description: 'Only a message no worker has taken yet can be moved, otherwise the request answers 409.',
+	params: jobParams,
+	body: object({ send_at: sendAt }, ['send_at'])
+};
+
+const cancelScheduled = {
+	summary: 'Cancel a scheduled message',
+	params: jobParams
+};
+
+const importRecipients = {
+	summary: 'Upload a CSV/XLSX recipient file',
+	description: 'Returns a validation preview, confirm the import to queue the messages.',
+	body: object({
+		unit_id: unitId,
+		phone_column: { type: 'string', description: 'Column holding the phone numbers, detected when omitted' }
+	}, ['unit_id']),
+	files: {
+		properties: { file: { description: 'CSV or XLSX file' } },
+		required: ['file']
+	}
+};
+
+const getImport = {
+	summary: 'Get the preview of a recipient import',
+	params: importParams
+};
+
+const confirmImport = {
+	summary: 'Queue the valid recipients of an import',
+	description: 'At least one of message, media, document, sticker, voice, location, contact, poll or template_id is required, other columns of the file are template variables.',
+	params: importParams,
+	body: object(messageContent),
+	files: messageUploads
+};
+
+const discardImport = {
+	summary: 'Discard a recipient import',
+	params: importParams
+};
+
+const listBatches = {
+	summary: 'List batches of a unit',
+	query: object({
+		unit_id: unitId,
+		...pagination(20, 100)
+	}, ['unit_id'])
+};
+
+const getBatch = {
+	summary: 'Get the progress of a batch',
+	params: batchParams
+};
+
+const getBatchReport = {
+	summary: 'Download the CSV report of a batch',
+	params: batchParams
+};
+
+const cancelBatch = {
+	summary: 'Cancel the remaining jobs of a batch',
+	params: batchParams
+};
+
+const getJobsStatusSummary = {
+	summary: 'Get the delivery summary of a list of jobs',
+	body: object({ job_ids: list({ type: 'string' }, 'Job IDs') }, ['job_ids'])
+};
+
+const getJobStatus = {
+	summary: 'Get the delivery status of a single job',
+	params: params({ jobId: { type: 'string' } })
+};
+
+module.exports = {
+	sendMessage,
+	getAllQueueStats,
+	getQueueStats,
+	clearQueue,
+	listJobs,
+	retryFailedJobs,
+	getJob,
+	retryJob,
+	removeJob,
+	listScheduled,
+	rescheduleMessage,
+	cancelScheduled,
+	importRecipients,
+	getImport,
+	confirmImport,
+	discardImport,
+	listBatches,
+	getBatch,
+	getBatchReport,
+	cancelBatch,
+	getJobsStatusSummary,
+	getJobStatus
+};
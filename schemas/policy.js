@@ -0,0 +1,51 @@
+const { unitId, object, params } = require('./common');
+
+const unitParams = params({ unitId });
+
+const positiveInteger = { type: 'integer', minimum: 1 };
+const timeOfDay = { type: 'string', pattern: '^\\d{1,2}:\\d{2}$', description: 'Time in HH:mm format' };
+
+const getPolicy = {
+	summary: 'Get the sending policy and quota usage of a unit',
+	params: unitParams
+};
+
+const setPolicy = {
+	summary: 'Create or replace the sending policy of a unit',
+	description: 'At least one of window, limits or warmup is required.',
+	params: unitParams,
+	body: object({
+		timezone: { type: 'string', description: 'IANA timezone of the window and daily quotas, defaults to CAMPAIGN_TIMEZONE' },
+		window: object({
+			start: timeOfDay,
+			end: timeOfDay,
+			days: {
+				type: 'array',
+				items: { type: 'integer', minimum: 0, maximum: 6 },
+				minItems: 1,
+				description: 'Weekdays, 0 (Sunday) to 6 (Saturday), defaults to every day'
+			}
+		}, ['start', 'end']),
+		limits: object({
+			per_hour: { ...positiveInteger, type: ['integer', 'null'] },
+			per_day: { ...positiveInteger, type: ['integer', 'null'] }
+		}),
+		warmup: object({
+			enabled: { type: 'boolean', default: true },
+			initial_daily: { ...positiveInteger, description: 'Daily quota of the first day' },
+			daily_increment: { type: 'integer', minimum: 0, description: 'Added to the quota every day' },
+			started_at: { type: 'string', description: 'Start date of the warm-up, defaults to the stored start date, or now for a new warm-up' }
+		})
+	})
+};
+
+const deletePolicy = {
+	summary: 'Delete the sending policy of a unit',
+	params: unitParams
+};
+
+module.exports = {
+	getPolicy,
+	setPolicy,
+	deletePolicy
+};
@@ -0,0 +1,79 @@
+const { unitId, object, params, phone, country, token } = require('./common');
+
+const unitParams = params({ unitId });
+
+const createSession = {
+	summary: 'Create a new WhatsApp session',
+	description: 'Starts the login, scan the QR code or pass phone_number to link with a pairing code instead.',
+	body: object({
+		unit_id: unitId,
+		default_country: country,
+		phone_number: { ...phone, description: 'Phone to link with a pairing code instead of the QR code' }
+	}, ['unit_id'])
+};
+
+const getAllSessions = {
+	summary: 'Get all WhatsApp sessions'
+};
+
+const getSessionByUnitId = {
+	summary: 'Get a specific WhatsApp session',
+	description: 'Includes the reconnect state and the latest status changes, and the QR and pairing codes for keys with the sessions permission.',
+	params: unitParams
+};
+
+const getSessionQR = {
+	summary: 'Get the QR code of a WhatsApp session',
+	params: unitParams,
+	query: object({
+		format: { type: 'string', enum: ['json', 'png', 'svg'], default: 'json', description: 'Raw QR string as JSON, or a rendered image' },
+		size: { type: 'integer', minimum: 100, maximum: 1000, default: 300, description: 'Width of a rendered image in pixels' }
+	})
+};
+
+const streamSessionQR = {
+	summary: 'Stream QR codes, pairing codes and the login status',
+	description: 'Server-Sent Events with status, qr and pairing_code events, the stream ends once the session is ready.',
+	params: unitParams,
+	query: object({ token })
+};
+
+const requestPairingCode = {
+	summary: 'Request a pairing code',
+	description: 'Links the session by entering the code on the phone instead of scanning the QR code.',
+	params: unitParams,
+	body: object({ phone_number: phone }, ['phone_number'])
+};
+
+const getSessionSettings = {
+	summary: 'Get the settings of a unit',
+	params: unitParams
+};
+
+const updateSessionSettings = {
+	summary: 'Change the settings of a unit',
+	params: unitParams,
+	body: object({
+		default_country: {
+			type: ['string', 'null'],
+			description: 'ISO 3166-1 alpha-2 country code of national phone numbers, null to use PHONE_DEFAULT_COUNTRY'
+		}
+	})
+};
+
+const deleteSession = {
+	summary: 'Delete a WhatsApp session',
+	params: unitParams
+};
+
+module.exports = {
+	createSession,
+	getAllSessions,
+	getSessionByUnitId,
+	getSessionQR,
+	streamSessionQR,
+	requestPairingCode,
+	getSessionSettings,
+	updateSessionSettings,
+	deleteSession
+};
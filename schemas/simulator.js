@@ -0,0 +1,67 @@
+const { unitId, object, params, list } = require('./common');
+const { ACKS, HANG } = require('../services/transports/simulator');
+
+const unitParams = params({ unitId });
+
+const inspect = {
+	summary: 'Get the simulated connection of a unit',
+	description: 'State, simulated WhatsApp number, behaviour and the last messages sent.',
+	params: unitParams
+};
+
+const configure = {
+	summary: 'Change the simulated behaviour of a unit',
+	description: 'Applies to the current connection, reconnects and new sessions start again from the WA_SIMULATOR_* settings.',
+	params: unitParams,
+	body: object({
+		login: { type: 'string', enum: ['auto', 'qr'], description: 'auto links after showing the QR code, qr waits for a simulated scan' },
+		delay: { type: 'integer', minimum: 0, maximum: 60000, description: 'Delay between simulated events in milliseconds' },
+		ack: { type: 'string', enum: Object.keys(ACKS), description: 'Last acknowledgement of sent messages' },
+		unregistered: { ...list({ type: 'string' }, 'Numbers reported as not on WhatsApp, prefixes end with *'), minItems: 0, minLength: 0 },
+		business: { ...list({ type: 'string' }, 'Numbers reported as business accounts, prefixes end with *'), minItems: 0, minLength: 0 },
+		failure_rate: { type: 'number', minimum: 0, maximum: 1, description: 'Share of sends failing' },
+		fail_next: { type: 'integer', minimum: 0, description: 'Number of next sends failing' },
+		state: {
+			type: ['string', 'null'],
+			description: `Connection state reported to the watchdog instead of the real one, ${HANG} never answers, null clears`
+		}
+	})
+};
+
+const scan = {
+	summary: 'Scan the QR code of a unit',
+	params: unitParams
+};
+
+const disconnect = {
+	summary: 'Drop the connection of a unit',
+	description: 'LOGOUT unlinks the unit, any other reason lets it reconnect without a QR code.',
+	params: unitParams,
+	body: object({
+		reason: { type: 'string', default: 'SIMULATED', description: 'Disconnect reason, e.g. LOGOUT or NAVIGATION' }
+	})
+};
+
+const receive = {
+	summary: 'Deliver an inbound message to a unit',
+	params: unitParams,
+	body: object({
+		from: { type: ['string', 'number'], minLength: 1, description: 'Sender number or chat ID, a group ID for group messages' },
+		author: { type: ['string', 'number'], description: 'Sender number of a group message' },
+		body: { type: 'string', description: 'Message text, the caption of media' },
+		type: { type: 'string', description: 'Message type, defaults to chat or image with media' },
+		media: object({
+			mimetype: { type: 'string', minLength: 1 },
+			data: { type: 'string', minLength: 1, description: 'Base64 encoded content' },
+			filename: { type: 'string' }
+		}, ['mimetype', 'data'])
+	}, ['from', 'body'])
+};
+
+module.exports = {
+	inspect,
+	configure,
+	scan,
+	disconnect,
+	receive
+};
@@ -0,0 +1,77 @@
+const { unitId, object, params, list, pagination, phone } = require('./common');
+
+const listQuery = object({
+	...pagination(50, 500),
+	search: { type: 'string', description: 'Only numbers containing these digits' }
+});
+
+const addBody = object({
+	phones: list(phone, 'Phone numbers'),
+	reason: { type: 'string' }
+}, ['phones']);
+
+const importBody = object({
+	phone_column: { type: 'string', description: 'Column holding the phone numbers, detected when omitted' },
+	reason: { type: 'string' }
+});
+
+const importFiles = {
+	properties: { file: { description: 'CSV or XLSX file' } },
+	required: ['file']
+};
+
+const listGlobalSuppressions = {
+	summary: 'List globally suppressed numbers',
+	query: listQuery
+};
+
+const addGlobalSuppressions = {
+	summary: 'Add numbers to the global suppression list',
+	body: addBody
+};
+
+const importGlobalSuppressions = {
+	summary: 'Import numbers from a CSV/XLSX file into the global suppression list',
+	body: importBody,
+	files: importFiles
+};
+
+const removeGlobalSuppression = {
+	summary: 'Remove a number from the global suppression list',
+	params: params({ phone: { type: 'string' } })
+};
+
+const listSuppressions = {
+	summary: 'List suppressed numbers of a unit',
+	params: params({ unitId }),
+	query: listQuery
+};
+
+const addSuppressions = {
+	summary: 'Add numbers to the suppression list of a unit',
+	params: params({ unitId }),
+	body: addBody
+};
+
+const importSuppressions = {
+	summary: 'Import numbers from a CSV/XLSX file into the suppression list of a unit',
+	params: params({ unitId }),
+	body: importBody,
+	files: importFiles
+};
+
+const removeSuppression = {
+	summary: 'Remove a number from the suppression list of a unit',
+	params: params({ unitId, phone: { type: 'string' } })
+};
+
+module.exports = {
+	listGlobalSuppressions,
+	addGlobalSuppressions,
+	importGlobalSuppressions,
+	removeGlobalSuppression,
+	listSuppressions,
+	addSuppressions,
+	importSuppressions,
+	removeSuppression
+};
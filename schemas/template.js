@@ -0,0 +1,49 @@
+const { object, params } = require('./common');
+
+const templateParams = params({ templateId: { type: 'string' } });
+
+const templateFields = {
+	name: { type: 'string', minLength: 1 },
+	body: { type: 'string', minLength: 1, description: 'Message text with {{placeholders}}' },
+	description: { type: ['string', 'null'] }
+};
+
+const createTemplate = {
+	summary: 'Create a message template',
+	body: object(templateFields, ['name', 'body'])
+};
+
+const getAllTemplates = {
+	summary: 'Get all message templates'
+};
+
+const getTemplate = {
+	summary: 'Get a specific message template',
+	params: templateParams
+};
+
+const updateTemplate = {
+	summary: 'Update a message template',
+	params: templateParams,
+	body: object(templateFields)
+};
+
+const deleteTemplate = {
+	summary: 'Delete a message template',
+	params: templateParams
+};
+
+const previewTemplate = {
+	summary: 'Render a template with variables',
+	params: templateParams,
+	body: object({ variables: { type: 'object', description: 'Values of the placeholders' } })
+};
+
+module.exports = {
+	createTemplate,
+	getAllTemplates,
+	getTemplate,
+	updateTemplate,
+	deleteTemplate,
+	previewTemplate
+};
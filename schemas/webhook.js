@@ -0,0 +1,37 @@
+const { WEBHOOK_EVENTS } = require('../services/webhook');
+const { unitId, object, params, list } = require('./common');
+
+const unitParams = params({ unitId });
+
+const getWebhook = {
+	summary: 'Get the webhook of a unit',
+	params: unitParams
+};
+
+const setWebhook = {
+	summary: 'Create or replace the webhook of a unit',
+	params: unitParams,
+	body: object({
+		url: { type: 'string', format: 'uri', pattern: '^https?://', description: 'http or https URL receiving the events' },
+		secret: { type: 'string', description: 'HMAC secret of the signature header, generated when omitted' },
+		events: list({ type: 'string', enum: ['*', ...WEBHOOK_EVENTS] }, 'Events to deliver, \'*\' for all'),
+		enabled: { type: 'boolean', default: true }
+	}, ['url'])
+};
+
+const deleteWebhook = {
+	summary: 'Delete the webhook of a unit',
+	params: unitParams
+};
+
+const testWebhook = {
+	summary: 'Send a test event to the webhook of a unit',
+	params: unitParams
+};
+
+module.exports = {
+	getWebhook,
+	setWebhook,
+	deleteWebhook,
+	testWebhook
+};
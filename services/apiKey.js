@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { getRedisClient } = require('../config/redis');
+
+// Permissions a key can hold, admin implies all others
+const PERMISSIONS = ['send', 'sessions', 'stats', 'admin'];
+
+// Unit scope granting access to every unit
+const ALL_UNITS = '*';
+
+// Prefix of generated tokens, makes leaked keys easy to recognise
+const TOKEN_PREFIX = 'wak_';
+
+const KEYS_KEY = 'wa:apikeys';
+const LAST_USED_KEY = 'wa:apikeys:last_used';
+const apiKeyKey = (keyId) => `wa:apikey:${keyId}`;
+const tokenKey = (hash) => `wa:apikey:token:${hash}`;
+
+/**
+ * Hash an API token for storage and lookup
+ * @param {string} token Plain API token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a new plain API token
+ * @returns {string} Token
+ */
+const generateToken = () => `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * Format a stored key for API responses, never exposing its hash
+ * @param {Object} apiKey Stored key
+ * @param {string} lastUsedAt Last use timestamp (optional)
+ * @returns {Object} Key details
+ */
+const formatKey = (apiKey, lastUsedAt) => {
+	const { hash, ...details } = apiKey;
+	return {
+		...details,
+		lastUsedAt: lastUsedAt || null
+	};
+};
+
+/**
+ * Get a stored key by ID
+ * @param {string} keyId Key ID
+ * @returns {Promise<Object|null>} Stored key or null if not found
+ */
+const readKey = async (keyId) => {
+	const raw = await getRedisClient().get(apiKeyKey(keyId));
+	return raw ? JSON.parse(raw) : null;
+};
+
+/**
+ * Get an API key by ID
+ * @param {string} keyId Key ID
+ * @returns {Promise<Object|null>} Key details or null if not found
+ */
+const getKey = async (keyId) => {
+	const [apiKey, lastUsedAt] = await Promise.all([
+		readKey(keyId),
+		getRedisClient().hget(LAST_USED_KEY, keyId)
+	]);
+	return apiKey ? formatKey(apiKey, lastUsedAt) : null;
+};
+
+/**
+ * List all API keys, including revoked ones
+ * @returns {Promise<Array>} Keys, oldest first
+ */
+const listKeys = async () => {
+	const ids = await getRedisClient().smembers(KEYS_KEY);
+	const keys = await Promise.all(ids.map(id => getKey(id)));
+	return keys
+		.filter(Boolean)
+		.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+/**
+ * Create an API key
+ * @param {Object} data Key fields
+ * @param {string} data.name Key name
+ * @param {Array<string>} data.units Unit IDs the key may access, or ['*'] for all
+ * @param {Array<string>} data.permissions Permissions of the key
+ * @returns {Promise<Object>} Key details with the plain token, which is not retrievable afterwards
+ */
+const createKey = async ({ name, units, permissions }) => {
+	const token = generateToken();
+	const now = new Date().toISOString();
+	const apiKey = {
+		id: uuidv4(),
+		name,
+		prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+		hash: hashToken(token),
+		units,
+		permissions,
+		createdAt: now,
+		updatedAt: now,
+		rotatedAt: null,
+		revokedAt: null
+	};
+
+	await getRedisClient().multi()
+		.set(apiKeyKey(apiKey.id), JSON.stringify(apiKey))
+		.set(tokenKey(apiKey.hash), apiKey.id)
+		.sadd(KEYS_KEY, apiKey.id)
+		.exec();
+
+	logger.info(`API key ${apiKey.id} (${name}) created for units: ${units.join(', ')}`);
+	return { ...formatKey(apiKey), token };
+};
+
+/**
+ * Replace the token of an API key, the old token stops working immediately
+ * @param {string} keyId Key ID
+ * @returns {Promise<Object|null>} Key details with the new plain token, or null if not found or revoked
+ */
+const rotateKey = async (keyId) => {
+	const apiKey = await readKey(keyId);
+	if (!apiKey || apiKey.revokedAt) return null;
+
+	const token = generateToken();
+	const now = new Date().toISOString();
+	const rotated = {
+		...apiKey,
+		prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+		hash: hashToken(token),
+		updatedAt: now,
+		rotatedAt: now
+	};
+
+	await getRedisClient().multi()
+		.del(tokenKey(apiKey.hash))
+		.set(tokenKey(rotated.hash), keyId)
+		.set(apiKeyKey(keyId), JSON.stringify(rotated))
+		.exec();
+
+	logger.info(`API key ${keyId} rotated`);
+	return { ...formatKey(rotated, await getRedisClient().hget(LAST_USED_KEY, keyId)), token };
+};
+
+/**
+ * Revoke an API key, it is kept for auditing but can no longer authenticate
+ * @param {string} keyId Key ID
+ * @returns {Promise<Object|null>} Revoked key or null if not found
+ */
+const revokeKey = async (keyId) => {
+	const apiKey = await readKey(keyId);
+	if (!apiKey) return null;
+
+	if (!apiKey.revokedAt) {
+		const now = new Date().toISOString();
+		apiKey.revokedAt = now;
+		apiKey.updatedAt = now;
+		await getRedisClient().multi()
+			.del(tokenKey(apiKey.hash))
+			.set(apiKeyKey(keyId), JSON.stringify(apiKey))
+			.exec();
+		logger.info(`API key ${keyId} revoked`);
+	}
+
+	return getKey(keyId);
+};
+
+/**
+ * Find the active key of a plain token and record its use
+ * @param {string} token Plain API token
+ * @returns {Promise<Object|null>} Stored key or null if the token is unknown or revoked
+ */
+const authenticate = async (token) => {
+	const keyId = await getRedisClient().get(tokenKey(hashToken(token)));
+	if (!keyId) return null;
+
+	const apiKey = await readKey(keyId);
+	if (!apiKey || apiKey.revokedAt) return null;
+
+	getRedisClient().hset(LAST_USED_KEY, keyId, new Date().toISOString()).catch((error) => {
+		logger.warn(`Could not record last use of API key ${keyId}: ${error.message}`);
+	});
+	return apiKey;
+};
+
+module.exports = {
+	PERMISSIONS,
+	ALL_UNITS,
+	getKey,
+	listKeys,
+	createKey,
+	rotateKey,
+	revokeKey,
+	authenticate
+};
@@ -0,0 +1,153 @@
+const config = require('../config');
+const { getRedisClient } = require('../config/redis');
+const trackingService = require('./tracking');
+const { toCsv } = require('../utils/helpers');
+
+const batchKey = (batchId) => `wa:batch:${batchId}`;
+const batchJobsKey = (batchId) => `wa:batch:${batchId}:jobs`;
+const unitBatchesKey = (unitId) => `wa:batches:${unitId}`;
+
+/**
+ * Store a batch and the jobs it fanned out to
+ * @param {string} batchId Batch ID
+ * @param {string} unitId Unique identifier for the session
+ * @param {Array<string>} jobIds Queue job IDs
+ * @param {Object} meta Additional batch fields (sendAt, source, ...)
+ * @returns {Promise<Object>} Stored batch
+ */
+const createBatch = async (batchId, unitId, jobIds, meta = {}) => {
+	const ttl = config.tracking.ttl;
+	const createdAt = new Date();
+	const batch = {
+		id: batchId,
+		unitId,
+		total: jobIds.length,
+		createdAt: createdAt.toISOString()
+	};
+	Object.keys(meta).forEach((key) => {
+		if (meta[key] !== undefined && meta[key] !== null) batch[key] = meta[key];
+	});
+
+	const multi = getRedisClient().multi();
+	multi.hset(batchKey(batchId), batch);
+	multi.expire(batchKey(batchId), ttl);
+	if (jobIds.length > 0) {
+		multi.rpush(batchJobsKey(batchId), ...jobIds);
+		multi.expire(batchJobsKey(batchId), ttl);
+	}
+	multi.zadd(unitBatchesKey(unitId), createdAt.getTime(), batchId);
+	// Forget batches whose records have expired
+	multi.zremrangebyscore(unitBatchesKey(unitId), 0, createdAt.getTime() - ttl * 1000);
+	await multi.exec();
+
+	return batch;
+};
+
+/**
+ * Get a batch without its job statuses
+ * @param {string} batchId Batch ID
+ * @returns {Promise<Object|null>} Batch or null if not found
+ */
+const getBatch = async (batchId) => {
+	const batch = await getRedisClient().hgetall(batchKey(batchId));
+	if (!batch || Object.keys(batch).length === 0) {
+		return null;
+	}
+	return {
+		...batch,
+		total: parseInt(batch.total)
+	};
+};
+
+/**
+ * Get job IDs of a batch
+ * @param {string} batchId Batch ID
+ * @returns {Promise<Array<string>>} Queue job IDs
+ */
+const getBatchJobIds = (batchId) => {
+	return getRedisClient().lrange(batchJobsKey(batchId), 0, -1);
+};
+
+/**
+ * Get progress of a batch
+ * @param {string} batchId Batch ID
+ * @returns {Promise<Object|null>} Batch with status summary and per-job records, or null if not found
+ */
+const getBatchProgress = async (batchId) => {
+	const batch = await getBatch(batchId);
+	if (!batch) return null;
+
+	const jobIds = await getBatchJobIds(batchId);
+	const { summary, jobs } = await trackingService.getStatusSummary(jobIds);
+	const finished = jobs.filter(job => !['queued', 'deferred', 'unknown'].includes(job.status)).length;
+
+	return {
+		...batch,
+		progress: {
+			...summary,
+			completed: finished === jobIds.length
+		},
+		jobs
+	};
+};
+
+/**
+ * List batches of a unit, newest first
+ * @param {string} unitId Unique identifier for the session
+ * @param {number} page Page number, starting at 1
+ * @param {number} limit Batches per page
+ * @returns {Promise<Object>} Paginated batches
+ */
+const listBatches = async (unitId, page = 1, limit = 20) => {
+	const start = (page - 1) * limit;
+	const [ids, total] = await Promise.all([
+		getRedisClient().zrevrange(unitBatchesKey(unitId), start, start + limit - 1),
+		getRedisClient().zcard(unitBatchesKey(unitId))
+	]);
+	const batches = await Promise.all(ids.map(id => getBatch(id)));
+
+	return {
+		unitId,
+		page,
+		limit,
+		total,
+		totalPages: Math.ceil(total / limit),
+		batches: batches.filter(Boolean)
+	};
+};
+
+/**
+ * Build a CSV report with the outcome of every recipient of a batch
+ * @param {string} batchId Batch ID
+ * @returns {Promise<string|null>} CSV text or null if the batch is not found
+ */
+const getBatchReport = async (batchId) => {
+	const progress = await getBatchProgress(batchId);
+	if (!progress) return null;
+
+	const headers = ['job_id', 'recipient', 'status', 'message_id', 'queued_at', 'scheduled_at', 'submitted_at', 'sent_at', 'delivered_at', 'read_at', 'failed_at', 'error'];
+	const rows = progress.jobs.map(job => [
+		job.jobId,
+		job.recipient,
+		job.status,
+		job.messageId,
+		job.queuedAt,
+		job.scheduledAt,
+		job.submittedAt,
+		job.sentAt,
+		job.deliveredAt,
+		job.readAt,
+		job.failedAt,
+		job.error
+	]);
+	return toCsv(headers, rows);
+};
+
+module.exports = {
+	createBatch,
+	getBatch,
+	getBatchJobIds,
+	getBatchProgress,
+	getBatchReport,
+	listBatches
+};
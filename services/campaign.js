@@ -0,0 +1,384 @@
+const Bull = require('bull');
+const cronParser = require('cron-parser');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getRedisClient } = require('../config/redis');
+const queueService = require('./queue');
+const sessionService = require('./session');
+
+const redisOptions = {
+	host: config.redis.host,
+	port: config.redis.port,
+	db: config.redis.db
+};
+
+if (config.redis.password) {
+  	redisOptions.password = config.redis.password;
+}
+
+// Number of runs kept in each campaign's history
+const MAX_RUN_HISTORY = 100;
+
+const CAMPAIGNS_KEY = 'wa:campaigns';
+const campaignKey = (campaignId) => `wa:campaign:${campaignId}`;
+const runsKey = (campaignId) => `wa:campaign:${campaignId}:runs`;
+
+let schedulerQueue = null;
+
+/**
+ * Get the next run time of a cron expression
+ * @param {string} cron Cron expression
+ * @param {string} timezone IANA timezone
+ * @returns {string|null} ISO timestamp or null if the expression is invalid
+ */
+const getNextRun = (cron, timezone) => {
+	try {
+		return cronParser.parseExpression(cron, { tz: timezone }).next().toDate().toISOString();
+	} catch (error) {
+		return null;
+	}
+};
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} cron Cron expression
+ * @returns {boolean}
+ */
+const isValidCron = (cron) => {
+	try {
+		cronParser.parseExpression(cron);
+		return true;
+	} catch (error) {
+		return false;
+	}
+};
+
+/**
+ * Check whether a timezone is a valid IANA timezone
+ * @param {string} timezone Timezone name, e.g. Asia/Jakarta
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+		return true;
+	} catch (error) {
+		return false;
+	}
+};
+
+/**
+ * Repeat options identifying a campaign's repeatable job
+ * @param {Object} campaign Campaign
+ * @returns {Object} Bull repeat options
+ */
+const repeatOptions = (campaign) => ({
+	cron: campaign.cron,
+	tz: campaign.timezone,
+	jobId: campaign.id
+});
+
+/**
+ * Get a campaign by ID
+ * @param {string} campaignId Campaign ID
+ * @returns {Promise<Object|null>} Campaign or null if not found
+ */
+const getCampaign = async (campaignId) => {
+	const raw = await getRedisClient().get(campaignKey(campaignId));
+	if (!raw) return null;
+	const campaign = JSON.parse(raw);
+	return {
+		...campaign,
+		nextRunAt: campaign.status === 'active' ? getNextRun(campaign.cron, campaign.timezone) : null
+	};
+};
+
+/**
+ * Save a campaign
+ * @param {Object} campaign Campaign
+ * @returns {Promise<void>}
+ */
+const saveCampaign = async (campaign) => {
+	const { nextRunAt, ...stored } = campaign;
+	await getRedisClient().multi()
+		.set(campaignKey(campaign.id), JSON.stringify(stored))
+		.sadd(CAMPAIGNS_KEY, campaign.id)
+		.exec();
+};
+
+/**
+ * List campaigns, optionally for a single unitId
+ * @param {string} unitId Unique identifier for the session (optional)
+ * @returns {Promise<Array>} Campaigns
+ */
+const listCampaigns = async (unitId) => {
+	const ids = await getRedisClient().smembers(CAMPAIGNS_KEY);
+	const campaigns = await Promise.all(ids.map(id => getCampaign(id)));
+	return campaigns
+		.filter(campaign => campaign && (!unitId || campaign.unitId === unitId))
+		.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+/**
+ * Create a campaign
+ * @param {Object} data Campaign fields
+ * @returns {Promise<Object>} Created campaign
+ */
+const createCampaign = async (data) => {
+	const now = new Date().toISOString();
+	const campaign = {
+		id: uuidv4(),
+		name: data.name,
+		unitId: data.unitId,
+		message: data.message,
+		recipients: data.recipients,
+		cron: data.cron,
+		timezone: data.timezone,
+		debugMode: Boolean(data.debugMode),
+		status: 'active',
+		createdAt: now,
+		updatedAt: now,
+		lastRunAt: null
+	};
+
+	await saveCampaign(campaign);
+	await getSchedulerQueue().add({ campaignId: campaign.id }, { repeat: repeatOptions(campaign) });
+	logger.info(`Campaign ${campaign.id} created for unitId ${campaign.unitId} (${campaign.cron} ${campaign.timezone})`);
+
+	return getCampaign(campaign.id);
+};
+
+/**
+ * Update a campaign
+ * @param {string} campaignId Campaign ID
+ * @param {Object} changes Fields to change
+ * @returns {Promise<Object|null>} Updated campaign or null if not found
+ */
+const updateCampaign = async (campaignId, changes) => {
+	const campaign = await getCampaign(campaignId);
+	if (!campaign) return null;
+
+	const updated = {
+		...campaign,
+		...changes,
+		id: campaign.id,
+		updatedAt: new Date().toISOString()
+	};
+
+	// Schedule changed, replace the repeatable job
+	const scheduleChanged = updated.cron !== campaign.cron || updated.timezone !== campaign.timezone;
+	if (scheduleChanged && campaign.status === 'active') {
+		await getSchedulerQueue().removeRepeatable(repeatOptions(campaign));
+		await getSchedulerQueue().add({ campaignId }, { repeat: repeatOptions(updated) });
+	}
+
+	await saveCampaign(updated);
+	logger.info(`Campaign ${campaignId} updated`);
+	return getCampaign(campaignId);
+};
+
+/**
+ * Delete a campaign and its schedule
+ * @param {string} campaignId Campaign ID
+ * @returns {Promise<boolean>} Whether the campaign existed
+ */
+const deleteCampaign = async (campaignId) => {
+	const campaign = await getCampaign(campaignId);
+	if (!campaign) return false;
+
+	if (campaign.status === 'active') {
+		await getSchedulerQueue().removeRepeatable(repeatOptions(campaign));
+	}
+	await getRedisClient().multi()
+		.del(campaignKey(campaignId))
+		.del(runsKey(campaignId))
+		.srem(CAMPAIGNS_KEY, campaignId)
+		.exec();
+
+	logger.info(`Campaign ${campaignId} deleted`);
+	return true;
+};
+
+/**
+ * Pause a campaign, no runs are triggered until it is resumed
+ * @param {string} campaignId Campaign ID
+ * @returns {Promise<Object|null>} Updated campaign or null if not found
+ */
+const pauseCampaign = async (campaignId) => {
+	const campaign = await getCampaign(campaignId);
+	if (!campaign) return null;
+
+	if (campaign.status === 'active') {
+		await getSchedulerQueue().removeRepeatable(repeatOptions(campaign));
+		await saveCampaign({ ...campaign, status: 'paused', updatedAt: new Date().toISOString() });
+		logger.info(`Campaign ${campaignId} paused`);
+	}
+	return getCampaign(campaignId);
+};
+
+/**
+ * Resume a paused campaign
+ * @param {string} campaignId Campaign ID
+ * @returns {Promise<Object|null>} Updated campaign or null if not found
+ */
+const resumeCampaign = async (campaignId) => {
+	const campaign = await getCampaign(campaignId);
+	if (!campaign) return null;
+
+	if (campaign.status === 'paused') {
+		await saveCampaign({ ...campaign, status: 'active', updatedAt: new Date().toISOString() });
+		await getSchedulerQueue().add({ campaignId }, { repeat: repeatOptions(campaign) });
+		logger.info(`Campaign ${campaignId} resumed`);
+	}
+	return getCampaign(campaignId);
+};
+
+/**
+ * Get run history of a campaign, newest first
+ * @param {string} campaignId Campaign ID
+ * @param {number} limit Maximum number of runs to return
+ * @returns {Promise<Array>} Runs
+ */
+const getCampaignRuns = async (campaignId, limit = MAX_RUN_HISTORY) => {
+	const runs = await getRedisClient().lrange(runsKey(campaignId), 0, limit - 1);
+	return runs.map(run => JSON.parse(run));
+};
+
+/**
+ * Record a campaign run
+ * @param {string} campaignId Campaign ID
+ * @param {Object} run Run details
+ * @returns {Promise<void>}
+ */
+const recordRun = async (campaignId, run) => {
+	await getRedisClient().multi()
+		.lpush(runsKey(campaignId), JSON.stringify(run))
+		.ltrim(runsKey(campaignId), 0, MAX_RUN_HISTORY - 1)
+		.exec();
+};
+
+/**
+ * Enqueue the messages of a campaign tick
+ * @param {Bull.Job} job Scheduler job
+ * @returns {Promise<Object>} Run details
+ */
+const runCampaign = async (job) => {
+	const { campaignId } = job.data;
+	const campaign = await getCampaign(campaignId);
+	const runAt = new Date().toISOString();
+
+	// Campaign deleted or paused while the tick was already scheduled
+	if (!campaign || campaign.status !== 'active') {
+		return { skipped: true };
+	}
+
+	let run;
+	if (!campaign.debugMode && !sessionService.isSessionReady(campaign.unitId)) {
+		run = {
+			runAt,
+			status: 'skipped',
+			reason: `WhatsApp session for unit_id ${campaign.unitId} is not ready`,
+			jobCount: 0,
+			jobIds: []
+		};
+		logger.warn(`Campaign ${campaignId} run skipped: ${run.reason}`);
+	} else {
+		const result = await queueService.queueMessage(
+			campaign.unitId,
+			campaign.recipients,
+			campaign.message,
+			campaign.debugMode,
+			{ source: `campaign:${campaignId}` }
+		);
+		run = {
+			runAt,
+			status: 'queued',
+			batchId: result.batchId,
+			jobCount: result.jobCount,
+			jobIds: result.jobs.map(queued => queued.id)
+		};
+		logger.info(`Campaign ${campaignId} queued ${result.jobCount} message(s) for unitId ${campaign.unitId}`);
+	}
+
+	await recordRun(campaignId, run);
+	await saveCampaign({ ...campaign, lastRunAt: runAt });
+	return run;
+};
+
+/**
+ * Get (or create) the campaign scheduler queue
+ * @returns {Bull.Queue} Bull queue instance
+ */
+const getSchedulerQueue = () => {
+	if (schedulerQueue) {
+		return schedulerQueue;
+	}
+
+	schedulerQueue = new Bull('whatsapp-campaigns', {
+		redis: redisOptions,
+		defaultJobOptions: {
+			removeOnComplete: 100,
+			removeOnFail: 100
+		}
+	});
+
+	schedulerQueue.process(runCampaign);
+
+	schedulerQueue.on('failed', (job, error) => {
+		logger.error(`Campaign ${job.data.campaignId} run failed: ${error.message}`);
+		recordRun(job.data.campaignId, {
+			runAt: new Date().toISOString(),
+			status: 'failed',
+			reason: error.message,
+			jobCount: 0,
+			jobIds: []
+		}).catch(() => {});
+	});
+
+	schedulerQueue.on('error', (error) => {
+		logger.error(`Campaign scheduler queue error: ${error.message}`);
+	});
+
+	return schedulerQueue;
+};
+
+/**
+ * Start processing campaign ticks and make sure every active campaign is scheduled
+ * @returns {Promise<void>}
+ */
+const startCampaignScheduler = async () => {
+	const queue = getSchedulerQueue();
+	const campaigns = await listCampaigns();
+	for (const campaign of campaigns.filter(c => c.status === 'active')) {
+		// Adding an existing repeatable job is a no-op
+		await queue.add({ campaignId: campaign.id }, { repeat: repeatOptions(campaign) });
+	}
+	logger.info(`Campaign scheduler started with ${campaigns.length} campaign(s)`);
+};
+
+/**
+ * Stop processing campaign ticks, schedules stay in Redis
+ * @returns {Promise<void>}
+ */
+const stopCampaignScheduler = async () => {
+	if (!schedulerQueue) return;
+	await schedulerQueue.close();
+	schedulerQueue = null;
+	logger.info('Campaign scheduler stopped');
+};
+
+module.exports = {
+	isValidCron,
+	isValidTimezone,
+	getCampaign,
+	listCampaigns,
+	createCampaign,
+	updateCampaign,
+	deleteCampaign,
+	pauseCampaign,
+	resumeCampaign,
+	getCampaignRuns,
+	startCampaignScheduler,
+	stopCampaignScheduler
+};
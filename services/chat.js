@@ -0,0 +1,134 @@
+const logger = require('../utils/logger');
+const { normalizePhoneNumber, createHttpError } = require('../utils/helpers');
+const sessionService = require('./session');
+const unitSettingsService = require('./unitSettings');
+
+// Deepest message history that can be paged through, WhatsApp Web loads older messages from the phone
+const MAX_HISTORY = 1000;
+
+/**
+ * Resolve a chat ID, phone numbers become @c.us chat IDs using the unit's default country
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} chatId Chat ID (628...@c.us, 120363...@g.us) or phone number
+ * @returns {Promise<string>} Chat ID
+ */
+const toChatId = async (unitId, chatId) => {
+	if (chatId.includes('@')) return chatId;
+
+	const normalized = normalizePhoneNumber(chatId, await unitSettingsService.getDefaultCountry(unitId));
+	if (!normalized.valid) {
+		throw createHttpError(`Invalid chat ID or phone number: ${chatId} (${normalized.message})`, 400);
+	}
+	return `${normalized.phone}@c.us`;
+};
+
+/**
+ * List the chats of a unit, most recent first
+ * @param {string} unitId Unique identifier for the session
+ * @param {Object} options List options
+ * @param {number} options.page Page number
+ * @param {number} options.limit Chats per page
+ * @param {boolean} options.unread Only chats with unread messages
+ * @param {boolean} options.archived Include archived chats
+ * @returns {Promise<Object>} Paginated chats
+ */
+const listChats = async (unitId, { page = 1, limit = 20, unread = false, archived = false } = {}) => {
+	const chats = (await sessionService.getReadyTransport(unitId).getChats())
+		.filter(chat => (!unread || chat.unreadCount > 0) && (archived || !chat.archived))
+		.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+
+	return {
+		unitId,
+		page,
+		limit,
+		total: chats.length,
+		totalPages: Math.ceil(chats.length / limit),
+		chats: chats.slice((page - 1) * limit, page * limit)
+	};
+};
+
+/**
+ * Get a page of the messages of a chat, newest first
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} chatId Chat ID or phone number
+ * @param {Object} options Page options
+ * @param {number} options.page Page number, 1 holds the newest messages
+ * @param {number} options.limit Messages per page
+ * @returns {Promise<Object>} { unitId, chatId, page, limit, hasMore, messages }
+ */
+const getMessages = async (unitId, chatId, { page = 1, limit = 50 } = {}) => {
+	const transport = sessionService.getReadyTransport(unitId);
+	const id = await toChatId(unitId, chatId);
+	const depth = page * limit;
+	if (depth > MAX_HISTORY) {
+		throw createHttpError(`Only the last ${MAX_HISTORY} messages of a chat can be read`, 400);
+	}
+
+	// WhatsApp Web only fetches the last messages, pages are cut from them
+	const messages = await transport.getChatMessages(id, depth);
+	if (!messages) {
+		throw createHttpError(`Chat ${id} not found for unitId: ${unitId}`, 404);
+	}
+
+	const end = messages.length - (page - 1) * limit;
+	return {
+		unitId,
+		chatId: id,
+		page,
+		limit,
+		hasMore: messages.length === depth && depth < MAX_HISTORY,
+		messages: end > 0 ? messages.slice(Math.max(end - limit, 0), end).reverse() : []
+	};
+};
+
+/**
+ * Download the media attached to a message of a chat
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} chatId Chat ID or phone number
+ * @param {string} messageId Serialized message ID, e.g. false_628...@c.us_3EB0...
+ * @returns {Promise<Object>} { mimetype, data (Buffer), filename }
+ */
+const getMessageMedia = async (unitId, chatId, messageId) => {
+	const transport = sessionService.getReadyTransport(unitId);
+	const id = await toChatId(unitId, chatId);
+
+	// Serialized IDs are <fromMe>_<chat>_<id>[_<author>]
+	if (messageId.split('_')[1] !== id) {
+		throw createHttpError(`Message ${messageId} does not belong to chat ${id}`, 404);
+	}
+
+	const media = await transport.getMessageMedia(messageId);
+	if (!media) {
+		throw createHttpError(`No media available for message ${messageId}`, 404);
+	}
+	return {
+		mimetype: media.mimetype,
+		data: Buffer.from(media.data, 'base64'),
+		filename: media.filename || null
+	};
+};
+
+/**
+ * Mark the messages of a chat as read (blue ticks for the sender)
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} chatId Chat ID or phone number
+ * @returns {Promise<Object>} { unitId, chatId }
+ */
+const markChatRead = async (unitId, chatId) => {
+	const transport = sessionService.getReadyTransport(unitId);
+	const id = await toChatId(unitId, chatId);
+
+	if (!(await transport.markChatRead(id))) {
+		throw createHttpError(`Chat ${id} not found for unitId: ${unitId}`, 404);
+	}
+	logger.info(`Marked chat ${id} as read for unitId: ${unitId}`);
+	return { unitId, chatId: id };
+};
+
+module.exports = {
+	MAX_HISTORY,
+	listChats,
+	getMessages,
+	getMessageMedia,
+	markChatRead
+};
@@ -0,0 +1,206 @@
+const Bull = require('bull');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { whatsappLogger } = require('../utils/logger');
+const { getRedisClient } = require('../config/redis');
+const { normalizePhoneNumber, createHttpError } = require('../utils/helpers');
+const sessionService = require('./session');
+const unitSettingsService = require('./unitSettings');
+
+const redisOptions = {
+	host: config.redis.host,
+	port: config.redis.port,
+	db: config.redis.db
+};
+
+if (config.redis.password) {
+	redisOptions.password = config.redis.password;
+}
+
+// Registration does not depend on the unit asking, so results are shared by all units
+const contactKey = (phone) => `wa:contact:${phone}`;
+
+// Check queues by unitId, lookups go through the unit's own WhatsApp session
+const queues = new Map();
+
+/**
+ * Get the cached check results of numbers
+ * @param {Array<string>} phones E.164 numbers without "+"
+ * @returns {Promise<Map>} Entries by number, numbers without a cached result are left out
+ */
+const getCachedContacts = async (phones) => {
+	const cached = new Map();
+	if (phones.length === 0) return cached;
+
+	const values = await getRedisClient().mget(phones.map(contactKey));
+	values.forEach((value, index) => {
+		if (value) cached.set(phones[index], JSON.parse(value));
+	});
+	return cached;
+};
+
+/**
+ * Cache the check result of a number for CONTACT_CACHE_TTL
+ * @param {string} phone E.164 number without "+"
+ * @param {Object} info { registered, name, isBusiness }
+ * @param {string} source What checked the number: check or send
+ * @returns {Promise<Object>} Cached entry
+ */
+const cacheContact = async (phone, { registered, name = null, isBusiness = null }, source) => {
+	const entry = { phone, registered, name, isBusiness, source, checkedAt: new Date().toISOString() };
+	await getRedisClient().set(contactKey(phone), JSON.stringify(entry), 'EX', config.contacts.cacheTtl);
+	return entry;
+};
+
+/**
+ * Check whether a number is on WhatsApp before sending, using the cached result when there is one
+ * @param {Object} transport Transport of the sending session
+ * @param {string} phone E.164 number without "+"
+ * @returns {Promise<boolean>}
+ */
+const isRegistered = async (transport, phone) => {
+	const cached = await getCachedContacts([phone]);
+	if (cached.has(phone)) {
+		return cached.get(phone).registered;
+	}
+
+	const registered = await transport.isRegisteredUser(`${phone}@c.us`);
+	await cacheContact(phone, { registered }, 'send');
+	return registered;
+};
+
+/**
+ * Look a number up through the unit's session and cache the result
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} phone E.164 number without "+"
+ * @returns {Promise<Object>} Cached entry
+ */
+const lookupContact = async (unitId, phone) => {
+	if (!sessionService.isSessionReady(unitId)) {
+		throw new Error(`WhatsApp session ${unitId} is not ready`);
+	}
+	const transport = sessionService.getTransportByUnitId(unitId);
+	const info = await transport.getContactInfo(`${phone}@c.us`);
+	whatsappLogger.info(`Checked ${phone} for unitId ${unitId}: ${info.registered ? 'registered' : 'not registered'}`);
+	return cacheContact(phone, info, 'check');
+};
+
+/**
+ * Get (or create) the check queue of a unit, rate limited to CONTACT_CHECK_RATE lookups per minute
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Bull.Queue} Bull queue instance
+ */
+const getCheckQueue = (unitId) => {
+	if (queues.has(unitId)) {
+		return queues.get(unitId);
+	}
+
+	const queue = new Bull(`whatsapp-contacts-${unitId}`, {
+		redis: redisOptions,
+		limiter: { max: config.contacts.rateLimit, duration: 60000 },
+		defaultJobOptions: {
+			attempts: 3,
+			backoff: { type: 'exponential', delay: 5000 },
+			removeOnComplete: true,
+			removeOnFail: true
+		}
+	});
+
+	queue.process(job => lookupContact(unitId, job.data.phone));
+
+	queue.on('failed', (job, error) => {
+		whatsappLogger.error(`Contact check of ${job.data.phone} failed for unitId ${unitId}: ${error.message}`);
+	});
+
+	queue.on('error', (error) => {
+		logger.error(`Contact check queue error for unitId ${unitId}: ${error.message}`);
+	});
+
+	queues.set(unitId, queue);
+	return queue;
+};
+
+/**
+ * Wait for check jobs to finish, at most timeout milliseconds
+ * @param {Array<Bull.Job>} jobs Check jobs
+ * @param {number} timeout Maximum time to wait in milliseconds
+ * @returns {Promise<void>}
+ */
+const waitForJobs = async (jobs, timeout) => {
+	let timer;
+	await Promise.race([
+		Promise.all(jobs.map(job => job.finished().catch(() => null))),
+		new Promise(resolve => { timer = setTimeout(resolve, timeout); })
+	]);
+	clearTimeout(timer);
+};
+
+/**
+ * Check which numbers are on WhatsApp. Cached results are returned right away, the other
+ * numbers are looked up through the unit's check queue and waited for up to CONTACT_CHECK_WAIT.
+ * Numbers still being checked are returned as pending, checking them again returns their result.
+ * @param {string} unitId Unique identifier for the session
+ * @param {Array<string>} phones Phone numbers
+ * @param {Object} options Check options
+ * @param {boolean} options.refresh Look numbers up again even when cached
+ * @returns {Promise<Object>} { contacts, pending, invalid }
+ */
+const checkContacts = async (unitId, phones, { refresh = false } = {}) => {
+	if (phones.length > config.contacts.maxNumbers) {
+		throw createHttpError(`At most ${config.contacts.maxNumbers} numbers can be checked at once`, 400);
+	}
+
+	const defaultCountry = await unitSettingsService.getDefaultCountry(unitId);
+	const invalid = [];
+	const numbers = [];
+	phones.forEach((phone) => {
+		const normalized = normalizePhoneNumber(phone, defaultCountry);
+		if (!normalized.valid) {
+			invalid.push({ input: normalized.input, reason: normalized.reason, message: normalized.message });
+		} else if (!numbers.includes(normalized.phone)) {
+			numbers.push(normalized.phone);
+		}
+	});
+
+	const cached = refresh ? new Map() : await getCachedContacts(numbers);
+	const unchecked = numbers.filter(phone => !cached.has(phone));
+
+	if (unchecked.length > 0) {
+		if (!sessionService.isSessionReady(unitId)) {
+			throw createHttpError(`WhatsApp session ${unitId} is not ready`, 409);
+		}
+
+		// A number already waiting in the queue keeps its job
+		const startedAt = new Date().toISOString();
+		const queue = getCheckQueue(unitId);
+		const jobs = await Promise.all(unchecked.map(phone => queue.add({ phone }, { jobId: `contact-${phone}` })));
+		logger.info(`Checking ${unchecked.length} number(s) for unitId: ${unitId}`);
+		await waitForJobs(jobs, config.contacts.waitTimeout);
+
+		// Refreshed numbers still have their previous result until looked up
+		(await getCachedContacts(unchecked)).forEach((entry, phone) => {
+			if (entry.checkedAt >= startedAt) cached.set(phone, entry);
+		});
+	}
+
+	return {
+		contacts: numbers.filter(phone => cached.has(phone)).map(phone => cached.get(phone)),
+		pending: numbers.filter(phone => !cached.has(phone)),
+		invalid
+	};
+};
+
+/**
+ * Close the check queues (for graceful shutdown), queued checks stay in Redis until the unit is checked again
+ * @returns {Promise<void>}
+ */
+const closeCheckQueues = async () => {
+	await Promise.all(Array.from(queues.values()).map(queue => queue.close()));
+	queues.clear();
+};
+
+module.exports = {
+	isRegistered,
+	checkContacts,
+	closeCheckQueues
+};
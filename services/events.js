@@ -0,0 +1,35 @@
+const { EventEmitter } = require('events');
+
+// Internal event bus used to fan WhatsApp and queue events out to consumers (webhooks, etc.)
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+/**
+ * Publish an event for a unitId
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} event Event name
+ * @param {Object} data Event payload
+ */
+const publish = (unitId, event, data = {}) => {
+	bus.emit('event', {
+		unitId,
+		event,
+		data,
+		timestamp: new Date().toISOString()
+	});
+};
+
+/**
+ * Subscribe to all published events
+ * @param {Function} listener Called with { unitId, event, data, timestamp }
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = (listener) => {
+	bus.on('event', listener);
+	return () => bus.off('event', listener);
+};
+
+module.exports = {
+	publish,
+	subscribe
+};
@@ -0,0 +1,133 @@
+const logger = require('../utils/logger');
+const sessionService = require('./session');
+const { createHttpError } = require('../utils/helpers');
+
+// Participant changes accepted by updateParticipants
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+/**
+ * Complete a group ID given without its @g.us suffix
+ * @param {string} groupId Group ID
+ * @returns {string} Group ID
+ */
+const toGroupId = (groupId) => (groupId.endsWith('@g.us') ? groupId : `${groupId}@g.us`);
+
+/**
+ * Get a group the unit's number is in
+ * @param {Object} transport Transport of the session
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} groupId Group ID
+ * @param {boolean} requireAdmin Whether the unit's number has to be an admin of the group
+ * @returns {Promise<Object>} Group
+ */
+const findGroup = async (transport, unitId, groupId, requireAdmin = false) => {
+	const group = await transport.getGroup(groupId);
+	if (!group) {
+		throw createHttpError(`Group ${groupId} not found for unitId: ${unitId}`, 404);
+	}
+	if (requireAdmin && !group.isAdmin) {
+		throw createHttpError(`The WhatsApp number of unitId ${unitId} is not an admin of group ${groupId}`, 409);
+	}
+	return group;
+};
+
+/**
+ * List the groups the unit's number is in
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Promise<Array>} Groups, without participants
+ */
+const listGroups = async (unitId) => {
+	const groups = await sessionService.getReadyTransport(unitId).getGroups();
+	return groups.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+};
+
+/**
+ * Get a group with its participants
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} groupId Group ID
+ * @returns {Promise<Object>} Group
+ */
+const getGroup = async (unitId, groupId) => {
+	return findGroup(sessionService.getReadyTransport(unitId), unitId, toGroupId(groupId));
+};
+
+/**
+ * Create a group with the unit's number as admin
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} name Group name
+ * @param {Array<string>} phones Participants as E.164 numbers without "+"
+ * @returns {Promise<Object>} { id, name, participants } with one result per participant
+ */
+const createGroup = async (unitId, name, phones) => {
+	const transport = sessionService.getReadyTransport(unitId);
+	const result = await transport.createGroup(name, phones.map(phone => `${phone}@c.us`));
+	logger.info(`Created group ${result.id} for unitId: ${unitId}`);
+	return result;
+};
+
+/**
+ * Change the subject and/or description of a group
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} groupId Group ID
+ * @param {Object} changes { subject, description }
+ * @returns {Promise<Object>} Updated group
+ */
+const updateGroup = async (unitId, groupId, changes) => {
+	const transport = sessionService.getReadyTransport(unitId);
+	const id = toGroupId(groupId);
+	await findGroup(transport, unitId, id);
+
+	// Groups limiting info changes to admins refuse them without an error
+	if (!(await transport.updateGroup(id, changes))) {
+		throw createHttpError(`WhatsApp refused to update group ${id}, only its admins may change it`, 409);
+	}
+	logger.info(`Updated group ${id} for unitId: ${unitId}`);
+	return findGroup(transport, unitId, id);
+};
+
+/**
+ * Add, remove, promote or demote participants of a group the unit's number administers
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} groupId Group ID
+ * @param {string} action add, remove, promote or demote
+ * @param {Array<string>} phones Participants as E.164 numbers without "+"
+ * @returns {Promise<Object>} { groupId, action, results } with one result per participant
+ */
+const updateParticipants = async (unitId, groupId, action, phones) => {
+	const transport = sessionService.getReadyTransport(unitId);
+	const id = toGroupId(groupId);
+	await findGroup(transport, unitId, id, true);
+
+	const results = await transport.updateParticipants(id, action, phones.map(phone => `${phone}@c.us`));
+	logger.info(`Participants of group ${id} for unitId ${unitId}: ${action} ${results.filter(result => result.success).length}/${results.length}`);
+	return { groupId: id, action, results };
+};
+
+/**
+ * Get the invite link of a group the unit's number administers
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} groupId Group ID
+ * @param {boolean} revoke Replace the current link, which then stops working
+ * @returns {Promise<Object>} { groupId, code, link }
+ */
+const getInviteLink = async (unitId, groupId, revoke = false) => {
+	const transport = sessionService.getReadyTransport(unitId);
+	const id = toGroupId(groupId);
+	await findGroup(transport, unitId, id, true);
+
+	const code = await transport.getGroupInviteCode(id, revoke);
+	if (revoke) {
+		logger.info(`Revoked the invite link of group ${id} for unitId: ${unitId}`);
+	}
+	return { groupId: id, code, link: `https://chat.whatsapp.com/${code}` };
+};
+
+module.exports = {
+	PARTICIPANT_ACTIONS,
+	listGroups,
+	getGroup,
+	createGroup,
+	updateGroup,
+	updateParticipants,
+	getInviteLink
+};
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { getRedisClient } = require('../config/redis');
+const { withTimeout } = require('../utils/helpers');
+const queueService = require('./queue');
+const sessionService = require('./session');
+
+// Component statuses from best to worst, the overall status is the worst one
+const STATUS_ORDER = ['up', 'degraded', 'down'];
+
+/**
+ * Check that the shared Redis connection answers
+ * @returns {Promise<Object>} Component status
+ */
+const checkRedis = async () => {
+	const start = Date.now();
+	try {
+		await withTimeout(getRedisClient().ping(), config.health.timeout);
+		return { status: 'up', latencyMs: Date.now() - start };
+	} catch (error) {
+		return { status: 'down', error: error.message };
+	}
+};
+
+/**
+ * Check the Redis connections of the message queues opened by this process
+ * @returns {Promise<Object>} Component status
+ */
+const checkQueues = async () => {
+	const queues = await queueService.getQueueHealth(config.health.timeout);
+	return {
+		status: queues.some(queue => queue.status === 'down') ? 'down' : 'up',
+		queues
+	};
+};
+
+/**
+ * Check that running sessions are connected and their browsers respond.
+ * Sessions only degrade readiness, unless HEALTH_REQUIRE_SESSION asks for a ready session.
+ * @returns {Promise<Object>} Component status
+ */
+const checkSessions = async () => {
+	const sessions = await sessionService.probeSessions(config.health.timeout);
+	const ready = sessions.filter(session => session.responsive && session.state === 'CONNECTED').length;
+
+	let status = 'up';
+	if (config.health.requireSession && ready === 0) {
+		status = 'down';
+	} else if (ready < sessions.length) {
+		status = 'degraded';
+	}
+	return { status, total: sessions.length, ready, sessions };
+};
+
+/**
+ * Get the free space of the filesystem holding a path, which may not exist yet
+ * @param {string} target Directory path
+ * @returns {Promise<Object>} { path, freeMb, totalMb }
+ */
+const getFreeSpace = async (target) => {
+	let dir = path.resolve(target);
+	while (!fs.existsSync(dir) && path.dirname(dir) !== dir) {
+		dir = path.dirname(dir);
+	}
+	const stats = await fs.promises.statfs(dir);
+	return {
+		path: target,
+		freeMb: Math.floor((stats.bavail * stats.bsize) / 1048576),
+		totalMb: Math.floor((stats.blocks * stats.bsize) / 1048576)
+	};
+};
+
+/**
+ * Check free disk space for session data and temporary media
+ * @returns {Promise<Object>} Component status
+ */
+const checkDisk = async () => {
+	try {
+		const paths = await Promise.all([
+			getFreeSpace(config.whatsapp.dataPath),
+			getFreeSpace(config.whatsapp.temporaryMediaPath)
+		]);
+		const low = paths.some(entry => entry.freeMb < config.health.minFreeDiskMb);
+		return { status: low ? 'down' : 'up', minFreeMb: config.health.minFreeDiskMb, paths };
+	} catch (error) {
+		return { status: 'down', error: error.message };
+	}
+};
+
+/**
+ * Liveness: the process runs and its event loop answers, dependencies are not checked
+ * so an outage of Redis does not get the service restarted
+ * @returns {Object} Liveness status
+ */
+const getLiveness = () => {
+	return {
+		status: 'up',
+		uptime: Math.round(process.uptime()),
+		timestamp: new Date().toISOString()
+	};
+};
+
+/**
+ * Readiness: whether the service can do its work, per component and overall
+ * @returns {Promise<Object>} Readiness status
+ */
+const getReadiness = async () => {
+	const [redis, queues, sessions, disk] = await Promise.all([
+		checkRedis(),
+		checkQueues(),
+		checkSessions(),
+		checkDisk()
+	]);
+	const components = { redis, queues, sessions, disk };
+	const status = Object.values(components)
+		.map(component => component.status)
+		.reduce((worst, current) => STATUS_ORDER.indexOf(current) > STATUS_ORDER.indexOf(worst) ? current : worst, 'up');
+
+	return {
+		status,
+		timestamp: new Date().toISOString(),
+		components
+	};
+};
+
+module.exports = {
+	getLiveness,
+	getReadiness
+};
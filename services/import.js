@@ -0,0 +1,245 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getRedisClient } = require('../config/redis');
+const { normalizePhoneNumber, createHttpError } = require('../utils/helpers');
+
+// Header names recognised as the phone column when none is given
+const PHONE_COLUMN_NAMES = ['phone', 'phone_number', 'phonenumber', 'mobile', 'number', 'whatsapp', 'wa', 'no_hp', 'nohp', 'hp', 'nomor', 'telepon'];
+
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx'];
+
+const importKey = (importId) => `wa:import:${importId}`;
+
+/**
+ * Read rows of a CSV buffer
+ * @param {Buffer} buffer File content
+ * @returns {Array<Array<string>>} Rows including the header row
+ */
+const readCsv = (buffer) => {
+	return parseCsv(buffer, {
+		bom: true,
+		delimiter: [',', ';'],
+		relax_column_count: true,
+		skip_empty_lines: false,
+		trim: true
+	});
+};
+
+/**
+ * Read rows of the first worksheet of an XLSX buffer
+ * @param {Buffer} buffer File content
+ * @returns {Promise<Array<Array<string>>>} Rows including the header row
+ */
+const readXlsx = async (buffer) => {
+	const workbook = new ExcelJS.Workbook();
+	await workbook.xlsx.load(buffer);
+	const worksheet = workbook.worksheets[0];
+	if (!worksheet) return [];
+
+	const rows = [];
+	worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+		const values = [];
+		row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+			// Use the displayed text so numeric phone cells keep their digits
+			values[colNumber - 1] = cell.text ? cell.text.trim() : '';
+		});
+		rows[rowNumber - 1] = values;
+	});
+	return Array.from(rows, row => row || []);
+};
+
+/**
+ * Parse an uploaded CSV or XLSX file into header and data rows
+ * @param {Object} file express-fileupload file
+ * @returns {Promise<Object>} { columns, rows: [{ line, values }] }
+ */
+const parseRecipientFile = async (file) => {
+	const ext = path.extname(file.name || '').toLowerCase();
+	if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+		throw createHttpError(`Unsupported file type ${ext || '(none)'}, expected ${SUPPORTED_EXTENSIONS.join(' or ')}`, 400);
+	}
+
+	let table;
+	try {
+		table = ext === '.csv' ? readCsv(file.data) : await readXlsx(file.data);
+	} catch (error) {
+		throw createHttpError(`Could not read ${ext} file: ${error.message}`, 400);
+	}
+
+	if (table.length === 0) {
+		throw createHttpError('File is empty', 400);
+	}
+
+	const columns = table[0].map(name => String(name || '').trim());
+	const rows = table.slice(1)
+		// Line numbers as shown in a spreadsheet, header is line 1
+		.map((values, index) => ({ line: index + 2, values }))
+		.filter(row => row.values.some(value => value !== undefined && String(value).trim() !== ''));
+
+	if (rows.length > config.import.maxRows) {
+		throw createHttpError(`File has ${rows.length} rows, the maximum is ${config.import.maxRows}`, 400);
+	}
+
+	return { columns, rows };
+};
+
+/**
+ * Find the index of the phone column
+ * @param {Array<string>} columns Header names
+ * @param {string} phoneColumn Requested column name (optional)
+ * @returns {number} Column index or -1 if not found
+ */
+const findPhoneColumn = (columns, phoneColumn) => {
+	const normalized = columns.map(name => name.toLowerCase().replace(/[\s-]+/g, '_'));
+	if (phoneColumn) {
+		return normalized.indexOf(phoneColumn.toLowerCase().replace(/[\s-]+/g, '_'));
+	}
+	return normalized.findIndex(name => PHONE_COLUMN_NAMES.includes(name));
+};
+
+/**
+ * Validate parsed rows and split them into valid, invalid and duplicate recipients
+ * @param {Object} table Parsed file ({ columns, rows })
+ * @param {string} phoneColumn Phone column name (optional, detected when omitted)
+ * @param {string} defaultCountry Country for national phone numbers (optional)
+ * @returns {Object} Preview with valid, invalid and duplicate rows
+ */
+const buildPreview = ({ columns, rows }, phoneColumn, defaultCountry) => {
+	const phoneIndex = findPhoneColumn(columns, phoneColumn);
+	if (phoneIndex === -1) {
+		throw createHttpError(phoneColumn
+			? `Column "${phoneColumn}" not found in file`
+			: `No phone column found, name one of: ${PHONE_COLUMN_NAMES.join(', ')} or pass phone_column`, 400);
+	}
+
+	const variableColumns = columns
+		.map((name, index) => ({ name, index }))
+		.filter(column => column.index !== phoneIndex && column.name);
+
+	const valid = [];
+	const invalid = [];
+	const duplicates = [];
+	const seen = new Map();
+
+	for (const { line, values } of rows) {
+		const rawPhone = values[phoneIndex] !== undefined ? String(values[phoneIndex]).trim() : '';
+		const normalized = normalizePhoneNumber(rawPhone, defaultCountry);
+		if (!normalized.valid) {
+			invalid.push({ line, phone: rawPhone, reason: normalized.reason, message: normalized.message });
+			continue;
+		}
+		const { phone } = normalized;
+
+		if (seen.has(phone)) {
+			duplicates.push({ line, phone, firstLine: seen.get(phone) });
+			continue;
+		}
+		seen.set(phone, line);
+
+		const variables = {};
+		variableColumns.forEach(({ name, index }) => {
+			const value = values[index];
+			if (value !== undefined && String(value).trim() !== '') {
+				variables[name] = String(value).trim();
+			}
+		});
+		valid.push({ line, phone, variables });
+	}
+
+	return {
+		phoneColumn: columns[phoneIndex],
+		variableColumns: variableColumns.map(column => column.name),
+		summary: {
+			total: rows.length,
+			valid: valid.length,
+			invalid: invalid.length,
+			duplicates: duplicates.length
+		},
+		valid,
+		invalid,
+		duplicates
+	};
+};
+
+/**
+ * Store an import preview until it is confirmed or expires
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} fileName Uploaded file name
+ * @param {Object} preview Preview built by buildPreview
+ * @returns {Promise<Object>} Stored import
+ */
+const createImport = async (unitId, fileName, preview) => {
+	const ttl = config.import.ttl;
+	const now = Date.now();
+	const recipientImport = {
+		id: `import-${uuidv4()}`,
+		unitId,
+		fileName,
+		createdAt: new Date(now).toISOString(),
+		expiresAt: new Date(now + ttl * 1000).toISOString(),
+		...preview
+	};
+
+	await getRedisClient().set(importKey(recipientImport.id), JSON.stringify(recipientImport), 'EX', ttl);
+	logger.info(`Import ${recipientImport.id} for unitId ${unitId}: ${preview.summary.valid} valid, ${preview.summary.invalid} invalid, ${preview.summary.duplicates} duplicate rows`);
+
+	return recipientImport;
+};
+
+/**
+ * Get a stored import
+ * @param {string} importId Import ID
+ * @returns {Promise<Object|null>} Import or null if not found or expired
+ */
+const getImport = async (importId) => {
+	const raw = await getRedisClient().get(importKey(importId));
+	return raw ? JSON.parse(raw) : null;
+};
+
+/**
+ * Take a stored import out of Redis in one step, so only one confirmation can queue it
+ * @param {string} importId Import ID
+ * @returns {Promise<Object|null>} Import or null if not found, expired or already claimed
+ */
+const claimImport = async (importId) => {
+	const [[, raw]] = await getRedisClient().multi()
+		.get(importKey(importId))
+		.del(importKey(importId))
+		.exec();
+	return raw ? JSON.parse(raw) : null;
+};
+
+/**
+ * Put back a claimed import that could not be queued, until its original expiry
+ * @param {Object} recipientImport Import returned by claimImport
+ * @returns {Promise<void>}
+ */
+const restoreImport = async (recipientImport) => {
+	const ttl = Math.ceil((new Date(recipientImport.expiresAt).getTime() - Date.now()) / 1000);
+	if (ttl <= 0) return;
+	await getRedisClient().set(importKey(recipientImport.id), JSON.stringify(recipientImport), 'EX', ttl, 'NX');
+};
+
+/**
+ * Delete a stored import
+ * @param {string} importId Import ID
+ * @returns {Promise<boolean>} Whether the import existed
+ */
+const deleteImport = async (importId) => {
+	const removed = await getRedisClient().del(importKey(importId));
+	return removed > 0;
+};
+
+module.exports = {
+	parseRecipientFile,
+	buildPreview,
+	createImport,
+	getImport,
+	claimImport,
+	restoreImport,
+	deleteImport
+};
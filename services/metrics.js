@@ -0,0 +1,172 @@
+const client = require('prom-client');
+const { subscribe } = require('./events');
+
+// Registry served on /metrics, including the default Node.js process metrics
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const messagesTotal = new client.Counter({
+	name: 'wa_messages_total',
+	help: 'Message job status changes per unit (queued, pending, sent, delivered, read, failed, not_registered, suppressed, deferred, cancelled, ...)',
+	labelNames: ['unit_id', 'status'],
+	registers: [register]
+});
+
+const jobDuration = new client.Histogram({
+	name: 'wa_job_duration_seconds',
+	help: 'Time spent processing a message job attempt',
+	labelNames: ['unit_id', 'outcome'],
+	buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+	registers: [register]
+});
+
+const jobWait = new client.Histogram({
+	name: 'wa_job_wait_seconds',
+	help: 'Time a message job waited in the queue after it was due, first attempts only',
+	labelNames: ['unit_id'],
+	buckets: [1, 5, 15, 60, 300, 900, 3600, 14400],
+	registers: [register]
+});
+
+const queueJobs = new client.Gauge({
+	name: 'wa_queue_jobs',
+	help: 'Message jobs per unit and queue state',
+	labelNames: ['unit_id', 'state'],
+	registers: [register]
+});
+
+const sessionStatus = new client.Gauge({
+	name: 'wa_session_status',
+	help: 'Current session status per unit (1 for the current status)',
+	labelNames: ['unit_id', 'status'],
+	registers: [register]
+});
+
+const sessionReconnects = new client.Counter({
+	name: 'wa_session_reconnects_total',
+	help: 'Automatic reconnection attempts per unit',
+	labelNames: ['unit_id'],
+	registers: [register]
+});
+
+const webhookDeliveries = new client.Counter({
+	name: 'wa_webhook_deliveries_total',
+	help: 'Webhook delivery attempts per unit and result (delivered, retrying, failed)',
+	labelNames: ['unit_id', 'result'],
+	registers: [register]
+});
+
+const httpRequests = new client.Counter({
+	name: 'http_requests_total',
+	help: 'HTTP requests per route',
+	labelNames: ['method', 'route', 'status_code'],
+	registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+	name: 'http_request_duration_seconds',
+	help: 'HTTP request duration per route',
+	labelNames: ['method', 'route', 'status_code'],
+	buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+	registers: [register]
+});
+
+let unsubscribe = null;
+
+/**
+ * Record a started message job
+ * @param {string} unitId Unique identifier for the queue
+ * @param {Bull.Job} job Bull job
+ */
+const observeJobStart = (unitId, job) => {
+	// Retries and deferred jobs wait on purpose
+	if (job.attemptsMade > 0) return;
+	const dueAt = job.timestamp + (job.opts.delay || 0);
+	jobWait.observe({ unit_id: unitId }, Math.max(Date.now() - dueAt, 0) / 1000);
+};
+
+/**
+ * Record a finished message job attempt
+ * @param {string} unitId Unique identifier for the queue
+ * @param {Bull.Job} job Bull job
+ * @param {string} outcome completed or failed
+ */
+const observeJobEnd = (unitId, job, outcome) => {
+	if (!job.processedOn) return;
+	jobDuration.observe({ unit_id: unitId, outcome }, Math.max(Date.now() - job.processedOn, 0) / 1000);
+};
+
+/**
+ * Record a webhook delivery attempt
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} result delivered, retrying or failed
+ */
+const recordWebhookDelivery = (unitId, result) => {
+	webhookDeliveries.inc({ unit_id: unitId, result });
+};
+
+/**
+ * Record a handled HTTP request
+ * @param {string} method HTTP method
+ * @param {string} route Route template, e.g. /api/sessions/:unitId
+ * @param {number} statusCode Response status
+ * @param {number} seconds Duration
+ */
+const recordHttpRequest = (method, route, statusCode, seconds) => {
+	const labels = { method, route, status_code: statusCode };
+	httpRequests.inc(labels);
+	httpDuration.observe(labels, seconds);
+};
+
+/**
+ * Replace the queue depth gauges
+ * @param {Array} counts { unitId, counts } per queue, counts by Bull job state
+ */
+const setQueueDepths = (counts) => {
+	queueJobs.reset();
+	counts.forEach(({ unitId, counts: states }) => {
+		Object.entries(states).forEach(([state, value]) => queueJobs.set({ unit_id: unitId, state }, value));
+	});
+};
+
+/**
+ * Replace the session status gauges
+ * @param {Array} sessions Sessions with unitId and status
+ */
+const setSessionStatuses = (sessions) => {
+	sessionStatus.reset();
+	sessions.forEach(session => sessionStatus.set({ unit_id: session.unitId, status: session.status || 'unknown' }, 1));
+};
+
+/**
+ * Render all metrics in the Prometheus text format
+ * @returns {Promise<Object>} { contentType, body }
+ */
+const getMetrics = async () => {
+	return { contentType: register.contentType, body: await register.metrics() };
+};
+
+/**
+ * Start counting job status changes and reconnections from published events
+ */
+const startMetricsCollection = () => {
+	if (unsubscribe) return;
+	unsubscribe = subscribe(({ unitId, event, data }) => {
+		if (event === 'job_status' && data.status !== 'active') {
+			messagesTotal.inc({ unit_id: unitId, status: data.status });
+		} else if (event === 'session_status' && data.status === 'reconnecting') {
+			sessionReconnects.inc({ unit_id: unitId });
+		}
+	});
+};
+
+module.exports = {
+	observeJobStart,
+	observeJobEnd,
+	recordWebhookDelivery,
+	recordHttpRequest,
+	setQueueDepths,
+	setSessionStatuses,
+	getMetrics,
+	startMetricsCollection
+};
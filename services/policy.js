@@ -0,0 +1,394 @@
+const logger = require('../utils/logger');
+const { getRedisClient } = require('../config/redis');
+const { createHttpError } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// How far ahead reserveSlots searches for free capacity
+const MAX_SEARCH_HOURS = 24 * 31;
+
+// Quota counters expire this long after the end of the bucket they count, reservations
+// are made up to MAX_SEARCH_HOURS (or send_at) ahead so the bucket end is what matters
+const QUOTA_KEY_MARGIN = 24 * 60 * 60;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const policyKey = (unitId) => `wa:policy:${unitId}`;
+const hourQuotaKey = (unitId, bucket) => `wa:quota:${unitId}:h:${bucket}`;
+const dayQuotaKey = (unitId, bucket) => `wa:quota:${unitId}:d:${bucket}`;
+
+// Atomically grant up to ARGV[1] sends within the hour and day limits (-1 = unlimited)
+const RESERVE_SCRIPT = `
+local hourUsed = tonumber(redis.call('GET', KEYS[1]) or '0')
+local dayUsed = tonumber(redis.call('GET', KEYS[2]) or '0')
+local granted = tonumber(ARGV[1])
+local hourLimit = tonumber(ARGV[2])
+local dayLimit = tonumber(ARGV[3])
+if hourLimit >= 0 then granted = math.min(granted, hourLimit - hourUsed) end
+if dayLimit >= 0 then granted = math.min(granted, dayLimit - dayUsed) end
+if granted < 0 then granted = 0 end
+if granted > 0 then
+	redis.call('INCRBY', KEYS[1], granted)
+	redis.call('EXPIREAT', KEYS[1], ARGV[4])
+	redis.call('INCRBY', KEYS[2], granted)
+	redis.call('EXPIREAT', KEYS[2], ARGV[5])
+end
+return {granted, hourUsed, dayUsed}
+`;
+
+/**
+ * Get calendar parts of a date in a timezone
+ * @param {Date} date Date
+ * @param {string} timezone IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second, weekday }
+ */
+const getZonedParts = (date, timezone) => {
+	const parts = new Intl.DateTimeFormat('en-US', {
+		timeZone: timezone,
+		hourCycle: 'h23',
+		year: 'numeric',
+		month: '2-digit',
+		day: '2-digit',
+		hour: '2-digit',
+		minute: '2-digit',
+		second: '2-digit',
+		weekday: 'short'
+	}).formatToParts(date).reduce((result, part) => {
+		result[part.type] = part.value;
+		return result;
+	}, {});
+
+	return {
+		year: parseInt(parts.year),
+		month: parseInt(parts.month),
+		day: parseInt(parts.day),
+		hour: parseInt(parts.hour),
+		minute: parseInt(parts.minute),
+		second: parseInt(parts.second),
+		weekday: WEEKDAYS[parts.weekday]
+	};
+};
+
+/**
+ * Convert a local wall-clock time in a timezone to a Date
+ * @param {Object} local { year, month, day, hour, minute }
+ * @param {string} timezone IANA timezone
+ * @returns {Date}
+ */
+const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0 }, timezone) => {
+	const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+	// Offset of the timezone around that moment, re-checked once for DST changes
+	let offset = 0;
+	for (let i = 0; i < 2; i++) {
+		const parts = getZonedParts(new Date(wallClock - offset), timezone);
+		const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+		offset = asUtc - (wallClock - offset);
+	}
+	return new Date(wallClock - offset);
+};
+
+/**
+ * Parse a HH:mm time into minutes since midnight
+ * @param {string} time Time of day, e.g. 08:30
+ * @returns {number|null} Minutes or null if invalid
+ */
+const parseTimeOfDay = (time) => {
+	const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || '');
+	return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+/**
+ * Check whether a date falls inside the sending window of a policy
+ * @param {Date} date Date
+ * @param {Object} policy Unit policy
+ * @returns {boolean}
+ */
+const isWithinWindow = (date, policy) => {
+	if (!policy.window) return true;
+
+	const parts = getZonedParts(date, policy.timezone);
+	const days = policy.window.days || [0, 1, 2, 3, 4, 5, 6];
+	if (!days.includes(parts.weekday)) return false;
+
+	const minutes = parts.hour * 60 + parts.minute;
+	const start = parseTimeOfDay(policy.window.start);
+	const end = parseTimeOfDay(policy.window.end);
+
+	// Windows like 22:00-06:00 wrap around midnight
+	return start < end
+		? minutes >= start && minutes < end
+		: minutes >= start || minutes < end;
+};
+
+/**
+ * Get the first moment at or after a date that falls inside the sending window
+ * @param {Date} date Date
+ * @param {Object} policy Unit policy
+ * @returns {Date}
+ */
+const nextWindowStart = (date, policy) => {
+	if (isWithinWindow(date, policy)) return date;
+
+	const parts = getZonedParts(date, policy.timezone);
+	const start = parseTimeOfDay(policy.window.start);
+	for (let offset = 0; offset <= 7; offset++) {
+		const calendarDay = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + offset));
+		const candidate = zonedTimeToDate({
+			year: calendarDay.getUTCFullYear(),
+			month: calendarDay.getUTCMonth() + 1,
+			day: calendarDay.getUTCDate(),
+			hour: Math.floor(start / 60),
+			minute: start % 60
+		}, policy.timezone);
+		if (candidate > date && isWithinWindow(candidate, policy)) {
+			return candidate;
+		}
+	}
+	// Window never opens (e.g. no days selected)
+	return null;
+};
+
+/**
+ * Get when the sending window closes within the hour of a date, for windows ending at HH:mm
+ * @param {Date} date Date inside the window
+ * @param {number} hourStart Start of the hour of the date, in milliseconds
+ * @param {Object} policy Unit policy
+ * @returns {number} End of the window or of the hour, whichever comes first, in milliseconds
+ */
+const getWindowEndInHour = (date, hourStart, policy) => {
+	const hourEnd = hourStart + HOUR_MS;
+	if (!policy.window) return hourEnd;
+
+	const end = parseTimeOfDay(policy.window.end);
+	const parts = getZonedParts(date, policy.timezone);
+	const windowEnd = hourStart + (end % 60) * 60 * 1000;
+	return parts.hour === Math.floor(end / 60) && windowEnd > date.getTime() ? windowEnd : hourEnd;
+};
+
+/**
+ * Get the daily sending limit of a policy on a given date, including warm-up
+ * @param {Object} policy Unit policy
+ * @param {Date} date Date
+ * @returns {number|null} Limit or null when unlimited
+ */
+const getDailyLimit = (policy, date) => {
+	const limits = policy.limits || {};
+	let limit = limits.perDay || null;
+
+	const warmup = policy.warmup;
+	if (warmup && warmup.enabled) {
+		const days = Math.max(Math.floor((date.getTime() - new Date(warmup.startedAt).getTime()) / DAY_MS), 0);
+		const warmupLimit = warmup.initialDaily + warmup.dailyIncrement * days;
+		limit = limit ? Math.min(limit, warmupLimit) : warmupLimit;
+	}
+	return limit;
+};
+
+/**
+ * Quota bucket identifiers of a date in the policy timezone
+ * @param {Date} date Date
+ * @param {string} timezone IANA timezone
+ * @returns {Object} { hour, day } bucket names
+ */
+const getBuckets = (date, timezone) => {
+	const p = getZonedParts(date, timezone);
+	const pad = (value) => String(value).padStart(2, '0');
+	const day = `${p.year}${pad(p.month)}${pad(p.day)}`;
+	return { day, hour: `${day}${pad(p.hour)}` };
+};
+
+/**
+ * Get the sending policy of a unit
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Promise<Object|null>} Policy or null when the unit is unrestricted
+ */
+const getPolicy = async (unitId) => {
+	const raw = await getRedisClient().get(policyKey(unitId));
+	return raw ? JSON.parse(raw) : null;
+};
+
+/**
+ * Create or replace the sending policy of a unit
+ * @param {string} unitId Unique identifier for the session
+ * @param {Object} policy Policy ({ timezone, window, limits, warmup }), a warm-up without
+ * startedAt continues the stored one, or starts now
+ * @returns {Promise<Object>} Stored policy
+ */
+const setPolicy = async (unitId, policy) => {
+	const existing = await getPolicy(unitId);
+	const warmup = policy.warmup && !policy.warmup.startedAt
+		? {
+			...policy.warmup,
+			startedAt: (existing && existing.warmup && existing.warmup.startedAt) || new Date().toISOString()
+		}
+		: policy.warmup;
+	const stored = {
+		unitId,
+		...policy,
+		...(warmup && { warmup }),
+		createdAt: existing ? existing.createdAt : new Date().toISOString(),
+		updatedAt: new Date().toISOString()
+	};
+	await getRedisClient().set(policyKey(unitId), JSON.stringify(stored));
+	logger.info(`Sending policy updated for unitId: ${unitId}`);
+	return stored;
+};
+
+/**
+ * Remove the sending policy of a unit
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Promise<boolean>} Whether a policy existed
+ */
+const deletePolicy = async (unitId) => {
+	const removed = await getRedisClient().del(policyKey(unitId));
+	return removed > 0;
+};
+
+/**
+ * Reserve send times for a number of messages within the unit's window and quotas
+ * @param {string} unitId Unique identifier for the session
+ * @param {number} count Number of messages
+ * @param {Date} earliest Earliest allowed send time
+ * @returns {Promise<Array<Object>|null>} One { sendAt, slot } per message, or null when the unit has no policy
+ */
+const reserveSlots = async (unitId, count, earliest = new Date()) => {
+	const policy = await getPolicy(unitId);
+	if (!policy) return null;
+
+	const limits = policy.limits || {};
+	const hourLimit = limits.perHour || null;
+	// Spread the messages of one hour evenly over that hour
+	const spacing = hourLimit ? HOUR_MS / hourLimit : 0;
+
+	const reserved = [];
+	let time = earliest;
+	for (let searched = 0; reserved.length < count && searched < MAX_SEARCH_HOURS; searched++) {
+		time = nextWindowStart(time, policy);
+		if (!time) break;
+
+		const buckets = getBuckets(time, policy.timezone);
+		const dayLimit = getDailyLimit(policy, time);
+		const slot = {
+			hour: hourQuotaKey(unitId, buckets.hour),
+			day: dayQuotaKey(unitId, buckets.day)
+		};
+
+		const parts = getZonedParts(time, policy.timezone);
+		const hourStart = time.getTime() - (parts.minute * 60 + parts.second) * 1000 - time.getMilliseconds();
+		const calendarDay = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + 1));
+		const nextDay = zonedTimeToDate({
+			year: calendarDay.getUTCFullYear(),
+			month: calendarDay.getUTCMonth() + 1,
+			day: calendarDay.getUTCDate()
+		}, policy.timezone);
+		const expireAt = (end) => Math.ceil(end / 1000) + QUOTA_KEY_MARGIN;
+
+		// Only the slots before the window closes (e.g. at 17:30) count for this hour
+		const usableEnd = getWindowEndInHour(time, hourStart, policy);
+		const hourCapacity = hourLimit ? Math.min(hourLimit, Math.ceil((usableEnd - hourStart) / spacing)) : null;
+
+		const wanted = count - reserved.length;
+		const [granted, hourUsed, dayUsed] = await getRedisClient().eval(
+			RESERVE_SCRIPT, 2, slot.hour, slot.day,
+			wanted, hourCapacity || -1, dayLimit === null ? -1 : dayLimit,
+			expireAt(hourStart + HOUR_MS), expireAt(nextDay.getTime())
+		);
+		for (let i = 0; i < granted; i++) {
+			const sendAt = new Date(Math.max(time.getTime(), hourStart + (hourUsed + i) * spacing));
+			reserved.push({ sendAt, slot });
+		}
+
+		if (granted < wanted) {
+			// Day full: continue tomorrow, otherwise continue next hour
+			if (dayLimit !== null && dayUsed + granted >= dayLimit) {
+				time = nextDay;
+			} else {
+				time = new Date(hourStart + HOUR_MS);
+			}
+		}
+	}
+
+	if (reserved.length < count) {
+		await releaseSlots(reserved.map(r => r.slot));
+		throw createHttpError(`Sending policy of unitId ${unitId} has no capacity for ${count} message(s) in the next ${MAX_SEARCH_HOURS / 24} days`, 429);
+	}
+
+	return reserved;
+};
+
+/**
+ * Give back quota reserved for messages that will not be sent
+ * @param {Array<Object>} slots Slots returned by reserveSlots
+ * @returns {Promise<void>}
+ */
+const releaseSlots = async (slots) => {
+	const valid = slots.filter(slot => slot && slot.hour && slot.day);
+	if (valid.length === 0) return;
+
+	const multi = getRedisClient().multi();
+	valid.forEach((slot) => {
+		multi.decr(slot.hour);
+		multi.decr(slot.day);
+	});
+	await multi.exec();
+};
+
+/**
+ * Check whether a job may be sent now
+ * @param {string} unitId Unique identifier for the session
+ * @param {Date} now Current time
+ * @returns {Promise<Date|null>} Time to defer the job to, or null when it may be sent
+ */
+const getDeferral = async (unitId, now = new Date()) => {
+	const policy = await getPolicy(unitId);
+	if (!policy || isWithinWindow(now, policy)) return null;
+	return nextWindowStart(now, policy);
+};
+
+/**
+ * Get current quota usage of a unit
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Promise<Object|null>} Usage or null when the unit has no policy
+ */
+const getUsage = async (unitId) => {
+	const policy = await getPolicy(unitId);
+	if (!policy) return null;
+
+	const now = new Date();
+	const buckets = getBuckets(now, policy.timezone);
+	const [hourUsed, dayUsed] = await getRedisClient().mget(
+		hourQuotaKey(unitId, buckets.hour),
+		dayQuotaKey(unitId, buckets.day)
+	);
+	const nextOpen = nextWindowStart(now, policy);
+
+	return {
+		timezone: policy.timezone,
+		withinWindow: isWithinWindow(now, policy),
+		nextWindowStart: nextOpen ? nextOpen.toISOString() : null,
+		hour: {
+			used: parseInt(hourUsed || '0'),
+			limit: (policy.limits && policy.limits.perHour) || null
+		},
+		day: {
+			used: parseInt(dayUsed || '0'),
+			limit: getDailyLimit(policy, now)
+		},
+		warmup: policy.warmup && policy.warmup.enabled
+	};
+};
+
+module.exports = {
+	parseTimeOfDay,
+	isWithinWindow,
+	nextWindowStart,
+	getDailyLimit,
+	getPolicy,
+	setPolicy,
+	deletePolicy,
+	reserveSlots,
+	releaseSlots,
+	getDeferral,
+	getUsage
+};
@@ -3,8 +3,15 @@ const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 const logger = require('../utils/logger');
 const { whatsappLogger } = require('../utils/logger');
-const { getRandomDelay, processMessageContent,getErrorLocation } = require('../utils/helpers');
+const { getRandomDelay, processMessageContent,getErrorLocation, withTimeout, createHttpError } = require('../utils/helpers');
 const whatsappService = require('./whatsapp');
+const trackingService = require('./tracking');
+const batchService = require('./batch');
+const { renderTemplate } = require('./template');
+const policyService = require('./policy');
+const suppressionService = require('./suppression');
+const { publish, subscribe } = require('./events');
+const metricsService = require('./metrics');
 
 // Create Redis client
 const redisOptions = {
@@ -20,6 +27,44 @@ if (config.redis.password) {
 // Map to store all queues by unitId
 const queues = new Map();
 
+let unsubscribe = null;
+
+// Pauses between sent messages, ended early on shutdown so active jobs can complete
+const pacingDelays = new Set();
+let closing = false;
+
+// Deferred jobs being added again, awaited on shutdown
+const deferrals = new Set();
+
+/**
+ * Wait the random delay between two messages, or less when the queues are closing
+ * @returns {Promise<void>}
+ */
+const paceSending = () => {
+	if (closing) return Promise.resolve();
+	return new Promise((resolve) => {
+		const pacing = { resolve, timer: setTimeout(() => pacing.resolve(), getRandomDelay()) };
+		pacing.resolve = () => {
+			clearTimeout(pacing.timer);
+			pacingDelays.delete(pacing);
+			resolve();
+		};
+		pacingDelays.add(pacing);
+	});
+};
+
+// Retry backoff for message jobs: exponential (the strategy keeps its name for jobs already stored)
+const messageBackoff = {
+	type: 'policy',
+	options: { delay: config.queue.retryDelay }
+};
+
+const backoffStrategies = {
+	policy: (attemptsMade, error, options) => {
+		return Math.round((Math.pow(2, attemptsMade) - 1) * options.delay);
+	}
+};
+
 /**
  * Initialize or get message queue for a specific unitId
  * @param {string} unitId Unique identifier for the queue
@@ -35,12 +80,10 @@ const getMessageQueue = (unitId) => {
 	const queueName = `whatsapp-messages-${unitId}`;
 	const queue = new Bull(queueName, {
 		redis: redisOptions,
+		settings: { backoffStrategies },
 		defaultJobOptions: {
 			attempts: config.queue.retryCount,
-			backoff: {
-				type: 'exponential',
-				delay: config.queue.retryDelay
-			},
+			backoff: messageBackoff,
 			removeOnComplete: 100,  // Keep last 100 completed jobs
 			removeOnFail: 100       // Keep last 100 failed jobs
 		}
@@ -55,17 +98,50 @@ const getMessageQueue = (unitId) => {
 		
 		if (debugMode) {
 			whatsappLogger.info(`[DEBUG MODE] Would send message to ${recipient}: ${JSON.stringify(message)}`);
+			await trackingService.recordStatus(job.id, 'debug');
 			return { success: true, debug: true, recipient };
 		}
 
+		// A job stalled after its message went out (crash, forced shutdown) must not send it again
+		if (await trackingService.isHandedOver(job.id)) {
+			whatsappLogger.warn(`Skipping job ${job.id}: its message to ${recipient} was already sent`);
+			return { success: true, recipient, alreadySent: true };
+		}
+
+		// Recipient opted out: complete without sending and give back the quota
+		const suppression = await suppressionService.getSuppression(unitId, recipient);
+		if (suppression) {
+			whatsappLogger.info(`Skipping job ${job.id}: ${recipient} is on the ${suppression.scope} suppression list`);
+			await trackingService.recordStatus(job.id, 'suppressed', `Recipient is on the ${suppression.scope} suppression list`);
+			if (job.data.quotaSlot) {
+				await policyService.releaseSlots([job.data.quotaSlot]);
+			}
+			return {
+				success: false,
+				error: 'suppressed',
+				message: `Recipient ${recipient} is on the ${suppression.scope} suppression list`
+			};
+		}
+
+		// Outside the unit's sending window: complete without sending, the completed listener
+		// adds the job again for when the window opens
+		const deferUntil = await policyService.getDeferral(unitId);
+		if (deferUntil) {
+			return { success: false, deferred: true, deferUntil: deferUntil.toISOString(), recipient };
+		}
+
 		try {
 			// Send WhatsApp message
 			const result = await whatsappService.sendMessage(unitId, recipient, message);
 
+			if (result.success) {
+				await trackingService.recordSent(job.id, result.serializedId);
+			} else {
+				await trackingService.recordStatus(job.id, result.error, result.message);
+			}
+
 			if(result.success){
-				const delay = getRandomDelay();
-				await new Promise(resolve => setTimeout(resolve, delay));
-    			return result;
+				await paceSending();
 			}
 			return result;
 		} catch (error) {
@@ -85,18 +161,70 @@ const getMessageQueue = (unitId) => {
 	return queue;
 };
 
+/**
+ * Add a job deferred by the sending policy again under the same ID, delayed until the window opens.
+ * Like rescheduleJob this removes the job first, which Bull only allows once it has completed.
+ * @param {Bull} queue Bull queue
+ * @param {Bull.Job} job Completed Bull job
+ * @param {Date} deferUntil Start of the next sending window
+ * @returns {Promise<void>}
+ */
+const deferJob = async (queue, job, deferUntil) => {
+	// Completed jobs may already have been pruned by removeOnComplete
+	if (await queue.getJob(job.id)) {
+		await job.remove();
+	}
+	await queue.add(job.data, {
+		jobId: job.id,
+		attempts: job.opts.attempts,
+		backoff: job.opts.backoff,
+		delay: Math.max(deferUntil.getTime() - Date.now(), 0)
+	});
+	await trackingService.recordStatus(job.id, 'deferred');
+};
+
 /**
  * Set up event listeners for a queue
  * @param {Bull.Queue} queue Bull queue instance
  * @param {string} unitId Unique identifier for the queue
  */
 const setupQueueEvents = (queue, unitId) => {
+	// Not a tracked status, only published so live views can show what is being sent
+	queue.on('active', (job) => {
+		metricsService.observeJobStart(unitId, job);
+		publish(unitId, 'job_status', {
+			jobId: job.id,
+			status: 'active',
+			recipient: job.data.recipient,
+			batchId: job.data.batchId || null,
+			error: null
+		});
+	});
+
 	queue.on('completed', (job, result) => {
+		if (result && result.deferred) {
+			whatsappLogger.info(`Job ${job.id} for unit_id: ${unitId} deferred by sending policy until ${result.deferUntil}`);
+			const deferral = deferJob(queue, job, new Date(result.deferUntil))
+				.catch((error) => {
+					logger.error(`Failed to defer job ${job.id} for unit_id ${unitId}: ${error.message}`);
+				})
+				.finally(() => deferrals.delete(deferral));
+			deferrals.add(deferral);
+			return;
+		}
+		metricsService.observeJobEnd(unitId, job, 'completed');
 		whatsappLogger.info(`Job ${job.id} completed for unit_id: ${unitId}, recipient: ${job.data.recipient}, result: ${JSON.stringify(result)}`);
 	});
 
 	queue.on('failed', (job, error) => {
+		metricsService.observeJobEnd(unitId, job, 'failed');
 		whatsappLogger.error(`Job ${job.id} failed for unit_id: ${unitId}, recipient: ${job.data.recipient}, error: ${error.message}`);
+		// Only the last attempt is a final failure, earlier ones are retried by Bull
+		if (job.attemptsMade >= job.opts.attempts) {
+			trackingService.recordStatus(job.id, 'failed', error.message).catch((err) => {
+				logger.error(`Failed to record failure of job ${job.id}: ${err.message}`);
+			});
+		}
 	});
 
 	queue.on('error', (error) => {
@@ -107,12 +235,15 @@ const setupQueueEvents = (queue, unitId) => {
 /**
  * Add message to queue
  * @param {string} unitId Unique identifier for the queue
- * @param {string|Array} recipients Single phone number or array of phone numbers
- * @param {Object} message Message content
+ * @param {string|Array} recipients Single phone number or array of phone numbers / { phone, variables } objects
+ * @param {Object} message Message content, text may contain {{placeholders}} rendered per recipient
  * @param {boolean} debugMode Whether to run in debug mode
- * @returns {Promise<Object>} Queue job details
+ * @param {Object} options Additional options
+ * @param {Date} options.sendAt Send the message at this time instead of immediately
+ * @param {string} options.source What created the batch, e.g. api or campaign:<id> (optional)
+ * @returns {Promise<Object>} Batch and queue job details
  */
-const queueMessage = async (unitId, recipients, message, debugMode = false) => {
+const queueMessage = async (unitId, recipients, message, debugMode = false, options = {}) => {
 	const queue = getMessageQueue(unitId);
 	
 	// Convert single recipient to array for consistent handling
@@ -120,36 +251,107 @@ const queueMessage = async (unitId, recipients, message, debugMode = false) => {
 	
 	// Process message content
 	const processedMessage = processMessageContent(message);
+
+	// Scheduled messages become delayed jobs
+	const sendAt = options.sendAt ? options.sendAt.toISOString() : null;
+	const delay = options.sendAt ? Math.max(options.sendAt.getTime() - Date.now(), 0) : 0;
+
+	// Every call becomes one batch tying its jobs together
+	const batchId = `batch-${uuidv4()}`;
+
+	// Units with a sending policy get a send time within their window and quotas
+	const slots = debugMode
+		? null
+		: await policyService.reserveSlots(unitId, recipientList.length, options.sendAt || new Date());
 	
+	// What each recipient got so far, undone when the batch cannot be queued as a whole
+	const prepared = recipientList.map(() => ({}));
+
 	// Queue jobs for each recipient
-	const jobPromises = recipientList.map(async (recipient) => {
+	const jobPromises = recipientList.map(async (entry, index) => {
+		const recipient = entry && typeof entry === 'object' ? entry.phone : entry;
+
+		// Render text and caption for this recipient when variables are given
+		const jobMessage = entry && typeof entry === 'object' && entry.variables
+			? processMessageContent({ ...message, text: renderTemplate(message.text, entry.variables) })
+			: processedMessage;
+
+		const reserved = slots ? slots[index] : null;
+		const plannedAt = reserved ? reserved.sendAt.toISOString() : null;
+
 		const jobId = `msg-${uuidv4()}`;
-		const job = await queue.add({
+		prepared[index].jobId = jobId;
+		// Record before adding so a fast worker cannot be overwritten by the queued status
+		await trackingService.recordQueued(jobId, unitId, recipient, { batchId, scheduledAt: sendAt, plannedAt });
+		prepared[index].job = await queue.add({
 			recipient,
-			message: processedMessage,
-			debugMode
+			message: jobMessage,
+			debugMode,
+			sendAt,
+			batchId,
+			plannedAt,
+			quotaSlot: reserved ? reserved.slot : null
 		}, {
 			jobId,
+			delay: reserved ? Math.max(reserved.sendAt.getTime() - Date.now(), 0) : delay,
 			attempts: config.queue.retryCount,
-			backoff: {
-				type: 'exponential',
-				delay: config.queue.retryDelay
-			}
+			backoff: messageBackoff
 		});
 		
 		return {
-			id: job.id,
+			id: jobId,
 			recipient
 		};
 	});
 	
-	// Wait for all jobs to be added
-	const jobs = await Promise.all(jobPromises);
-	
-	return {
-		jobCount: jobs.length,
-		jobs
-	};
+	try {
+		// Wait for all jobs to be added, also when one fails, so the rollback sees every job
+		const results = await Promise.allSettled(jobPromises);
+		const failure = results.find(result => result.status === 'rejected');
+		if (failure) {
+			throw failure.reason;
+		}
+		const jobs = results.map(result => result.value);
+
+		await batchService.createBatch(batchId, unitId, jobs.map(job => job.id), {
+			sendAt,
+			source: options.source || 'api'
+		});
+
+		return {
+			batchId,
+			jobCount: jobs.length,
+			sendAt,
+			jobs
+		};
+	} catch (error) {
+		await rollbackQueued(unitId, prepared, slots);
+		throw error;
+	}
+};
+
+/**
+ * Undo a queueMessage call that failed part way: remove its jobs that have not started,
+ * delete their tracking records and give back their quota
+ * @param {string} unitId Unique identifier for the queue
+ * @param {Array<Object>} prepared { jobId, job } of each recipient, as far as it got
+ * @param {Array<Object>|null} slots Slots reserved for the recipients
+ * @returns {Promise<void>}
+ */
+const rollbackQueued = async (unitId, prepared, slots) => {
+	const undone = await Promise.all(prepared.map(async ({ jobId, job }, index) => {
+		try {
+			// A job a worker already took is left to be sent
+			if (job && !await removeWaitingJob(job)) return false;
+			if (jobId) await trackingService.deleteRecord(jobId);
+			if (slots) await policyService.releaseSlots([slots[index].slot]);
+			return true;
+		} catch (error) {
+			logger.error(`Failed to roll back job ${jobId} for unitId ${unitId}: ${error.message}`);
+			return false;
+		}
+	}));
+	logger.warn(`Queueing for unitId ${unitId} failed, rolled back ${undone.filter(Boolean).length} of ${prepared.length} job(s)`);
 };
 
 /**
@@ -177,7 +379,9 @@ const getQueueStats = async (unitId) => {
 			completed,
 			failed,
 			delayed,
-			total: waiting + active + delayed
+			total: waiting + active + delayed,
+			// Sending policy usage, null when the unit is unrestricted
+			quota: await policyService.getUsage(unitId)
 		};
 	} catch (error) {
 		logger.error(`Error getting queue stats for unitId ${unitId}: ${error.message}`);
@@ -197,6 +401,46 @@ const getAllQueuesStats = async () => {
 	return Promise.all(statsPromises);
 };
 
+/**
+ * Get the job counts per state of all queues, without the policy usage of getQueueStats
+ * @returns {Promise<Array>} { unitId, counts } per queue
+ */
+const getQueueCounts = async () => {
+	return Promise.all(Array.from(queues.entries()).map(async ([unitId, queue]) => ({
+		unitId,
+		counts: await queue.getJobCounts()
+	})));
+};
+
+/**
+ * Check the Redis connection of every queue
+ * @param {number} timeout Maximum time to wait for each queue in milliseconds
+ * @returns {Promise<Array>} { unitId, status: up|down, error } per queue
+ */
+const getQueueHealth = async (timeout) => {
+	return Promise.all(Array.from(queues.entries()).map(async ([unitId, queue]) => {
+		try {
+			await withTimeout(queue.client.ping(), timeout);
+			return { unitId, status: 'up' };
+		} catch (error) {
+			return { unitId, status: 'down', error: error.message };
+		}
+	}));
+};
+
+/**
+ * Remove a job that has not been sent, marking it cancelled and giving back its quota
+ * @param {Bull.Job} job Bull job
+ * @returns {Promise<void>}
+ */
+const discardJob = async (job) => {
+	await job.remove();
+	await trackingService.recordStatus(job.id, 'cancelled');
+	if (job.data.quotaSlot) {
+		await policyService.releaseSlots([job.data.quotaSlot]);
+	}
+};
+
 /**
  * Clear all pending jobs in a queue
  * @param {string} unitId Unique identifier for the queue
@@ -211,10 +455,7 @@ const clearQueue = async (unitId) => {
 		const delayedJobs = await queue.getDelayed();
 		
 		// Remove all waiting and delayed jobs
-		const removePromises = [
-			...waitingJobs.map(job => job.remove()),
-			...delayedJobs.map(job => job.remove())
-		];
+		const removePromises = [...waitingJobs, ...delayedJobs].map(job => discardJob(job));
 		
 		await Promise.all(removePromises);
 		
@@ -231,24 +472,434 @@ const clearQueue = async (unitId) => {
 	}
 };
 
+// Job states that can be listed through the API
+const LISTABLE_STATES = ['waiting', 'active', 'delayed', 'completed', 'failed'];
+
+/**
+ * Convert a Bull job into a plain object for API responses
+ * @param {Bull.Job} job Bull job
+ * @param {string} state Job state
+ * @returns {Object} Job details
+ */
+const formatJob = (job, state) => {
+	const toDate = (timestamp) => timestamp ? new Date(timestamp).toISOString() : null;
+	return {
+		id: job.id,
+		state,
+		recipient: job.data.recipient,
+		message: job.data.message,
+		debugMode: Boolean(job.data.debugMode),
+		sendAt: job.data.sendAt || null,
+		plannedAt: job.data.plannedAt || null,
+		batchId: job.data.batchId || null,
+		attemptsMade: job.attemptsMade,
+		attempts: job.opts.attempts,
+		failedReason: job.failedReason || null,
+		result: job.returnvalue === undefined ? null : job.returnvalue,
+		createdAt: toDate(job.timestamp),
+		processedAt: toDate(job.processedOn),
+		finishedAt: toDate(job.finishedOn),
+		delay: job.opts.delay || 0
+	};
+};
+
+/**
+ * Find a job in a unit queue
+ * @param {string} unitId Unique identifier for the queue
+ * @param {string} jobId Job ID
+ * @returns {Promise<Bull.Job>} Bull job
+ */
+const findJob = async (unitId, jobId) => {
+	const queue = getMessageQueue(unitId);
+	const job = await queue.getJob(jobId);
+	if (!job) {
+		throw createHttpError(`Job ${jobId} not found in queue for unitId: ${unitId}`, 404);
+	}
+	return job;
+};
+
+/**
+ * Get details of a single job
+ * @param {string} unitId Unique identifier for the queue
+ * @param {string} jobId Job ID
+ * @returns {Promise<Object>} Job details
+ */
+const getJob = async (unitId, jobId) => {
+	const job = await findJob(unitId, jobId);
+	const state = await job.getState();
+	return formatJob(job, state);
+};
+
+/**
+ * List jobs of a unit queue in a given state
+ * @param {string} unitId Unique identifier for the queue
+ * @param {string} state Job state (waiting, active, delayed, completed, failed)
+ * @param {number} page Page number, starting at 1
+ * @param {number} limit Jobs per page
+ * @returns {Promise<Object>} Paginated job list
+ */
+const listJobs = async (unitId, state, page = 1, limit = 20) => {
+	if (!LISTABLE_STATES.includes(state)) {
+		throw createHttpError(`state must be one of: ${LISTABLE_STATES.join(', ')}`, 400);
+	}
+
+	const queue = getMessageQueue(unitId);
+	const start = (page - 1) * limit;
+	const end = start + limit - 1;
+
+	const [jobs, total] = await Promise.all([
+		queue.getJobs([state], start, end, false),
+		queue.getJobCountByTypes(state)
+	]);
+
+	return {
+		unitId,
+		state,
+		page,
+		limit,
+		total,
+		totalPages: Math.ceil(total / limit),
+		jobs: jobs.filter(Boolean).map(job => formatJob(job, state))
+	};
+};
+
+/**
+ * Retry a single failed job
+ * @param {string} unitId Unique identifier for the queue
+ * @param {string} jobId Job ID
+ * @returns {Promise<Object>} Job details after retry
+ */
+const retryJob = async (unitId, jobId) => {
+	const job = await findJob(unitId, jobId);
+	const state = await job.getState();
+	if (state !== 'failed') {
+		throw createHttpError(`Job ${jobId} is ${state}, only failed jobs can be retried`, 409);
+	}
+
+	await job.retry();
+	await trackingService.recordStatus(job.id, 'queued');
+	logger.info(`Retrying job ${jobId} for unitId: ${unitId}`);
+
+	return formatJob(job, 'waiting');
+};
+
+/**
+ * Retry all failed jobs of a unit queue
+ * @param {string} unitId Unique identifier for the queue
+ * @returns {Promise<Object>} Number of retried jobs
+ */
+const retryFailedJobs = async (unitId) => {
+	const queue = getMessageQueue(unitId);
+	const failedJobs = await queue.getFailed();
+
+	let retriedCount = 0;
+	for (const job of failedJobs.filter(Boolean)) {
+		try {
+			await job.retry();
+			await trackingService.recordStatus(job.id, 'queued');
+			retriedCount++;
+		} catch (error) {
+			logger.warn(`Could not retry job ${job.id} for unitId ${unitId}: ${error.message}`);
+		}
+	}
+
+	logger.info(`Retried ${retriedCount} failed jobs for unitId: ${unitId}`);
+	return {
+		success: true,
+		retriedCount
+	};
+};
+
+/**
+ * Remove a single job from a unit queue
+ * @param {string} unitId Unique identifier for the queue
+ * @param {string} jobId Job ID
+ * @returns {Promise<Object>} Result of the operation
+ */
+const removeJob = async (unitId, jobId) => {
+	const job = await findJob(unitId, jobId);
+	const state = await job.getState();
+	if (state === 'active') {
+		throw createHttpError(`Job ${jobId} is being processed and cannot be removed`, 409);
+	}
+
+	if (['waiting', 'delayed', 'paused'].includes(state)) {
+		await discardJob(job);
+	} else {
+		await job.remove();
+	}
+	logger.info(`Removed ${state} job ${jobId} from queue for unitId: ${unitId}`);
+
+	return {
+		success: true,
+		id: jobId,
+		previousState: state
+	};
+};
+
+/**
+ * Check whether a delayed job is a scheduled send that has not fired yet
+ * (as opposed to a failed job waiting for its retry backoff)
+ * @param {Bull.Job} job Bull job
+ * @returns {boolean}
+ */
+const isPendingSchedule = (job) => Boolean(job.data.sendAt) && job.attemptsMade === 0;
+
+/**
+ * Find a scheduled job that has not been sent yet
+ * @param {string} unitId Unique identifier for the queue
+ * @param {string} jobId Job ID
+ * @returns {Promise<Bull.Job>} Bull job
+ */
+const findScheduledJob = async (unitId, jobId) => {
+	const job = await findJob(unitId, jobId);
+	const state = await job.getState();
+	if (state !== 'delayed' || !isPendingSchedule(job)) {
+		throw createHttpError(`Job ${jobId} is not an upcoming scheduled message`, 409);
+	}
+	return job;
+};
+
+/**
+ * List upcoming scheduled messages of a unit, soonest first
+ * @param {string} unitId Unique identifier for the queue
+ * @returns {Promise<Object>} Scheduled jobs
+ */
+const listScheduled = async (unitId) => {
+	const queue = getMessageQueue(unitId);
+	const delayedJobs = await queue.getDelayed();
+	const jobs = delayedJobs
+		.filter(job => job && isPendingSchedule(job))
+		.sort((a, b) => new Date(a.data.sendAt) - new Date(b.data.sendAt))
+		.map(job => formatJob(job, 'delayed'));
+
+	return {
+		unitId,
+		total: jobs.length,
+		jobs
+	};
+};
+
+// States of a job no worker has taken yet
+const WAITING_STATES = ['waiting', 'delayed', 'paused'];
+
+/**
+ * Remove a job that has not started. Bull refuses to remove a job a worker holds, so a job
+ * taken after the state check stays in the queue.
+ * @param {Bull.Job} job Bull job
+ * @returns {Promise<boolean>} Whether the job was removed
+ */
+const removeWaitingJob = async (job) => {
+	if (!WAITING_STATES.includes(await job.getState())) return false;
+	try {
+		await job.remove();
+		return true;
+	} catch (error) {
+		// Taken by a worker in the meantime, anything else is a real error
+		if (!WAITING_STATES.includes(await job.getState())) return false;
+		throw error;
+	}
+};
+
+/**
+ * Move a scheduled message to another time
+ * @param {string} unitId Unique identifier for the queue
+ * @param {string} jobId Job ID
+ * @param {Date} sendAt New send time
+ * @returns {Promise<Object>} Rescheduled job details
+ */
+const rescheduleJob = async (unitId, jobId, sendAt) => {
+	const queue = getMessageQueue(unitId);
+	const job = await findScheduledJob(unitId, jobId);
+
+	// Move the quota reservation along with the message
+	const { data, opts } = job;
+	const slots = data.debugMode ? null : await policyService.reserveSlots(unitId, 1, sendAt);
+	const reserved = slots ? slots[0] : null;
+	const runAt = reserved ? reserved.sendAt : sendAt;
+
+	// Bull cannot change the delay of a waiting job, so re-add it under the same ID
+	// A job completed right before its removal was sent already, adding it again would send it twice
+	const removed = await removeWaitingJob(job);
+	if (!removed || await trackingService.isHandedOver(job.id)) {
+		if (reserved) {
+			await policyService.releaseSlots([reserved.slot]);
+		}
+		throw createHttpError(`Job ${jobId} is not an upcoming scheduled message`, 409);
+	}
+
+	let rescheduled;
+	try {
+		rescheduled = await queue.add({
+			...data,
+			sendAt: sendAt.toISOString(),
+			plannedAt: reserved ? runAt.toISOString() : null,
+			quotaSlot: reserved ? reserved.slot : null
+		}, {
+			jobId: job.id,
+			attempts: opts.attempts,
+			backoff: opts.backoff,
+			delay: Math.max(runAt.getTime() - Date.now(), 0)
+		});
+	} catch (error) {
+		// Put the message back at its original time rather than losing it
+		await queue.add(data, {
+			jobId: job.id,
+			attempts: opts.attempts,
+			backoff: opts.backoff,
+			delay: Math.max(job.timestamp + (opts.delay || 0) - Date.now(), 0)
+		}).catch((restoreError) => {
+			logger.error(`Failed to restore job ${jobId} for unitId ${unitId}: ${restoreError.message}`);
+		});
+		if (reserved) {
+			await policyService.releaseSlots([reserved.slot]);
+		}
+		throw error;
+	}
+
+	if (data.quotaSlot) {
+		await policyService.releaseSlots([data.quotaSlot]);
+	}
+
+	await trackingService.recordQueued(job.id, unitId, data.recipient, {
+		batchId: data.batchId,
+		scheduledAt: sendAt.toISOString(),
+		plannedAt: reserved ? runAt.toISOString() : null
+	});
+	logger.info(`Rescheduled job ${jobId} for unitId ${unitId} to ${sendAt.toISOString()}`);
+
+	return formatJob(rescheduled, 'delayed');
+};
+
+/**
+ * Cancel a scheduled message before it is sent
+ * @param {string} unitId Unique identifier for the queue
+ * @param {string} jobId Job ID
+ * @returns {Promise<Object>} Result of the operation
+ */
+const cancelScheduled = async (unitId, jobId) => {
+	const job = await findScheduledJob(unitId, jobId);
+	await discardJob(job);
+	logger.info(`Cancelled scheduled job ${jobId} for unitId: ${unitId}`);
+
+	return {
+		success: true,
+		id: jobId
+	};
+};
+
+/**
+ * Cancel the jobs of a batch that have not been sent yet
+ * @param {string} batchId Batch ID
+ * @returns {Promise<Object|null>} Result of the operation or null if the batch is not found
+ */
+const cancelBatch = async (batchId) => {
+	const batch = await batchService.getBatch(batchId);
+	if (!batch) return null;
+
+	const queue = getMessageQueue(batch.unitId);
+	const jobIds = await batchService.getBatchJobIds(batchId);
+
+	let cancelledCount = 0;
+	for (const jobId of jobIds) {
+		const job = await queue.getJob(jobId);
+		if (!job) continue;
+
+		const state = await job.getState();
+		if (!['waiting', 'delayed', 'paused'].includes(state)) continue;
+
+		try {
+			await discardJob(job);
+			cancelledCount++;
+		} catch (error) {
+			// Picked up by the worker in the meantime
+			logger.warn(`Could not cancel job ${jobId} of batch ${batchId}: ${error.message}`);
+		}
+	}
+
+	logger.info(`Cancelled ${cancelledCount} jobs of batch ${batchId} for unitId: ${batch.unitId}`);
+	return {
+		success: true,
+		batchId,
+		unitId: batch.unitId,
+		cancelledCount
+	};
+};
+
+/**
+ * Open the queue of every session that becomes ready, so jobs left in Redis
+ * by a previous run are processed without waiting for an API call on the unit
+ */
+const startQueueProcessing = () => {
+	if (unsubscribe) return;
+	closing = false;
+	unsubscribe = subscribe(({ unitId, event, data }) => {
+		if (event === 'session_status' && data.status === 'ready' && !queues.has(unitId)) {
+			logger.info(`Starting queue processing for unitId: ${unitId}`);
+			getMessageQueue(unitId);
+		}
+	});
+};
+
 /**
- * Close all queues (for graceful shutdown)
+ * Close all queues (for graceful shutdown): stop taking new jobs in this process, end the
+ * pauses between messages, wait for the active jobs and close. Waiting jobs stay in Redis for the next start.
+ * @param {number} timeout Maximum time to wait for active jobs in milliseconds
+ * @returns {Promise<boolean>} Whether all active jobs finished in time
  */
-const closeAllQueues = async () => {
-	const closePromises = [];
+const closeAllQueues = async (timeout = config.app.shutdownTimeout) => {
+	if (unsubscribe) {
+		unsubscribe();
+		unsubscribe = null;
+	}
+	const entries = Array.from(queues.entries());
+
+	// A sent message completes its job right away instead of outlasting the timeout
+	closing = true;
+	pacingDelays.forEach(pacing => pacing.resolve());
 	
-	for (const [unitId, queue] of queues.entries()) {
-		logger.info(`Closing queue for unitId: ${unitId}`);
-		closePromises.push(queue.close());
+	const paused = Promise.all(entries.map(([unitId, queue]) => {
+		logger.info(`Pausing queue for unitId: ${unitId}`);
+		return queue.pause(true);
+	}));
+	let timer;
+	const drained = await Promise.race([
+		paused.then(() => true),
+		new Promise(resolve => { timer = setTimeout(() => resolve(false), timeout); })
+	]);
+	clearTimeout(timer);
+	
+	if (!drained) {
+		logger.warn(`Active jobs did not finish within ${timeout}ms, they will be retried as stalled jobs`);
 	}
+	// Deferred jobs must be added again before their queue closes
+	await Promise.all(Array.from(deferrals));
 	
-	return Promise.all(closePromises);
+	await Promise.all(entries.map(([unitId, queue]) => {
+		logger.info(`Closing queue for unitId: ${unitId}`);
+		return queue.close(!drained);
+	}));
+	queues.clear();
+	return drained;
 };
 
 module.exports = {
+	LISTABLE_STATES,
 	queueMessage,
 	getQueueStats,
 	getAllQueuesStats,
+	getQueueCounts,
+	getQueueHealth,
 	clearQueue,
+	getJob,
+	listJobs,
+	retryJob,
+	retryFailedJobs,
+	removeJob,
+	listScheduled,
+	rescheduleJob,
+	cancelScheduled,
+	cancelBatch,
+	startQueueProcessing,
 	closeAllQueues
 };
\ No newline at end of file
@@ -1,10 +1,13 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
 const path = require('path');
 const fs = require('fs');
 const { whatsappLogger } = require('../utils/logger');
 const config = require('../config');
 const { v4: uuidv4 } = require('uuid');
+const { publish } = require('./events');
+const registry = require('./sessionRegistry');
+const transports = require('./transports');
+const { withTimeout, createHttpError } = require('../utils/helpers');
 
 // Store active WhatsApp sessions
 const sessions = new Map();
@@ -12,30 +15,242 @@ const sessions = new Map();
 // Store QR codes for sessions that are being created
 const qrCodes = new Map();
 
+// Pending reconnections: unitId -> { attempts, reason, nextAttemptAt, timer }
+const reconnects = new Map();
+
+// Disconnect reasons meaning the device was unlinked, reconnecting would only show a new QR
+const LOGOUT_REASONS = ['LOGOUT', 'UNPAIRED', 'UNPAIRED_IDLE'];
+
+let watchdogTimer = null;
+let watchdogRunning = false;
+
 /**
- * Restore WhatsApp sessions from the data path
+ * Register units found in the data path once, on the first start with the registry,
+ * so installations from before the registry keep their linked sessions
  * @returns {Promise<void>}
  */
-async function restoreSessions() {
+const registerExistingSessionDirs = async () => {
 	const basePath = config.whatsapp.dataPath;
 	if (!fs.existsSync(basePath)) return;
 
-	const unitDirs = fs.readdirSync(basePath, { withFileTypes: true })
-		.filter(dirent => dirent.isDirectory())
+	const unitIds = fs.readdirSync(basePath, { withFileTypes: true })
+		.filter(dirent => dirent.isDirectory() && transports.hasCredentials(dirent.name))
 		.map(dirent => dirent.name);
 
-	for (const unitId of unitDirs) {
-		await createSession(unitId);
+	for (const unitId of unitIds) {
+		await registry.saveEntry(unitId, {
+			id: uuidv4(),
+			createdAt: fs.statSync(path.join(basePath, unitId)).birthtime.toISOString(),
+			status: 'registered',
+			desiredState: 'running'
+		});
+	}
+	if (unitIds.length > 0) {
+		whatsappLogger.info(`Registered ${unitIds.length} existing session folder(s): ${unitIds.join(', ')}`);
 	}
+};
+
+/**
+ * Restore the WhatsApp sessions the registry marks as running,
+ * starting at most WA_RESTORE_CONCURRENCY clients at a time
+ * @returns {Promise<void>}
+ */
+async function restoreSessions() {
+	let entries = await registry.listEntries();
+	// Only on the first start: later an empty registry means the sessions were deleted,
+	// and their folders must not bring them back
+	if (!await registry.areDirsRegistered()) {
+		if (entries.length === 0) {
+			await registerExistingSessionDirs();
+			entries = await registry.listEntries();
+		}
+		await registry.markDirsRegistered();
+	}
+
+	const pending = [];
+	for (const entry of entries.filter(e => e.desiredState === 'running')) {
+		// Credentials gone (logged out from the phone while we were down): needs a new QR scan
+		if (!transports.hasCredentials(entry.unitId)) {
+			whatsappLogger.warn(`Not restoring session ${entry.unitId}: no stored credentials, create it again to link`);
+			await registry.saveEntry(entry.unitId, { status: 'logged_out', statusReason: 'No stored credentials', desiredState: 'stopped' });
+			recordHistory(entry.unitId, 'logged_out', 'No stored credentials');
+			continue;
+		}
+		pending.push(entry.unitId);
+	}
+
+	whatsappLogger.info(`Restoring ${pending.length} session(s) with concurrency ${config.whatsapp.restoreConcurrency}`);
+	const worker = async () => {
+		while (pending.length > 0) {
+			const unitId = pending.shift();
+			try {
+				await createSession(unitId);
+			} catch (error) {
+				whatsappLogger.error(`Failed to restore session ${unitId}: ${error.message}`);
+			}
+		}
+	};
+	await Promise.all(Array.from({ length: Math.max(config.whatsapp.restoreConcurrency, 1) }, worker));
 }
 
+/**
+ * Add a status change to the history of a unit and publish it as a session_status event
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} status New status
+ * @param {string} reason Reason of the change (optional)
+ */
+const recordHistory = (unitId, status, reason) => {
+	registry.appendHistory(unitId, status, reason).catch((error) => {
+		whatsappLogger.error(`Failed to record status history of session ${unitId}: ${error.message}`);
+	});
+	publish(unitId, 'session_status', { status, reason: reason || null });
+};
+
+/**
+ * Update the status of a running session in memory and in the registry
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} status New status
+ * @param {Object} fields Additional registry fields (optional)
+ */
+const setSessionStatus = (unitId, status, fields = {}) => {
+	const session = sessions.get(unitId);
+	// Late events of a deleted session must not register it again
+	if (!session && !reconnects.has(unitId)) return;
+
+	if (session) {
+		session.status = status;
+	}
+	registry.saveEntry(unitId, { status, statusReason: null, ...fields }).catch((error) => {
+		whatsappLogger.error(`Failed to save session ${unitId} to the registry: ${error.message}`);
+	});
+	recordHistory(unitId, status, fields.statusReason);
+};
+
+/**
+ * Stop the client of a unit without touching its registry entry
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Promise<boolean>} Whether a client was running
+ */
+const stopClient = async (unitId) => {
+	const session = sessions.get(unitId);
+	if (!session) return false;
+
+	// Removed first so events fired while closing the browser are ignored
+	sessions.delete(unitId);
+	qrCodes.delete(unitId);
+	await session.transport.destroy();
+	whatsappLogger.info(`Session destroyed for unitId: ${unitId}`);
+	return true;
+};
+
+/**
+ * Forget the pending reconnection of a unit
+ * @param {string} unitId Unique identifier for the session
+ */
+const cancelReconnect = (unitId) => {
+	const state = reconnects.get(unitId);
+	if (!state) return;
+	clearTimeout(state.timer);
+	reconnects.delete(unitId);
+};
+
+/**
+ * Restart the client of a unit after a delay growing exponentially with every attempt
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} reason Why the connection was lost
+ */
+const scheduleReconnect = (unitId, reason) => {
+	const { baseDelay, maxDelay, maxAttempts } = config.whatsapp.reconnect;
+	const state = reconnects.get(unitId) || { attempts: 0 };
+	clearTimeout(state.timer);
+
+	if (maxAttempts > 0 && state.attempts >= maxAttempts) {
+		whatsappLogger.error(`Giving up reconnecting session ${unitId} after ${state.attempts} attempt(s): ${reason}`);
+		setSessionStatus(unitId, 'failed', { statusReason: `Gave up reconnecting after ${state.attempts} attempt(s): ${reason}` });
+		reconnects.delete(unitId);
+		stopClient(unitId).catch((error) => {
+			whatsappLogger.error(`Error destroying session for unitId ${unitId}: ${error.message}`);
+		});
+		return;
+	}
+
+	state.attempts += 1;
+	state.reason = reason;
+	const delay = Math.min(baseDelay * 2 ** (state.attempts - 1), maxDelay);
+	state.nextAttemptAt = new Date(Date.now() + delay);
+	state.timer = setTimeout(() => reconnect(unitId), delay);
+	reconnects.set(unitId, state);
+
+	whatsappLogger.warn(`Reconnecting session ${unitId} in ${delay}ms (attempt ${state.attempts}): ${reason}`);
+	setSessionStatus(unitId, 'reconnecting', { statusReason: `${reason}, attempt ${state.attempts} at ${state.nextAttemptAt.toISOString()}` });
+};
 
 /**
- * Create a new WhatsApp session for a unitId
+ * Replace the client of a unit with a new one, scheduling the next attempt when it fails
  * @param {string} unitId Unique identifier for the session
+ * @returns {Promise<void>}
+ */
+const reconnect = async (unitId) => {
+	const state = reconnects.get(unitId);
+	if (!state) return;
+	state.timer = null;
+	state.nextAttemptAt = null;
+
+	whatsappLogger.info(`Reconnect attempt ${state.attempts} for unitId: ${unitId}`);
+	try {
+		await stopClient(unitId).catch((error) => {
+			// A crashed browser may fail to close, the new client does not depend on it
+			whatsappLogger.warn(`Error destroying session for unitId ${unitId}: ${error.message}`);
+		});
+		await initializeSession(unitId);
+	} catch (error) {
+		// Deleted or recreated by hand in the meantime
+		if (reconnects.get(unitId) !== state) return;
+		scheduleReconnect(unitId, error.message);
+	}
+};
+
+/**
+ * Handle a lost connection: unlinked sessions are stopped, any other cause is reconnected
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} reason Disconnect reason
+ */
+const handleConnectionLoss = (unitId, reason) => {
+	whatsappLogger.warn(`Session disconnected for unitId ${unitId}: ${reason}`);
+	if (LOGOUT_REASONS.includes(reason)) {
+		// Unlinked from the phone, do not bring it back on restart
+		cancelReconnect(unitId);
+		setSessionStatus(unitId, 'logged_out', { statusReason: reason, desiredState: 'stopped' });
+	} else {
+		setSessionStatus(unitId, 'disconnected', { statusReason: reason });
+		scheduleReconnect(unitId, reason);
+	}
+	publish(unitId, 'disconnected', { reason });
+};
+
+
+/**
+ * Create a new WhatsApp session for a unitId, cancelling a pending reconnection
+ * @param {string} unitId Unique identifier for the session
+ * @param {Object} options Session options
+ * @param {string} options.pairingPhone Link with a pairing code sent to this number instead of a QR scan (optional)
+ * @returns {Promise<Object>} Session details
+ */
+const createSession = async (unitId, options = {}) => {
+	cancelReconnect(unitId);
+	return initializeSession(unitId, options);
+};
+
+/**
+ * Start the WhatsApp client of a unit
+ * @param {string} unitId Unique identifier for the session
+ * @param {Object} options Session options, see createSession
  * @returns {Promise<Object>} Session details
  */
-const createSession = async (unitId) => {
+const initializeSession = async (unitId, { pairingPhone } = {}) => {
+	// Keep the ID and creation time of a unit linked before
+	const entry = await registry.getEntry(unitId);
+
 	// Check if session already exists
 	if (sessions.has(unitId)) {
 		const existingSession = sessions.get(unitId);
@@ -50,51 +265,46 @@ const createSession = async (unitId) => {
 			}
 				
 			// Jika session ada tapi statusnya tidak aktif, hapus dan buat ulang
-			await deleteSession(unitId);
+			await stopClient(unitId);
 	}
 
-	// Create session data directory if it doesn't exist
-	const sessionDir = path.join(config.whatsapp.dataPath, unitId);
-	if (!fs.existsSync(sessionDir)) {
-		fs.mkdirSync(sessionDir, { recursive: true });
-	}
+	const sessionId = entry && entry.id ? entry.id : uuidv4();
+	const createdAt = entry && entry.createdAt ? new Date(entry.createdAt) : new Date();
 
-	// Generate a unique session ID
-	const sessionId = uuidv4();
-
-	const sessionPath = path.join(config.whatsapp.dataPath,unitId);
-	if (!fs.existsSync(sessionPath)) fs.mkdirSync(sessionPath, { recursive: true });
-
-	// Create a new WhatsApp client
-	const client = new Client({
-		authStrategy: new LocalAuth({
-			dataPath: sessionPath,
-		}),
-		puppeteer: {
-			headless: true,
-			args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-gpu', '--disable-dev-shm-usage'],
-		},
-	});
+	// Connection through the driver selected by WA_TRANSPORT
+	const transport = transports.createTransport(unitId);
 
 	// Store session details
 	const sessionData = {
 		id: sessionId,
 		unitId: unitId,
-		client: client,
+		transport,
 		status: 'initializing',
-		createdAt: new Date(),
-		whatsappNumber: null,
-		qrCode: null
+		createdAt,
+		whatsappNumber: entry ? entry.whatsappNumber : null,
+		qrCode: null,
+		pairingPhone: pairingPhone || null,
+		pairingCode: null,
+		// Unhealthy watchdog checks in a row
+		watchdogFailures: 0
 	};
 
 	sessions.set(unitId, sessionData);
+	await registry.saveEntry(unitId, {
+		id: sessionId,
+		createdAt: createdAt.toISOString(),
+		status: 'initializing',
+		statusReason: null,
+		desiredState: 'running'
+	});
+	recordHistory(unitId, 'initializing');
 	
 	// Set up event listeners
-	setupSessionEvents(client, unitId);
+	setupSessionEvents(transport, unitId);
 
 	// Initialize WhatsApp client
 	try {
-		await client.initialize();
+		await transport.initialize();
 		whatsappLogger.info(`Session initialized for unitId: ${unitId}`);
 		return { 
 			id: sessionId, 
@@ -103,19 +313,36 @@ const createSession = async (unitId) => {
 		};
 	} catch (error) {
 		whatsappLogger.error(`Failed to initialize session for unitId ${unitId}: ${error.message}`);
-		// Clean up failed session
-		sessions.delete(unitId);
+		// Clean up failed session, unless it was deleted or replaced in the meantime
+		transport.destroy().catch(() => {});
+		if (sessions.get(unitId) === sessionData) {
+			sessions.delete(unitId);
+			await registry.saveEntry(unitId, { status: 'failed', statusReason: error.message });
+			recordHistory(unitId, 'failed', error.message);
+		}
 		throw error;
 	}
 };
 
 /**
- * Set up event listeners for a WhatsApp client
- * @param {Client} client WhatsApp client instance
+ * Check whether a transport is still the one serving a unit
+ * @param {Object} transport Transport instance
+ * @param {string} unitId Unique identifier for the session
+ * @returns {boolean}
+ */
+const isCurrentTransport = (transport, unitId) => {
+	const session = sessions.get(unitId);
+	return Boolean(session && session.transport === transport);
+};
+
+/**
+ * Set up event listeners for the transport of a unit
+ * @param {Object} transport Transport instance
  * @param {string} unitId Unique identifier for the session
  */
-const setupSessionEvents = (client, unitId) => {
-	client.on('qr', (qr) => {
+const setupSessionEvents = (transport, unitId) => {
+	transport.on('qr', (qr) => {
+		if (!isCurrentTransport(transport, unitId)) return;
 		whatsappLogger.info(`QR Code received for unitId: ${unitId}`);
 		
 		// Generate and store QR code for retrieval
@@ -129,71 +356,107 @@ const setupSessionEvents = (client, unitId) => {
 		// Update session status
 		const session = sessions.get(unitId);
 		if (session) {
-			session.status = 'qr_received';
 			session.qrCode = qr;
 		}
+		setSessionStatus(unitId, 'qr_received');
+		publish(unitId, 'qr', { qrCode: qr });
+
+		// Pairing codes stay valid while the QR code rotates, request one only once
+		if (session && session.pairingPhone && !session.pairingCode) {
+			requestPairingCode(unitId, session.pairingPhone).catch((error) => {
+				whatsappLogger.error(`Failed to request pairing code for unitId ${unitId}: ${error.message}`);
+			});
+		}
 	});
 
-	client.on('ready', async () => {
+	transport.on('ready', (whatsappNumber) => {
+		if (!isCurrentTransport(transport, unitId)) return;
 		whatsappLogger.info(`WhatsApp client ready for unitId: ${unitId}`);
 		
-		// Update session status and get WhatsApp number
-		try {
-			const session = sessions.get(unitId);
-			if (session) {
-				const clientInfo = await client.info;
-				const whatsappNumber = clientInfo.wid.user;
-				
-				session.status = 'ready';
-				session.whatsappNumber = whatsappNumber;
-				session.qrCode = null;
-				
-				whatsappLogger.info(`Session ${unitId} authenticated with WhatsApp number: ${whatsappNumber}`);
-			}
-		} catch (error) {
-			whatsappLogger.error(`Error getting WhatsApp number for unitId ${unitId}: ${error.message}`);
-		}
+		// Update session status and WhatsApp number
+		const session = sessions.get(unitId);
+		session.whatsappNumber = whatsappNumber;
+		session.qrCode = null;
+		session.pairingCode = null;
+		session.watchdogFailures = 0;
+		setSessionStatus(unitId, 'ready', { whatsappNumber });
+		cancelReconnect(unitId);
+		
+		whatsappLogger.info(`Session ${unitId} authenticated with WhatsApp number: ${whatsappNumber}`);
+		publish(unitId, 'ready', { whatsappNumber });
 	});
 
-	client.on('authenticated', () => {
+	transport.on('authenticated', () => {
+		if (!isCurrentTransport(transport, unitId)) return;
 		whatsappLogger.info(`Session authenticated for unitId: ${unitId}`);
-		const session = sessions.get(unitId);
-		if (session) {
-			session.status = 'authenticated';
-		}
+		setSessionStatus(unitId, 'authenticated');
+		publish(unitId, 'authenticated');
 	});
 
-	client.on('auth_failure', (error) => {
-		whatsappLogger.error(`Authentication failed for unitId ${unitId}: ${error.message}`);
-		const session = sessions.get(unitId);
-		if (session) {
-			session.status = 'auth_failed';
-		}
+	transport.on('auth_failure', (reason) => {
+		if (!isCurrentTransport(transport, unitId)) return;
+		whatsappLogger.error(`Authentication failed for unitId ${unitId}: ${reason}`);
+		setSessionStatus(unitId, 'auth_failed', { statusReason: reason });
+		publish(unitId, 'auth_failure', { reason });
 	});
 
-	client.on('disconnected', (reason) => {
-		whatsappLogger.warn(`Session disconnected for unitId ${unitId}: ${reason}`);
-		const session = sessions.get(unitId);
-		if (session) {
-			session.status = 'disconnected';
-		}
+	// Also reported by the whatsapp-web.js driver when the browser crashes or closes
+	transport.on('disconnected', (reason) => {
+		if (!isCurrentTransport(transport, unitId)) return;
+		handleConnectionLoss(unitId, reason);
+	});
+
+	// Forward message activity so it can be consumed by webhooks
+	transport.on('message', (message) => {
+		publish(unitId, 'message', message);
+	});
+
+	transport.on('message_create', (message) => {
+		publish(unitId, 'message_create', message);
+	});
+
+	transport.on('message_ack', (message, ack) => {
+		publish(unitId, 'message_ack', { ...message, ack });
+	});
+
+	transport.on('group_join', (notification) => {
+		publish(unitId, 'group_join', notification);
 	});
 };
 
 /**
- * Get all active sessions
- * @returns {Array} List of sessions
+ * Combine a registry entry with the running session of a unit
+ * @param {Object} entry Registry entry (optional)
+ * @param {Object} session Running session (optional)
+ * @returns {Object} Session details
  */
-const getAllSessions = () => {
-	const sessionList = [];
+const formatSession = (entry, session) => {
+	return {
+		unitId: (session || entry).unitId,
+		id: session ? session.id : entry.id,
+		status: session ? session.status : entry.status,
+		statusReason: entry ? entry.statusReason : null,
+		desiredState: entry ? entry.desiredState : 'running',
+		// Whether a client is running in this process
+		active: Boolean(session),
+		whatsappNumber: session ? session.whatsappNumber : entry.whatsappNumber,
+		createdAt: session ? session.createdAt : entry.createdAt,
+		updatedAt: entry ? entry.updatedAt : null
+	};
+};
+
+/**
+ * Get all registered sessions, including stopped and logged out ones
+ * @returns {Promise<Array>} List of sessions
+ */
+const getAllSessions = async () => {
+	const entries = await registry.listEntries();
+	const sessionList = entries.map(entry => formatSession(entry, sessions.get(entry.unitId)));
+	// Running sessions the registry missed (e.g. Redis was flushed)
 	sessions.forEach((session, unitId) => {
-		sessionList.push({
-			unitId: unitId,
-			id: session.id,
-			status: session.status,
-			whatsappNumber: session.whatsappNumber,
-			createdAt: session.createdAt
-		});
+		if (!entries.some(entry => entry.unitId === unitId)) {
+			sessionList.push(formatSession(null, session));
+		}
 	});
 	return sessionList;
 };
@@ -201,19 +464,24 @@ const getAllSessions = () => {
 /**
  * Get session details by unitId
  * @param {string} unitId Unique identifier for the session
- * @returns {Object|null} Session details or null if not found
+ * @returns {Promise<Object|null>} Session details or null if not found
  */
-const getSessionByUnitId = (unitId) => {
+const getSessionByUnitId = async (unitId) => {
 	const session = sessions.get(unitId);
-	if (!session) return null;
+	const entry = await registry.getEntry(unitId);
+	if (!session && !entry) return null;
 	
+	const reconnectState = reconnects.get(unitId);
 	return {
-		unitId: unitId,
-		id: session.id,
-		status: session.status,
-		whatsappNumber: session.whatsappNumber,
-		createdAt: session.createdAt,
-		qrCode: session.qrCode
+		...formatSession(entry, session),
+		qrCode: session ? session.qrCode : null,
+		pairingCode: session ? session.pairingCode : null,
+		reconnect: reconnectState ? {
+			attempts: reconnectState.attempts,
+			reason: reconnectState.reason,
+			nextAttemptAt: reconnectState.nextAttemptAt
+		} : null,
+		history: await registry.getHistory(unitId)
 	};
 };
 
@@ -227,25 +495,40 @@ const getSessionQR = (unitId) => {
 };
 
 /**
- * Delete a WhatsApp session
+ * Request a code to link a session by entering it on the phone instead of scanning the QR code
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} phoneNumber WhatsApp number to link, international format without symbols
+ * @returns {Promise<string>} Pairing code, e.g. ABCDEFGH
+ */
+const requestPairingCode = async (unitId, phoneNumber) => {
+	const session = sessions.get(unitId);
+	if (!session || session.status !== 'qr_received') {
+		throw createHttpError(`Session ${unitId} is in ${session ? session.status : 'no'} state, pairing code not available`, 409);
+	}
+
+	const code = await session.transport.requestPairingCode(phoneNumber);
+	session.pairingPhone = phoneNumber;
+	session.pairingCode = code;
+	whatsappLogger.info(`Pairing code requested for unitId ${unitId} and number ${phoneNumber}`);
+	publish(unitId, 'pairing_code', { pairingCode: code, phoneNumber });
+	return code;
+};
+
+/**
+ * Delete a WhatsApp session, it is removed from the registry and not restored again
  * @param {string} unitId Unique identifier for the session
  * @returns {boolean} Success status
  */
 const deleteSession = async (unitId) => {
-	const session = sessions.get(unitId);
-	if (!session) {
-		return false;
+	cancelReconnect(unitId);
+	const registered = await registry.removeEntry(unitId);
+	if (!sessions.has(unitId)) {
+		return registered;
 	}
 
 	try {
 		// Logout and close client
-		await session.client.destroy();
-		whatsappLogger.info(`Session destroyed for unitId: ${unitId}`);
-		
-		// Remove from session maps
-		sessions.delete(unitId);
-		qrCodes.delete(unitId);
-		
+		await stopClient(unitId);
 		return true;
 	} catch (error) {
 		whatsappLogger.error(`Error destroying session for unitId ${unitId}: ${error.message}`);
@@ -254,13 +537,13 @@ const deleteSession = async (unitId) => {
 };
 
 /**
- * Get WhatsApp client by unitId
+ * Get the transport of a unit
  * @param {string} unitId Unique identifier for the session
- * @returns {Client|null} WhatsApp client or null if not found
+ * @returns {Object|null} Transport or null if no session runs
  */
-const getClientByUnitId = (unitId) => {
+const getTransportByUnitId = (unitId) => {
 	const session = sessions.get(unitId);
-	return session ? session.client : null;
+	return session ? session.transport : null;
 };
 
 /**
@@ -273,13 +556,143 @@ const isSessionReady = (unitId) => {
 	return session && session.status === 'ready';
 };
 
+/**
+ * Get the transport of a ready session
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Object} Transport
+ */
+const getReadyTransport = (unitId) => {
+	if (!isSessionReady(unitId)) {
+		throw createHttpError(`WhatsApp session ${unitId} is not ready`, 409);
+	}
+	return getTransportByUnitId(unitId);
+};
+
+/**
+ * Check that a ready session still answers and is connected, restarting it when it is not
+ * @param {string} unitId Unique identifier for the session
+ * @param {Object} session Running session
+ * @returns {Promise<void>}
+ */
+const checkSession = async (unitId, session) => {
+	let state;
+	try {
+		state = await withTimeout(session.transport.getState(), config.whatsapp.watchdog.timeout);
+	} catch (error) {
+		state = `UNRESPONSIVE (${error.message})`;
+	}
+	// Changed while we were waiting
+	if (sessions.get(unitId) !== session || session.status !== 'ready') return;
+
+	if (state === 'CONNECTED') {
+		session.watchdogFailures = 0;
+		return;
+	}
+	if (LOGOUT_REASONS.includes(state)) {
+		handleConnectionLoss(unitId, state);
+		return;
+	}
+
+	session.watchdogFailures += 1;
+	whatsappLogger.warn(`Watchdog: session ${unitId} is ${state || 'in an unknown state'} (${session.watchdogFailures}/${config.whatsapp.watchdog.failures})`);
+	if (session.watchdogFailures >= config.whatsapp.watchdog.failures) {
+		handleConnectionLoss(unitId, `WATCHDOG: ${state || 'UNKNOWN'}`);
+	}
+};
+
+/**
+ * Check all ready sessions one after another
+ * @returns {Promise<void>}
+ */
+const runWatchdog = async () => {
+	// A hung browser can make a round take longer than the interval
+	if (watchdogRunning) return;
+	watchdogRunning = true;
+	try {
+		for (const [unitId, session] of sessions) {
+			if (session.status === 'ready') {
+				await checkSession(unitId, session);
+			}
+		}
+	} catch (error) {
+		whatsappLogger.error(`Session watchdog failed: ${error.message}`);
+	} finally {
+		watchdogRunning = false;
+	}
+};
+
+/**
+ * Start checking the state of ready sessions every WA_WATCHDOG_INTERVAL milliseconds
+ */
+const startSessionWatchdog = () => {
+	if (watchdogTimer || config.whatsapp.watchdog.interval <= 0) return;
+	watchdogTimer = setInterval(runWatchdog, config.whatsapp.watchdog.interval);
+	whatsappLogger.info(`Session watchdog started, checking every ${config.whatsapp.watchdog.interval}ms`);
+};
+
+/**
+ * Stop the session watchdog and pending reconnections
+ */
+const stopSessionWatchdog = () => {
+	clearInterval(watchdogTimer);
+	watchdogTimer = null;
+	reconnects.forEach((state) => clearTimeout(state.timer));
+	reconnects.clear();
+};
+
+/**
+ * Ask every ready session for its state to find hung browsers
+ * @param {number} timeout Maximum time to wait for each session in milliseconds
+ * @returns {Promise<Array>} { unitId, status, state, responsive } per running session,
+ * responsive is null for sessions that are not ready and therefore not probed
+ */
+const probeSessions = async (timeout) => {
+	return Promise.all(Array.from(sessions.entries()).map(async ([unitId, session]) => {
+		if (session.status !== 'ready') {
+			return { unitId, status: session.status, state: null, responsive: null };
+		}
+		try {
+			const state = await withTimeout(session.transport.getState(), timeout);
+			return { unitId, status: session.status, state, responsive: true };
+		} catch (error) {
+			return { unitId, status: session.status, state: null, responsive: false, error: error.message };
+		}
+	}));
+};
+
+/**
+ * Close the clients of all sessions (for graceful shutdown). Registry entries keep
+ * their desired state, so running sessions are restored on the next start.
+ * @returns {Promise<void>}
+ */
+const destroyAllSessions = async () => {
+	stopSessionWatchdog();
+	const unitIds = Array.from(sessions.keys());
+
+	await Promise.all(unitIds.map(async (unitId) => {
+		try {
+			await withTimeout(stopClient(unitId), config.app.shutdownTimeout);
+			await registry.saveEntry(unitId, { status: 'shutdown', statusReason: null });
+			recordHistory(unitId, 'shutdown');
+		} catch (error) {
+			whatsappLogger.error(`Error destroying session for unitId ${unitId}: ${error.message}`);
+		}
+	}));
+};
+
 module.exports = {
 	createSession,
 	getAllSessions,
 	getSessionByUnitId,
 	getSessionQR,
+	requestPairingCode,
 	deleteSession,
-	getClientByUnitId,
+	getTransportByUnitId,
 	isSessionReady,
+	getReadyTransport,
 	restoreSessions,
+	startSessionWatchdog,
+	stopSessionWatchdog,
+	destroyAllSessions,
+	probeSessions,
 };
\ No newline at end of file
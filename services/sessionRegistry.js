@@ -0,0 +1,139 @@
+const { getRedisClient } = require('../config/redis');
+
+// Number of status changes kept per session
+const MAX_HISTORY = 50;
+
+const SESSIONS_KEY = 'wa:sessions';
+// Set once the session folders from before the registry were registered
+const DIRS_REGISTERED_KEY = 'wa:sessions:dirs-registered';
+const sessionKey = (unitId) => `wa:session:${unitId}`;
+const historyKey = (unitId) => `wa:session:${unitId}:history`;
+
+/**
+ * Convert a stored registry hash into session metadata
+ * @param {Object} record Redis hash
+ * @returns {Object|null} Session metadata or null if empty
+ */
+const parseRecord = (record) => {
+	if (!record || Object.keys(record).length === 0) return null;
+	return {
+		unitId: record.unitId,
+		id: record.id,
+		whatsappNumber: record.whatsappNumber || null,
+		createdAt: record.createdAt,
+		status: record.status || null,
+		statusReason: record.statusReason || null,
+		desiredState: record.desiredState || 'running',
+		updatedAt: record.updatedAt || null
+	};
+};
+
+/**
+ * Get the registry entry of a unit
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Promise<Object|null>} Session metadata or null if not registered
+ */
+const getEntry = async (unitId) => {
+	return parseRecord(await getRedisClient().hgetall(sessionKey(unitId)));
+};
+
+/**
+ * List all registry entries
+ * @returns {Promise<Array>} Session metadata, oldest first
+ */
+const listEntries = async () => {
+	const unitIds = await getRedisClient().smembers(SESSIONS_KEY);
+	const entries = await Promise.all(unitIds.map(unitId => getEntry(unitId)));
+	return entries
+		.filter(Boolean)
+		.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+/**
+ * Create or update the registry entry of a unit
+ * @param {string} unitId Unique identifier for the session
+ * @param {Object} fields Fields to store (id, whatsappNumber, createdAt, status, statusReason,
+ * desiredState: running sessions are restored on startup, stopped ones are not)
+ * @returns {Promise<void>}
+ */
+const saveEntry = async (unitId, fields) => {
+	const record = { ...fields, unitId, updatedAt: new Date().toISOString() };
+	// Redis hashes only store strings, empty values clear a field
+	const cleared = Object.keys(record).filter(key => record[key] === undefined || record[key] === null);
+	cleared.forEach(key => delete record[key]);
+
+	const multi = getRedisClient().multi()
+		.hset(sessionKey(unitId), record)
+		.sadd(SESSIONS_KEY, unitId);
+	if (cleared.length > 0) {
+		multi.hdel(sessionKey(unitId), ...cleared);
+	}
+	await multi.exec();
+};
+
+/**
+ * Remove the registry entry of a unit
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Promise<boolean>} Whether the unit was registered
+ */
+const removeEntry = async (unitId) => {
+	const [[, removed]] = await getRedisClient().multi()
+		.del(sessionKey(unitId))
+		.del(historyKey(unitId))
+		.srem(SESSIONS_KEY, unitId)
+		.exec();
+	return removed > 0;
+};
+
+/**
+ * Record a status change of a unit
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} status New status
+ * @param {string} reason Reason of the change (optional)
+ * @returns {Promise<void>}
+ */
+const appendHistory = async (unitId, status, reason) => {
+	const change = { status, reason: reason || null, at: new Date().toISOString() };
+	await getRedisClient().multi()
+		.lpush(historyKey(unitId), JSON.stringify(change))
+		.ltrim(historyKey(unitId), 0, MAX_HISTORY - 1)
+		.exec();
+};
+
+/**
+ * Get the status changes of a unit, newest first
+ * @param {string} unitId Unique identifier for the session
+ * @param {number} limit Maximum number of changes
+ * @returns {Promise<Array>} Status changes
+ */
+const getHistory = async (unitId, limit = MAX_HISTORY) => {
+	const changes = await getRedisClient().lrange(historyKey(unitId), 0, limit - 1);
+	return changes.map(change => JSON.parse(change));
+};
+
+/**
+ * Check whether the session folders from before the registry were registered already
+ * @returns {Promise<boolean>}
+ */
+const areDirsRegistered = async () => {
+	return (await getRedisClient().exists(DIRS_REGISTERED_KEY)) === 1;
+};
+
+/**
+ * Remember that the session folders were registered, so deleted sessions are not registered again
+ * @returns {Promise<void>}
+ */
+const markDirsRegistered = async () => {
+	await getRedisClient().set(DIRS_REGISTERED_KEY, new Date().toISOString());
+};
+
+module.exports = {
+	areDirsRegistered,
+	markDirsRegistered,
+	getEntry,
+	listEntries,
+	saveEntry,
+	removeEntry,
+	appendHistory,
+	getHistory
+};
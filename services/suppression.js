@@ -0,0 +1,167 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { whatsappLogger } = require('../utils/logger');
+const { getRedisClient } = require('../config/redis');
+const { validatePhoneNumber, normalizePhoneNumber } = require('../utils/helpers');
+const { subscribe } = require('./events');
+const sessionService = require('./session');
+const unitSettingsService = require('./unitSettings');
+
+// Scope name of the list applying to every unit
+const GLOBAL_SCOPE = 'global';
+
+const suppressionKey = (scope) => `wa:suppression:${scope}`;
+
+let unsubscribe = null;
+
+/**
+ * Get the suppression entry of a number, checking the unit list then the global list
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} number E.164 number without "+", as stored in jobs; it is not normalized again
+ * since a national reading could turn a foreign number into a local one
+ * @returns {Promise<Object|null>} Entry (with its scope) or null if the number may be messaged
+ */
+const getSuppression = async (unitId, number) => {
+	const [unitEntry, globalEntry] = await Promise.all([
+		getRedisClient().hget(suppressionKey(unitId), number),
+		getRedisClient().hget(suppressionKey(GLOBAL_SCOPE), number)
+	]);
+	const raw = unitEntry || globalEntry;
+	return raw ? JSON.parse(raw) : null;
+};
+
+/**
+ * Add numbers to a suppression list, numbers already on it keep their original entry
+ * @param {string} scope Unit ID or 'global'
+ * @param {Array<string>} phones Phone numbers
+ * @param {Object} details Entry details
+ * @param {string} details.source What added the numbers: api, import or keyword
+ * @param {string} details.reason Reason (optional)
+ * @returns {Promise<Object>} { added, existing } phone lists and invalid numbers with their reason
+ */
+const addSuppressions = async (scope, phones, { source, reason } = {}) => {
+	const result = { added: [], existing: [], invalid: [] };
+	const now = new Date().toISOString();
+	const defaultCountry = await unitSettingsService.getDefaultCountry(scope === GLOBAL_SCOPE ? null : scope);
+
+	for (const phone of phones) {
+		const normalized = normalizePhoneNumber(phone, defaultCountry);
+		if (!normalized.valid) {
+			result.invalid.push({ input: normalized.input, reason: normalized.reason, message: normalized.message });
+			continue;
+		}
+		const number = normalized.phone;
+
+		const entry = { phone: number, scope, source, reason: reason || null, createdAt: now };
+		const created = await getRedisClient().hsetnx(suppressionKey(scope), number, JSON.stringify(entry));
+		(created ? result.added : result.existing).push(number);
+	}
+
+	if (result.added.length > 0) {
+		logger.info(`Added ${result.added.length} number(s) to the ${scope} suppression list (${source})`);
+	}
+	return result;
+};
+
+/**
+ * Remove a number from a suppression list
+ * @param {string} scope Unit ID or 'global'
+ * @param {string} phone Phone number
+ * @returns {Promise<boolean>} Whether the number was on the list
+ */
+const removeSuppression = async (scope, phone) => {
+	const number = validatePhoneNumber(phone, await unitSettingsService.getDefaultCountry(scope === GLOBAL_SCOPE ? null : scope));
+	if (!number) return false;
+
+	const removed = await getRedisClient().hdel(suppressionKey(scope), number);
+	if (removed > 0) {
+		logger.info(`Removed ${number} from the ${scope} suppression list`);
+	}
+	return removed > 0;
+};
+
+/**
+ * List a suppression list, newest first
+ * @param {string} scope Unit ID or 'global'
+ * @param {number} page Page number, starting at 1
+ * @param {number} limit Entries per page
+ * @param {string} search Only numbers containing these digits (optional)
+ * @returns {Promise<Object>} Paginated entries
+ */
+const listSuppressions = async (scope, page = 1, limit = 50, search) => {
+	const raw = await getRedisClient().hvals(suppressionKey(scope));
+	const digits = search ? String(search).replace(/\D/g, '') : '';
+	const entries = raw
+		.map(entry => JSON.parse(entry))
+		.filter(entry => !digits || entry.phone.includes(digits))
+		.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+	const start = (page - 1) * limit;
+	return {
+		scope,
+		page,
+		limit,
+		total: entries.length,
+		totalPages: Math.ceil(entries.length / limit),
+		entries: entries.slice(start, start + limit)
+	};
+};
+
+/**
+ * Check whether an inbound message text is an opt-out keyword
+ * @param {string} body Message text
+ * @returns {string|null} Matched keyword or null
+ */
+const matchOptOutKeyword = (body) => {
+	if (typeof body !== 'string') return null;
+	const text = body.trim().replace(/[.!]+$/, '').toUpperCase();
+	return config.optOut.keywords.includes(text) ? text : null;
+};
+
+/**
+ * Suppress the sender of an opt-out message and confirm it when configured
+ * @param {string} unitId Unique identifier for the session
+ * @param {Object} message Serialized inbound message
+ * @param {string} keyword Matched keyword
+ * @returns {Promise<void>}
+ */
+const handleOptOut = async (unitId, message, keyword) => {
+	// WhatsApp IDs hold the international number, never read it as a national one
+	const phone = message.from.split('@')[0];
+	const { added } = await addSuppressions(unitId, [`+${phone}`], { source: 'keyword', reason: `Replied ${keyword}` });
+	if (added.length === 0) return;
+
+	whatsappLogger.info(`${phone} opted out of unitId ${unitId} with keyword ${keyword}`);
+
+	const transport = sessionService.getTransportByUnitId(unitId);
+	if (config.optOut.confirmation && transport && sessionService.isSessionReady(unitId)) {
+		await transport.sendText(message.from, config.optOut.confirmation);
+	}
+};
+
+/**
+ * Start adding senders of opt-out keywords to their unit's suppression list
+ */
+const startOptOutHandling = () => {
+	if (unsubscribe) return;
+	unsubscribe = subscribe(({ unitId, event, data }) => {
+		// Only direct chats, group messages are not addressed to us
+		if (event !== 'message' || data.fromMe || !data.from || !data.from.endsWith('@c.us')) return;
+
+		const keyword = matchOptOutKeyword(data.body);
+		if (!keyword) return;
+
+		handleOptOut(unitId, data, keyword).catch((error) => {
+			logger.error(`Failed to handle opt-out from ${data.from} for unitId ${unitId}: ${error.message}`);
+		});
+	});
+};
+
+module.exports = {
+	GLOBAL_SCOPE,
+	getSuppression,
+	addSuppressions,
+	removeSuppression,
+	listSuppressions,
+	startOptOutHandling
+};
@@ -0,0 +1,169 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { getRedisClient } = require('../config/redis');
+
+// Matches {{name}} and {{invoice.due_date}} placeholders
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w-]+(?:\.[\w-]+)*)\s*\}\}/g;
+
+const TEMPLATES_KEY = 'wa:templates';
+const templateKey = (templateId) => `wa:template:${templateId}`;
+
+/**
+ * List the distinct placeholders used in a text
+ * @param {string} text Template text
+ * @returns {Array<string>} Placeholder paths, e.g. ['name', 'invoice.due_date']
+ */
+const extractPlaceholders = (text) => {
+	if (typeof text !== 'string') return [];
+	const names = new Set();
+	for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+		names.add(match[1]);
+	}
+	return [...names];
+};
+
+/**
+ * Resolve a dotted path in a variables object
+ * @param {Object} variables Variables
+ * @param {string} path Dotted path, e.g. invoice.due_date
+ * @returns {*} Value or undefined if missing
+ */
+const resolveVariable = (variables, path) => {
+	return path.split('.').reduce((value, key) => {
+		if (value === undefined || value === null || typeof value !== 'object') return undefined;
+		return value[key];
+	}, variables);
+};
+
+/**
+ * Find placeholders of a text that have no value in the given variables
+ * @param {string} text Template text
+ * @param {Object} variables Variables
+ * @returns {Array<string>} Missing placeholder paths
+ */
+const findMissingVariables = (text, variables = {}) => {
+	return extractPlaceholders(text).filter((path) => {
+		const value = resolveVariable(variables, path);
+		return value === undefined || value === null || typeof value === 'object';
+	});
+};
+
+/**
+ * Replace placeholders of a text with variable values
+ * @param {string} text Template text
+ * @param {Object} variables Variables
+ * @returns {string} Rendered text
+ */
+const renderTemplate = (text, variables = {}) => {
+	if (typeof text !== 'string') return text;
+	return text.replace(PLACEHOLDER_PATTERN, (placeholder, path) => {
+		const value = resolveVariable(variables, path);
+		return value === undefined || value === null ? '' : String(value);
+	});
+};
+
+/**
+ * Format a stored template for API responses
+ * @param {Object} template Stored template
+ * @returns {Object} Template with its placeholders
+ */
+const formatTemplate = (template) => ({
+	...template,
+	variables: extractPlaceholders(template.body)
+});
+
+/**
+ * Get a template by ID
+ * @param {string} templateId Template ID
+ * @returns {Promise<Object|null>} Template or null if not found
+ */
+const getTemplate = async (templateId) => {
+	const raw = await getRedisClient().get(templateKey(templateId));
+	return raw ? formatTemplate(JSON.parse(raw)) : null;
+};
+
+/**
+ * List all templates
+ * @returns {Promise<Array>} Templates
+ */
+const listTemplates = async () => {
+	const ids = await getRedisClient().smembers(TEMPLATES_KEY);
+	const templates = await Promise.all(ids.map(id => getTemplate(id)));
+	return templates
+		.filter(Boolean)
+		.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Create a template
+ * @param {Object} data Template fields
+ * @param {string} data.name Template name
+ * @param {string} data.body Message text with placeholders
+ * @param {string} data.description Description (optional)
+ * @returns {Promise<Object>} Created template
+ */
+const createTemplate = async ({ name, body, description }) => {
+	const now = new Date().toISOString();
+	const template = {
+		id: uuidv4(),
+		name,
+		description: description || '',
+		body,
+		createdAt: now,
+		updatedAt: now
+	};
+
+	await getRedisClient().multi()
+		.set(templateKey(template.id), JSON.stringify(template))
+		.sadd(TEMPLATES_KEY, template.id)
+		.exec();
+
+	logger.info(`Template ${template.id} (${name}) created`);
+	return formatTemplate(template);
+};
+
+/**
+ * Update a template
+ * @param {string} templateId Template ID
+ * @param {Object} changes Fields to change (name, body, description)
+ * @returns {Promise<Object|null>} Updated template or null if not found
+ */
+const updateTemplate = async (templateId, changes) => {
+	const raw = await getRedisClient().get(templateKey(templateId));
+	if (!raw) return null;
+
+	const template = {
+		...JSON.parse(raw),
+		...changes,
+		id: templateId,
+		updatedAt: new Date().toISOString()
+	};
+	await getRedisClient().set(templateKey(templateId), JSON.stringify(template));
+
+	logger.info(`Template ${templateId} updated`);
+	return formatTemplate(template);
+};
+
+/**
+ * Delete a template
+ * @param {string} templateId Template ID
+ * @returns {Promise<boolean>} Whether the template existed
+ */
+const deleteTemplate = async (templateId) => {
+	const [[, removed]] = await getRedisClient().multi()
+		.del(templateKey(templateId))
+		.srem(TEMPLATES_KEY, templateId)
+		.exec();
+	return removed > 0;
+};
+
+module.exports = {
+	extractPlaceholders,
+	findMissingVariables,
+	renderTemplate,
+	getTemplate,
+	listTemplates,
+	createTemplate,
+	updateTemplate,
+	deleteTemplate
+};
@@ -0,0 +1,299 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { whatsappLogger } = require('../utils/logger');
+const { getRedisClient } = require('../config/redis');
+const { publish, subscribe } = require('./events');
+
+// whatsapp-web.js ACK values mapped to delivery statuses
+const ACK_STATUS = {
+	'-1': 'error',
+	'0': 'pending',
+	'1': 'sent',
+	'2': 'delivered',
+	'3': 'read',
+	'4': 'played'
+};
+
+// Timestamp field recorded for each delivery status
+const STATUS_TIMESTAMP = {
+	queued: 'queuedAt',
+	pending: 'submittedAt',
+	sent: 'sentAt',
+	delivered: 'deliveredAt',
+	read: 'readAt',
+	played: 'playedAt',
+	error: 'failedAt',
+	failed: 'failedAt',
+	not_registered: 'failedAt',
+	suppressed: 'suppressedAt'
+};
+
+// Statuses of a message WhatsApp has accepted, sending its job again would deliver it twice
+const HANDED_OVER_STATUSES = ['pending', 'sent', 'delivered', 'read', 'played'];
+
+const jobKey = (jobId) => `wa:job:${jobId}`;
+const historyKey = (jobId) => `wa:job:${jobId}:history`;
+const messageKey = (messageId) => `wa:msg:${messageId}`;
+const earlyAckKey = (messageId) => `wa:ack:${messageId}`;
+
+// ACKs arriving before recordSent linked their message are kept this long, in seconds
+const EARLY_ACK_TTL = 5 * 60;
+
+// Apply an ACK to the job of a message, never moving it backwards (ACKs can arrive out of order)
+// except for errors. An ACK of a message not linked to its job yet is kept for recordSent, the
+// furthest one wins. Returns { jobId, applied } or false when the message is not linked.
+const ACK_SCRIPT = `
+local ack = tonumber(ARGV[1])
+local jobId = redis.call('GET', KEYS[1])
+if not jobId then
+	local early = tonumber(redis.call('GET', KEYS[2]) or '')
+	if not early or ack == -1 or (early ~= -1 and early < ack) then
+		redis.call('SET', KEYS[2], ARGV[1], 'EX', ARGV[6])
+	end
+	return false
+end
+local jobKey = ARGV[7] .. jobId
+local current = tonumber(redis.call('HGET', jobKey, 'ack') or '')
+if ack ~= -1 and current and current >= ack then
+	return {jobId, 0}
+end
+redis.call('HSET', jobKey, 'ack', ARGV[1], 'status', ARGV[2], ARGV[3], ARGV[4], 'updatedAt', ARGV[4])
+redis.call('EXPIRE', jobKey, ARGV[5])
+redis.call('RPUSH', jobKey .. ':history', ARGV[8])
+redis.call('EXPIRE', jobKey .. ':history', ARGV[5])
+return {jobId, 1}
+`;
+
+let unsubscribe = null;
+
+/**
+ * Update a tracking record and append the change to its history,
+ * status changes are published as job_status events
+ * @param {string} jobId Queue job ID
+ * @param {Object} fields Fields to store
+ * @param {string} status New status to record in history (optional)
+ * @param {Function} addCommands Adds commands to the same transaction, called with it (optional)
+ * @returns {Promise<void>}
+ */
+const updateRecord = async (jobId, fields, status, addCommands) => {
+	const now = new Date().toISOString();
+	const ttl = config.tracking.ttl;
+	const record = { ...fields, updatedAt: now };
+	if (status) {
+		record.status = status;
+		if (STATUS_TIMESTAMP[status]) {
+			record[STATUS_TIMESTAMP[status]] = now;
+		}
+	}
+
+	// Drop undefined/null values, Redis hashes only store strings
+	Object.keys(record).forEach((key) => {
+		if (record[key] === undefined || record[key] === null) delete record[key];
+	});
+
+	const multi = getRedisClient().multi();
+	if (addCommands) addCommands(multi);
+	multi.hset(jobKey(jobId), record);
+	multi.expire(jobKey(jobId), ttl);
+	if (status) {
+		multi.rpush(historyKey(jobId), JSON.stringify({ status, at: now }));
+		multi.expire(historyKey(jobId), ttl);
+		multi.hmget(jobKey(jobId), 'unitId', 'recipient', 'batchId');
+	}
+	const results = await multi.exec();
+
+	if (status) {
+		const [unitId, recipient, batchId] = results[results.length - 1][1];
+		// Expired records have nothing to tell their unit about
+		if (unitId) publish(unitId, 'job_status', { jobId, status, recipient, batchId, error: record.error || null });
+	}
+};
+
+/**
+ * Record a newly queued job
+ * @param {string} jobId Queue job ID
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} recipient Recipient phone number
+ * @param {Object} fields Additional fields to store (optional)
+ * @returns {Promise<void>}
+ */
+const recordQueued = (jobId, unitId, recipient, fields = {}) => {
+	return updateRecord(jobId, { jobId, unitId, recipient, ...fields }, 'queued');
+};
+
+/**
+ * Record a message handed to WhatsApp, ACK updates take it from there
+ * @param {string} jobId Queue job ID
+ * @param {string} messageId Serialized WhatsApp message ID
+ * @returns {Promise<void>}
+ */
+const recordSent = async (jobId, messageId) => {
+	// Linked in the same transaction, an ACK can never find the message without its job record
+	await updateRecord(jobId, { messageId, ack: 0 }, 'pending', messageId && ((multi) => {
+		multi.set(messageKey(messageId), jobId, 'EX', config.tracking.ttl);
+	}));
+	if (!messageId) return;
+
+	// Fast receipts may have arrived while the message was being sent
+	const [[, earlyAck]] = await getRedisClient().multi()
+		.get(earlyAckKey(messageId))
+		.del(earlyAckKey(messageId))
+		.exec();
+	if (earlyAck !== null) {
+		await recordAck(messageId, parseInt(earlyAck));
+	}
+};
+
+/**
+ * Record a final job status (failed, not_registered, debug, ...)
+ * @param {string} jobId Queue job ID
+ * @param {string} status Status to record
+ * @param {string} error Error description (optional)
+ * @returns {Promise<void>}
+ */
+const recordStatus = (jobId, status, error) => {
+	return updateRecord(jobId, { error }, status);
+};
+
+/**
+ * Delete the tracking record of a job that was not queued after all
+ * @param {string} jobId Queue job ID
+ * @returns {Promise<void>}
+ */
+const deleteRecord = async (jobId) => {
+	await getRedisClient().del(jobKey(jobId), historyKey(jobId));
+};
+
+/**
+ * Record an ACK update for a sent message
+ * @param {string} messageId Serialized WhatsApp message ID
+ * @param {number} ack whatsapp-web.js ACK value
+ * @returns {Promise<boolean>} Whether the message belonged to a tracked job
+ */
+const recordAck = async (messageId, ack) => {
+	const status = ACK_STATUS[String(ack)];
+	if (!status) {
+		return false;
+	}
+
+	const now = new Date().toISOString();
+	const result = await getRedisClient().eval(
+		ACK_SCRIPT, 2, messageKey(messageId), earlyAckKey(messageId),
+		ack, status, STATUS_TIMESTAMP[status], now, config.tracking.ttl, EARLY_ACK_TTL,
+		jobKey(''), JSON.stringify({ status, at: now })
+	);
+	if (!result) {
+		return false;
+	}
+
+	const [jobId, applied] = result;
+	if (applied) {
+		const [unitId, recipient, batchId] = await getRedisClient().hmget(jobKey(jobId), 'unitId', 'recipient', 'batchId');
+		if (unitId) publish(unitId, 'job_status', { jobId, status, recipient, batchId, error: null });
+		whatsappLogger.debug(`Job ${jobId} message ${messageId} is now ${status}`);
+	}
+	return true;
+};
+
+/**
+ * Get tracking record for a job
+ * @param {string} jobId Queue job ID
+ * @returns {Promise<Object|null>} Tracking record with history or null if unknown
+ */
+const getJobStatus = async (jobId) => {
+	const [record, history] = await Promise.all([
+		getRedisClient().hgetall(jobKey(jobId)),
+		getRedisClient().lrange(historyKey(jobId), 0, -1)
+	]);
+	if (!record || Object.keys(record).length === 0) {
+		return null;
+	}
+	return {
+		...record,
+		ack: record.ack !== undefined ? parseInt(record.ack) : null,
+		history: history.map(entry => JSON.parse(entry))
+	};
+};
+
+/**
+ * Check whether the message of a job was already handed to WhatsApp, e.g. before a crash stalled the job
+ * @param {string} jobId Queue job ID
+ * @returns {Promise<boolean>}
+ */
+const isHandedOver = async (jobId) => {
+	return HANDED_OVER_STATUSES.includes(await getRedisClient().hget(jobKey(jobId), 'status'));
+};
+
+/**
+ * Get the unit a tracked job belongs to
+ * @param {string} jobId Queue job ID
+ * @returns {Promise<string|null>} Unit ID or null if unknown
+ */
+const getJobUnitId = (jobId) => {
+	return getRedisClient().hget(jobKey(jobId), 'unitId');
+};
+
+/**
+ * Summarize delivery statuses for a set of jobs
+ * @param {Array<string>} jobIds Queue job IDs
+ * @param {Function} isVisible Filter on tracking records, hidden jobs are reported as unknown (optional)
+ * @returns {Promise<Object>} Summary counts and per-job records
+ */
+const getStatusSummary = async (jobIds, isVisible = () => true) => {
+	const found = await Promise.all(jobIds.map(jobId => getJobStatus(jobId)));
+	const records = found.map(record => record && isVisible(record) ? record : null);
+	const byStatus = {};
+	const jobs = records.map((record, index) => {
+		const status = record ? record.status : 'unknown';
+		byStatus[status] = (byStatus[status] || 0) + 1;
+		return record || { jobId: jobIds[index], status };
+	});
+
+	const count = (...statuses) => statuses.reduce((sum, status) => sum + (byStatus[status] || 0), 0);
+
+	return {
+		summary: {
+			total: jobIds.length,
+			queued: count('queued'),
+			deferred: count('deferred'),
+			// Cumulative counts: a read message has also been delivered and sent, a pending one was
+			// handed to WhatsApp and is sent even before its first ACK arrives
+			sent: count(...HANDED_OVER_STATUSES),
+			delivered: count('delivered', 'read', 'played'),
+			read: count('read', 'played'),
+			failed: count('failed', 'error'),
+			notRegistered: count('not_registered'),
+			cancelled: count('cancelled'),
+			suppressed: count('suppressed'),
+			byStatus
+		},
+		jobs
+	};
+};
+
+/**
+ * Start recording ACK updates published by sessions
+ */
+const startAckTracking = () => {
+	if (unsubscribe) return;
+	unsubscribe = subscribe(({ event, data }) => {
+		if (event !== 'message_ack' || !data.fromMe || !data.id) return;
+		recordAck(data.id, data.ack).catch((error) => {
+			logger.error(`Failed to record ack for message ${data.id}: ${error.message}`);
+		});
+	});
+};
+
+module.exports = {
+	ACK_STATUS,
+	recordQueued,
+	recordSent,
+	recordStatus,
+	recordAck,
+	deleteRecord,
+	getJobStatus,
+	isHandedOver,
+	getJobUnitId,
+	getStatusSummary,
+	startAckTracking
+};
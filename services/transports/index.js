@@ -0,0 +1,86 @@
+const config = require('../../config');
+
+/**
+ * A transport connects one unit to WhatsApp. It is an EventEmitter with these methods:
+ *
+ * - initialize(): Promise<void> starts the connection, emitting qr or authenticated then ready
+ * - destroy(): Promise<void> closes the connection without unlinking the device
+ * - getState(): Promise<string> connection state, CONNECTED when usable
+ * - requestPairingCode(phone): Promise<string> code to link by phone number instead of the QR code
+ * - isRegisteredUser(chatId): Promise<boolean> whether a chat ID (628...@c.us) is on WhatsApp
+ * - getContactInfo(chatId): Promise<Object> { registered, name, isBusiness }, name being the profile or business name
+ * - sendText(chatId, text): Promise<Object> sent message as { id, serializedId }
+ * - sendMedia(chatId, media, { caption, asDocument, asSticker, asVoice, viewOnce }): Promise<Object> same, media being
+ *   { url } or { mimetype, data (base64), filename }, sent as a document, a sticker (images), a voice note (audio)
+ *   or a view-once image or video
+ * - sendLocation(chatId, { latitude, longitude, name, address, url }): Promise<Object> same, a location pin
+ * - sendContact(chatId, vcard): Promise<Object> same, a contact card from vCard text
+ * - sendPoll(chatId, { question, options, allowMultiple }): Promise<Object> same, a poll
+ * - getGroups(): Promise<Array> groups the account is in, getGroup(groupId): Promise<Object|null> one group
+ *   with its participants, as { id, name, description, owner, createdAt, isAdmin, announce, participantCount, participants }
+ * - createGroup(name, participantIds): Promise<Object> { id, name, participants }, one result per participant
+ * - updateParticipants(groupId, action, participantIds): Promise<Array> results of add, remove, promote or demote
+ *   as { id, success, code, message }
+ * - updateGroup(groupId, { subject, description }): Promise<boolean> whether WhatsApp accepted the change
+ * - getGroupInviteCode(groupId, revoke): Promise<string> invite code, a new one when revoking the current one
+ * - getChats(): Promise<Array> chats as { id, name, isGroup, unreadCount, archived, pinned, muted, timestamp, lastMessage }
+ * - getChatMessages(chatId, limit): Promise<Array|null> last messages of a chat, oldest first, null for an unknown chat
+ * - getMessageMedia(messageId): Promise<Object|null> { mimetype, data (base64), filename }, null when not available
+ * - markChatRead(chatId): Promise<boolean> false for an unknown chat
+ *
+ * and these events, with plain serializable payloads:
+ *
+ * - qr (qr), authenticated, auth_failure (reason), ready (whatsappNumber), disconnected (reason)
+ * - message (message), message_create (message), message_ack (message, ack), group_join (notification)
+ *
+ * Messages have the shape of serializeMessage and notifications the shape of serializeGroupNotification (utils/helpers).
+ */
+
+// Drivers are loaded on first use, the simulator does not need whatsapp-web.js and Chromium
+const DRIVERS = {
+	'whatsapp-web': () => require('./whatsappWeb'),
+	simulator: () => require('./simulator')
+};
+
+/**
+ * Get the driver selected by WA_TRANSPORT
+ * @returns {Object} Driver module ({ createTransport, hasCredentials })
+ */
+const getDriver = () => {
+	const load = DRIVERS[config.whatsapp.transport];
+	if (!load) {
+		throw new Error(`Unknown WA_TRANSPORT: ${config.whatsapp.transport}, use one of: ${Object.keys(DRIVERS).join(', ')}`);
+	}
+	return load();
+};
+
+/**
+ * Create the transport of a unit
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Object} Transport
+ */
+const createTransport = (unitId) => {
+	return getDriver().createTransport(unitId);
+};
+
+/**
+ * Check whether a unit can connect again without linking a phone
+ * @param {string} unitId Unique identifier for the session
+ * @returns {boolean}
+ */
+const hasCredentials = (unitId) => {
+	return getDriver().hasCredentials(unitId);
+};
+
+/**
+ * Check whether the simulator driver is selected
+ * @returns {boolean}
+ */
+const isSimulator = () => config.whatsapp.transport === 'simulator';
+
+module.exports = {
+	DRIVERS,
+	createTransport,
+	hasCredentials,
+	isSimulator
+};
@@ -0,0 +1,484 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const config = require('../../config');
+const { createHttpError } = require('../../utils/helpers');
+
+// Acknowledgements a sent message goes through, up to the configured one
+const ACKS = { none: 0, sent: 1, delivered: 2, read: 3 };
+
+// getState() override that never answers, like a hung browser
+const HANG = 'HANG';
+
+// Disconnect reasons unlinking the device
+const LOGOUT_REASONS = ['LOGOUT', 'UNPAIRED', 'UNPAIRED_IDLE'];
+
+// Sent messages kept per unit for inspection
+const MAX_SENT = 100;
+
+// Messages kept per chat for the chat history
+const MAX_CHAT_MESSAGES = 500;
+
+// Units linked in this process, they connect again without a QR code like stored credentials would
+const linkedUnits = new Set();
+
+/**
+ * Check whether a unit can connect again without linking, always the case with automatic login
+ * @param {string} unitId Unique identifier for the session
+ * @returns {boolean}
+ */
+const hasCredentials = (unitId) => {
+	return config.whatsapp.simulator.login === 'auto' || linkedUnits.has(unitId);
+};
+
+/**
+ * Fake WhatsApp number of a unit, stable across restarts
+ * @param {string} unitId Unique identifier for the session
+ * @returns {string} Phone number
+ */
+const simulatedNumber = (unitId) => {
+	const hash = parseInt(crypto.createHash('sha1').update(unitId).digest('hex').slice(0, 8), 16);
+	return `6280${String(hash).padStart(10, '0').slice(-9)}`;
+};
+
+/**
+ * Name of a simulated contact
+ * @param {string} number Phone number
+ * @returns {string} Name
+ */
+const contactName = (number) => `Contact ${number.slice(-4)}`;
+
+/**
+ * Describe media for inspection, without its data
+ * @param {Object} media { url } or { mimetype, data, filename }
+ * @returns {Object} { url } or { mimetype, filename, size }
+ */
+const describeMedia = (media) => (media.url
+	? { url: media.url }
+	: { mimetype: media.mimetype, filename: media.filename, size: Buffer.byteLength(media.data || '', 'base64') });
+
+/**
+ * Check whether a number matches a list of numbers and prefixes ending with *
+ * @param {string} number Phone number
+ * @param {Array<string>} patterns Numbers or prefixes
+ * @returns {boolean}
+ */
+const matchesNumber = (number, patterns) => {
+	return patterns.some(pattern => (pattern.endsWith('*') ? number.startsWith(pattern.slice(0, -1)) : number === pattern));
+};
+
+/**
+ * Create a transport faking WhatsApp without a phone or browser: it shows a QR code, links,
+ * sends (recording what was sent), acknowledges sent messages and receives injected messages.
+ * Registration results, send failures and the connection state can be changed at runtime.
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Object} Transport, see services/transports
+ */
+const createTransport = (unitId) => {
+	const transport = new EventEmitter();
+	const whatsappNumber = simulatedNumber(unitId);
+	const ownId = `${whatsappNumber}@c.us`;
+	const timers = new Set();
+	const sent = [];
+	const groups = new Map();
+	const chats = new Map();
+	const mediaById = new Map();
+	const { login, delay, ack, unregistered, business, failureRate } = config.whatsapp.simulator;
+	const behaviour = { login, delay, ack, unregistered, business, failureRate, failNext: 0, state: null };
+	let state = 'CLOSED';
+	let qrCount = 0;
+
+	/**
+	 * Run a callback after the simulated delay
+	 * @param {Function} callback Callback
+	 * @param {number} steps Number of delays to wait
+	 */
+	const later = (callback, steps = 1) => {
+		const timer = setTimeout(() => {
+			timers.delete(timer);
+			callback();
+		}, behaviour.delay * steps);
+		timers.add(timer);
+	};
+
+	/**
+	 * Build a message in the shape of serializeMessage
+	 * @param {Object} fields Message fields
+	 * @returns {Object} Message
+	 */
+	const createMessage = ({ fromMe, remote, type, body, hasMedia = false }) => {
+		const id = `3EB0${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+		return {
+			id: `${fromMe}_${remote}_${id}`,
+			from: fromMe ? ownId : remote,
+			to: fromMe ? remote : ownId,
+			author: null,
+			fromMe,
+			type,
+			body,
+			hasMedia,
+			ack: fromMe ? 0 : 1,
+			isForwarded: false,
+			timestamp: Math.floor(Date.now() / 1000)
+		};
+	};
+
+	const connect = () => {
+		state = 'CONNECTED';
+		transport.emit('ready', whatsappNumber);
+	};
+
+	const showQr = () => {
+		state = 'QR';
+		qrCount += 1;
+		transport.emit('qr', `SIMULATOR:${unitId}:${qrCount}:${crypto.randomBytes(8).toString('hex')}`);
+		if (behaviour.login === 'auto') {
+			// Unless scanned by hand in the meantime
+			later(() => state === 'QR' && scan());
+		}
+	};
+
+	/**
+	 * Link the unit as if the QR code was scanned
+	 */
+	const scan = () => {
+		if (state !== 'QR') {
+			throw createHttpError(`Simulated session ${unitId} is ${state}, there is no QR code to scan`, 409);
+		}
+		state = 'AUTHENTICATING';
+		linkedUnits.add(unitId);
+		transport.emit('authenticated');
+		later(connect);
+	};
+
+	const assertConnected = () => {
+		if (state !== 'CONNECTED') {
+			throw createHttpError(`Simulated session ${unitId} is ${state}`, 409);
+		}
+	};
+
+	/**
+	 * Describe a simulated group
+	 * @param {Object} group Simulated group
+	 * @param {boolean} withParticipants Whether to list the participants
+	 * @returns {Object} Group, see services/transports
+	 */
+	const toGroup = ({ participants, inviteCode, ...group }, withParticipants) => ({
+		...group,
+		isAdmin: participants.some(participant => participant.id === ownId && participant.isAdmin),
+		participantCount: participants.length,
+		...(withParticipants && { participants: participants.map(participant => ({ ...participant })) })
+	});
+
+	/**
+	 * Get a simulated group that has to exist
+	 * @param {string} groupId Group ID
+	 * @returns {Object} Simulated group
+	 */
+	const getGroup = (groupId) => {
+		const group = groups.get(groupId);
+		if (!group) throw new Error(`Simulated group ${groupId} not found`);
+		return group;
+	};
+
+	/**
+	 * Add a participant to a simulated group, numbers configured as unregistered cannot be added
+	 * @param {Object} group Simulated group
+	 * @param {string} id Participant chat ID
+	 * @returns {Object} { id, success, code, message, invited }
+	 */
+	const addParticipant = (group, id) => {
+		if (matchesNumber(id.split('@')[0], behaviour.unregistered)) {
+			return { id, success: false, code: 404, message: 'Not on WhatsApp', invited: false };
+		}
+		if (group.participants.some(participant => participant.id === id)) {
+			return { id, success: false, code: 409, message: 'Already a participant', invited: false };
+		}
+		group.participants.push({ id, isAdmin: false, isSuperAdmin: false });
+		return { id, success: true, code: 200, message: null, invited: false };
+	};
+
+	/**
+	 * Add a message to the history of its chat
+	 * @param {Object} message Message
+	 * @param {Object} media Attached media, downloadable when given with its data (optional)
+	 * @returns {Object} Message as kept in the history
+	 */
+	const recordMessage = (message, media) => {
+		const chatId = message.fromMe ? message.to : message.from;
+		if (!chats.has(chatId)) {
+			const number = chatId.split('@')[0];
+			const group = groups.get(chatId);
+			chats.set(chatId, { id: chatId, name: group ? group.name : contactName(number), isGroup: chatId.endsWith('@g.us'), unreadCount: 0, messages: [] });
+		}
+		const chat = chats.get(chatId);
+		const entry = { ...message };
+		chat.messages.push(entry);
+		chat.messages.splice(0, chat.messages.length - MAX_CHAT_MESSAGES).forEach(dropped => mediaById.delete(dropped.id));
+		if (!message.fromMe) chat.unreadCount += 1;
+		if (media && media.data) mediaById.set(message.id, media);
+		return entry;
+	};
+
+	/**
+	 * Describe a simulated chat
+	 * @param {Object} chat Simulated chat
+	 * @returns {Object} Chat, see services/transports
+	 */
+	const toChat = ({ messages, ...chat }) => {
+		const lastMessage = messages[messages.length - 1];
+		return {
+			...chat,
+			name: groups.has(chat.id) ? groups.get(chat.id).name : chat.name,
+			archived: false,
+			pinned: false,
+			muted: false,
+			timestamp: lastMessage.timestamp,
+			lastMessage: { ...lastMessage }
+		};
+	};
+
+	/**
+	 * Record and acknowledge an outgoing message, failing when failure injection says so
+	 * @param {string} chatId Recipient chat ID
+	 * @param {Object} fields Message type, body and media, details are only kept for inspection
+	 * @returns {Object} { id, serializedId }
+	 */
+	const send = (chatId, { type, body, media, details }) => {
+		assertConnected();
+		if (chatId.endsWith('@g.us')) getGroup(chatId);
+		if (behaviour.failNext > 0) {
+			behaviour.failNext -= 1;
+			throw new Error('Simulated send failure');
+		}
+		if (Math.random() < behaviour.failureRate) {
+			throw new Error('Simulated random send failure');
+		}
+
+		const message = createMessage({ fromMe: true, remote: chatId, type, body, hasMedia: Boolean(media) });
+		sent.unshift({ id: message.id, to: chatId, type, body, media: media ? describeMedia(media) : null, ...details, ack: 0, sentAt: new Date().toISOString() });
+		sent.splice(MAX_SENT);
+		const history = recordMessage(message, media);
+		transport.emit('message_create', message);
+
+		for (let level = 1; level <= ACKS[behaviour.ack]; level += 1) {
+			later(() => {
+				// Not acknowledged once disconnected, like a phone going offline
+				if (state !== 'CONNECTED') return;
+				const record = sent.find(entry => entry.id === message.id);
+				if (record) record.ack = level;
+				history.ack = level;
+				transport.emit('message_ack', { ...message, ack: level }, level);
+			}, level);
+		}
+		return { id: message.id.split('_').pop(), serializedId: message.id };
+	};
+
+	return Object.assign(transport, {
+		name: 'simulator',
+		simulator: true,
+
+		initialize: async () => {
+			state = 'OPENING';
+			later(() => {
+				if (!linkedUnits.has(unitId)) {
+					showQr();
+					return;
+				}
+				state = 'AUTHENTICATING';
+				transport.emit('authenticated');
+				later(connect);
+			});
+		},
+
+		destroy: async () => {
+			timers.forEach(timer => clearTimeout(timer));
+			timers.clear();
+			state = 'CLOSED';
+		},
+
+		getState: () => {
+			if (behaviour.state === HANG) return new Promise(() => {});
+			return Promise.resolve(behaviour.state || state);
+		},
+
+		requestPairingCode: async () => {
+			if (state !== 'QR') {
+				throw createHttpError(`Simulated session ${unitId} is ${state}, pairing code not available`, 409);
+			}
+			return crypto.randomBytes(4).toString('hex').toUpperCase();
+		},
+
+		isRegisteredUser: async (chatId) => {
+			assertConnected();
+			return !matchesNumber(chatId.split('@')[0], behaviour.unregistered);
+		},
+
+		getContactInfo: async (chatId) => {
+			assertConnected();
+			const number = chatId.split('@')[0];
+			if (matchesNumber(number, behaviour.unregistered)) {
+				return { registered: false, name: null, isBusiness: null };
+			}
+			return { registered: true, name: contactName(number), isBusiness: matchesNumber(number, behaviour.business) };
+		},
+
+		sendText: async (chatId, text) => send(chatId, { type: 'chat', body: text }),
+
+		sendMedia: async (chatId, media, { caption, asDocument, asSticker, asVoice, viewOnce } = {}) => send(chatId, {
+			type: (asDocument && 'document') || (asSticker && 'sticker') || (asVoice && 'ptt') || 'image',
+			body: caption || '',
+			media,
+			details: viewOnce && { viewOnce: true }
+		}),
+
+		sendLocation: async (chatId, location) => send(chatId, { type: 'location', body: '', details: { location } }),
+
+		sendContact: async (chatId, vcard) => send(chatId, { type: 'vcard', body: vcard }),
+
+		sendPoll: async (chatId, poll) => send(chatId, { type: 'poll_creation', body: poll.question, details: { poll } }),
+
+		getGroups: async () => {
+			assertConnected();
+			return Array.from(groups.values()).map(group => toGroup(group, false));
+		},
+
+		getGroup: async (groupId) => {
+			assertConnected();
+			return groups.has(groupId) ? toGroup(groups.get(groupId), true) : null;
+		},
+
+		createGroup: async (name, participantIds) => {
+			assertConnected();
+			const id = `120363${String(parseInt(crypto.randomBytes(6).toString('hex'), 16)).padStart(12, '0').slice(-12)}@g.us`;
+			const group = {
+				id,
+				name,
+				description: null,
+				owner: ownId,
+				createdAt: new Date().toISOString(),
+				announce: false,
+				inviteCode: crypto.randomBytes(11).toString('base64url'),
+				participants: [{ id: ownId, isAdmin: true, isSuperAdmin: true }]
+			};
+			groups.set(id, group);
+			return { id, name, participants: participantIds.map(participantId => addParticipant(group, participantId)) };
+		},
+
+		updateParticipants: async (groupId, action, participantIds) => {
+			assertConnected();
+			const group = getGroup(groupId);
+			if (action === 'add') {
+				return participantIds.map(id => addParticipant(group, id));
+			}
+			return participantIds.map((id) => {
+				const participant = group.participants.find(entry => entry.id === id);
+				if (!participant) {
+					return { id, success: false, code: 404, message: 'Not a participant' };
+				}
+				if (action === 'remove') {
+					group.participants = group.participants.filter(entry => entry !== participant);
+				} else {
+					participant.isAdmin = action === 'promote';
+				}
+				return { id, success: true, code: 200, message: null };
+			});
+		},
+
+		updateGroup: async (groupId, { subject, description }) => {
+			assertConnected();
+			const group = getGroup(groupId);
+			if (subject !== undefined) group.name = subject;
+			if (description !== undefined) group.description = description || null;
+			return true;
+		},
+
+		getGroupInviteCode: async (groupId, revoke = false) => {
+			assertConnected();
+			const group = getGroup(groupId);
+			if (revoke) group.inviteCode = crypto.randomBytes(11).toString('base64url');
+			return group.inviteCode;
+		},
+
+		getChats: async () => {
+			assertConnected();
+			return Array.from(chats.values())
+				.map(toChat)
+				.sort((a, b) => b.timestamp - a.timestamp);
+		},
+
+		getChatMessages: async (chatId, limit) => {
+			assertConnected();
+			if (!chats.has(chatId)) return null;
+			return chats.get(chatId).messages.slice(-limit).map(message => ({ ...message }));
+		},
+
+		getMessageMedia: async (messageId) => {
+			assertConnected();
+			return mediaById.get(messageId) || null;
+		},
+
+		markChatRead: async (chatId) => {
+			assertConnected();
+			if (!chats.has(chatId)) return false;
+			chats.get(chatId).unreadCount = 0;
+			return true;
+		},
+
+		// Simulator controls
+
+		scan,
+
+		/**
+		 * Drop the connection, logout reasons also unlink the unit
+		 * @param {string} reason Disconnect reason
+		 */
+		disconnect: (reason = 'SIMULATED') => {
+			assertConnected();
+			state = 'DISCONNECTED';
+			if (LOGOUT_REASONS.includes(reason)) {
+				linkedUnits.delete(unitId);
+			}
+			transport.emit('disconnected', reason);
+		},
+
+		/**
+		 * Deliver an inbound message, group messages name their sender as author
+		 * @param {Object} message { from, author, body, type, media } with media as { mimetype, data, filename }
+		 * @returns {Object} Message
+		 */
+		receive: ({ from, author, body, type, media }) => {
+			assertConnected();
+			const toChatId = number => (number.includes('@') ? number : `${number}@c.us`);
+			const message = {
+				...createMessage({ fromMe: false, remote: toChatId(from), type: type || (media ? 'image' : 'chat'), body, hasMedia: Boolean(media) }),
+				author: author ? toChatId(author) : null
+			};
+			recordMessage(message, media);
+			transport.emit('message', message);
+			return message;
+		},
+
+		/**
+		 * Change the behaviour of this unit
+		 * @param {Object} changes Any of login, delay, ack, unregistered, business, failureRate, failNext, state
+		 */
+		configure: (changes) => {
+			Object.keys(behaviour)
+				.filter(key => changes[key] !== undefined)
+				.forEach((key) => { behaviour[key] = changes[key]; });
+		},
+
+		/**
+		 * Describe the simulated connection
+		 * @returns {Object} { state, whatsappNumber, behaviour, sent }
+		 */
+		inspect: () => ({ state, whatsappNumber, behaviour: { ...behaviour }, sent: sent.map(entry => ({ ...entry })) })
+	});
+};
+
+module.exports = {
+	ACKS,
+	HANG,
+	createTransport,
+	hasCredentials
+};
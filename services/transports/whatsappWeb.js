@@ -0,0 +1,315 @@
+const { EventEmitter } = require('events');
+const { Client, LocalAuth, MessageMedia, Location, Poll } = require('whatsapp-web.js');
+const path = require('path');
+const fs = require('fs');
+const config = require('../../config');
+const { serializeMessage, serializeGroupNotification } = require('../../utils/helpers');
+
+// Client events passed on unchanged
+const FORWARDED_EVENTS = ['qr', 'authenticated', 'disconnected'];
+
+/**
+ * Check whether a unit has stored WhatsApp credentials (LocalAuth profile)
+ * @param {string} unitId Unique identifier for the session
+ * @returns {boolean}
+ */
+const hasCredentials = (unitId) => {
+	return fs.existsSync(path.join(config.whatsapp.dataPath, unitId, 'session'));
+};
+
+/**
+ * Describe a sent message
+ * @param {Object} message whatsapp-web.js Message instance
+ * @returns {Object} { id, serializedId }
+ */
+const toSentMessage = (message) => ({
+	id: message?.id?.id || null,
+	serializedId: message?.id?._serialized || null
+});
+
+// GroupChat methods of the participant actions other than add, which reports per participant
+const PARTICIPANT_METHODS = {
+	remove: 'removeParticipants',
+	promote: 'promoteParticipants',
+	demote: 'demoteParticipants'
+};
+
+/**
+ * Describe a group chat
+ * @param {Object} chat whatsapp-web.js GroupChat instance
+ * @param {string} ownId Chat ID of the session's own number
+ * @param {boolean} withParticipants Whether to list the participants
+ * @returns {Object} Group
+ */
+const toGroup = (chat, ownId, withParticipants) => {
+	const metadata = chat.groupMetadata || {};
+	const participants = metadata.participants || [];
+	const self = participants.find(participant => participant.id._serialized === ownId);
+	return {
+		id: chat.id._serialized,
+		name: chat.name,
+		description: metadata.desc || null,
+		owner: metadata.owner ? metadata.owner._serialized : null,
+		createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+		isAdmin: Boolean(self && self.isAdmin),
+		announce: Boolean(metadata.announce),
+		participantCount: participants.length,
+		...(withParticipants && {
+			participants: participants.map(participant => ({
+				id: participant.id._serialized,
+				isAdmin: Boolean(participant.isAdmin),
+				isSuperAdmin: Boolean(participant.isSuperAdmin)
+			}))
+		})
+	};
+};
+
+/**
+ * Describe a chat
+ * @param {Object} chat whatsapp-web.js Chat instance
+ * @returns {Object} Chat
+ */
+const toChat = (chat) => ({
+	id: chat.id._serialized,
+	name: chat.name || null,
+	isGroup: Boolean(chat.isGroup),
+	unreadCount: chat.unreadCount || 0,
+	archived: Boolean(chat.archived),
+	pinned: Boolean(chat.pinned),
+	muted: Boolean(chat.isMuted),
+	timestamp: chat.timestamp || null,
+	lastMessage: chat.lastMessage ? serializeMessage(chat.lastMessage) : null
+});
+
+/**
+ * Describe the result of adding a participant
+ * @param {string} id Participant chat ID
+ * @param {Object} result { code|statusCode, message, isInviteV4Sent }
+ * @returns {Object} { id, success, code, message, invited }
+ */
+const toParticipantResult = (id, result) => {
+	const code = result.code || result.statusCode;
+	return { id, success: code === 200, code, message: result.message || null, invited: Boolean(result.isInviteV4Sent) };
+};
+
+/**
+ * Create a transport running whatsapp-web.js in a headless Chromium, credentials are kept per unit in WA_DATA_PATH
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Object} Transport, see services/transports
+ */
+const createTransport = (unitId) => {
+	const transport = new EventEmitter();
+
+	const sessionPath = path.join(config.whatsapp.dataPath, unitId);
+	if (!fs.existsSync(sessionPath)) fs.mkdirSync(sessionPath, { recursive: true });
+
+	const client = new Client({
+		authStrategy: new LocalAuth({
+			dataPath: sessionPath,
+		}),
+		puppeteer: {
+			headless: true,
+			args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-gpu', '--disable-dev-shm-usage'],
+		},
+	});
+
+	FORWARDED_EVENTS.forEach((event) => {
+		client.on(event, (...args) => transport.emit(event, ...args));
+	});
+
+	client.on('auth_failure', (error) => {
+		// auth_failure passes the failure message as a string
+		transport.emit('auth_failure', error && error.message ? error.message : error);
+	});
+
+	client.on('ready', () => {
+		const { info } = client;
+		transport.emit('ready', info && info.wid ? info.wid.user : null);
+	});
+
+	client.on('message', (message) => {
+		transport.emit('message', serializeMessage(message));
+	});
+
+	client.on('message_create', (message) => {
+		transport.emit('message_create', serializeMessage(message));
+	});
+
+	client.on('message_ack', (message, ack) => {
+		transport.emit('message_ack', serializeMessage(message), ack);
+	});
+
+	client.on('group_join', (notification) => {
+		transport.emit('group_join', serializeGroupNotification(notification));
+	});
+
+	/**
+	 * Get a group chat the session is in
+	 * @param {string} groupId Group ID
+	 * @returns {Promise<Object|null>} whatsapp-web.js GroupChat or null
+	 */
+	const findGroupChat = async (groupId) => {
+		const chat = await client.getChatById(groupId).catch(() => null);
+		return chat && chat.isGroup ? chat : null;
+	};
+
+	/**
+	 * Get a group chat that has to exist
+	 * @param {string} groupId Group ID
+	 * @returns {Promise<Object>} whatsapp-web.js GroupChat
+	 */
+	const getGroupChat = async (groupId) => {
+		const chat = await findGroupChat(groupId);
+		if (!chat) throw new Error(`Group ${groupId} not found`);
+		return chat;
+	};
+
+	const ownId = () => (client.info ? client.info.wid._serialized : null);
+
+	/**
+	 * Report a crashed or closed browser as a disconnection, whatsapp-web.js does not
+	 */
+	const watchBrowser = () => {
+		if (client.pupBrowser) {
+			client.pupBrowser.on('disconnected', () => transport.emit('disconnected', 'BROWSER_CLOSED'));
+		}
+		if (client.pupPage) {
+			client.pupPage.on('error', () => transport.emit('disconnected', 'PAGE_CRASHED'));
+		}
+	};
+
+	return Object.assign(transport, {
+		name: 'whatsapp-web',
+
+		initialize: async () => {
+			await client.initialize();
+			watchBrowser();
+		},
+
+		destroy: () => client.destroy(),
+
+		getState: () => client.getState(),
+
+		requestPairingCode: (phone) => client.requestPairingCode(phone),
+
+		isRegisteredUser: (chatId) => client.isRegisteredUser(chatId),
+
+		getContactInfo: async (chatId) => {
+			if (!(await client.isRegisteredUser(chatId))) {
+				return { registered: false, name: null, isBusiness: null };
+			}
+			const contact = await client.getContactById(chatId);
+			return {
+				registered: true,
+				name: contact.verifiedName || contact.pushname || null,
+				isBusiness: Boolean(contact.isBusiness)
+			};
+		},
+
+		sendText: async (chatId, text) => {
+			return toSentMessage(await client.sendMessage(chatId, text));
+		},
+
+		sendMedia: async (chatId, media, { caption, asDocument, asSticker, asVoice, viewOnce } = {}) => {
+			const messageMedia = media.url
+				? await MessageMedia.fromUrl(media.url)
+				: new MessageMedia(media.mimetype, media.data, media.filename);
+			return toSentMessage(await client.sendMessage(chatId, messageMedia, {
+				caption: caption || '',
+				sendMediaAsDocument: Boolean(asDocument),
+				sendMediaAsSticker: Boolean(asSticker),
+				sendAudioAsVoice: Boolean(asVoice),
+				isViewOnce: Boolean(viewOnce)
+			}));
+		},
+
+		sendLocation: async (chatId, { latitude, longitude, name, address, url }) => {
+			return toSentMessage(await client.sendMessage(chatId, new Location(latitude, longitude, { name, address, url })));
+		},
+
+		// vCard text is turned into a contact card by whatsapp-web.js
+		sendContact: async (chatId, vcard) => {
+			return toSentMessage(await client.sendMessage(chatId, vcard, { parseVCards: true }));
+		},
+
+		sendPoll: async (chatId, { question, options, allowMultiple }) => {
+			return toSentMessage(await client.sendMessage(chatId, new Poll(question, options, { allowMultipleAnswers: Boolean(allowMultiple) })));
+		},
+
+		getGroups: async () => {
+			const chats = await client.getChats();
+			return chats.filter(chat => chat.isGroup).map(chat => toGroup(chat, ownId(), false));
+		},
+
+		getGroup: async (groupId) => {
+			const chat = await findGroupChat(groupId);
+			return chat ? toGroup(chat, ownId(), true) : null;
+		},
+
+		createGroup: async (name, participantIds) => {
+			const result = await client.createGroup(name, participantIds);
+			// Failures are reported as a message instead of being thrown
+			if (typeof result === 'string') throw new Error(result);
+			return {
+				id: result.gid._serialized,
+				name: result.title,
+				participants: Object.entries(result.participants || {}).map(([id, participant]) => toParticipantResult(id, participant))
+			};
+		},
+
+		updateParticipants: async (groupId, action, participantIds) => {
+			const chat = await getGroupChat(groupId);
+			if (action === 'add') {
+				const result = await chat.addParticipants(participantIds);
+				if (typeof result === 'string') throw new Error(result);
+				return participantIds.map(id => toParticipantResult(id, result[id] || { code: 400, message: 'No result' }));
+			}
+			const { status } = await chat[PARTICIPANT_METHODS[action]](participantIds);
+			return participantIds.map(id => ({ id, success: status === 200, code: status, message: null }));
+		},
+
+		updateGroup: async (groupId, { subject, description }) => {
+			const chat = await getGroupChat(groupId);
+			if (subject !== undefined && !(await chat.setSubject(subject))) return false;
+			if (description !== undefined && !(await chat.setDescription(description))) return false;
+			return true;
+		},
+
+		getGroupInviteCode: async (groupId, revoke = false) => {
+			const chat = await getGroupChat(groupId);
+			return revoke ? chat.revokeInvite() : chat.getInviteCode();
+		},
+
+		getChats: async () => {
+			const chats = await client.getChats();
+			return chats.map(toChat);
+		},
+
+		getChatMessages: async (chatId, limit) => {
+			const chat = await client.getChatById(chatId).catch(() => null);
+			if (!chat) return null;
+			const messages = await chat.fetchMessages({ limit });
+			return messages.map(serializeMessage);
+		},
+
+		getMessageMedia: async (messageId) => {
+			const message = await client.getMessageById(messageId);
+			if (!message || !message.hasMedia) return null;
+			// Media deleted from the phone or expired on the server cannot be downloaded any more
+			const media = await message.downloadMedia().catch(() => null);
+			return media ? { mimetype: media.mimetype, data: media.data, filename: media.filename || null } : null;
+		},
+
+		markChatRead: async (chatId) => {
+			const chat = await client.getChatById(chatId).catch(() => null);
+			if (!chat) return false;
+			await chat.sendSeen();
+			return true;
+		}
+	});
+};
+
+module.exports = {
+	createTransport,
+	hasCredentials
+};
@@ -0,0 +1,49 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getRedisClient } = require('../config/redis');
+
+const settingsKey = (unitId) => `wa:unit:${unitId}:settings`;
+
+/**
+ * Get the settings of a unit
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Promise<Object>} Settings, empty when none were saved
+ */
+const getUnitSettings = async (unitId) => {
+	const raw = await getRedisClient().get(settingsKey(unitId));
+	return raw ? JSON.parse(raw) : {};
+};
+
+/**
+ * Change settings of a unit
+ * @param {string} unitId Unique identifier for the session
+ * @param {Object} changes Settings to change, null values remove a setting
+ * @returns {Promise<Object>} Updated settings
+ */
+const updateUnitSettings = async (unitId, changes) => {
+	const settings = { ...(await getUnitSettings(unitId)), ...changes };
+	Object.keys(settings).forEach((key) => {
+		if (settings[key] === null || settings[key] === undefined) delete settings[key];
+	});
+	settings.updatedAt = new Date().toISOString();
+
+	await getRedisClient().set(settingsKey(unitId), JSON.stringify(settings));
+	logger.info(`Settings updated for unitId: ${unitId}`);
+	return settings;
+};
+
+/**
+ * Get the country used for national phone numbers of a unit
+ * @param {string} unitId Unique identifier for the session (optional)
+ * @returns {Promise<string|undefined>} ISO 3166-1 alpha-2 country or undefined when none is set
+ */
+const getDefaultCountry = async (unitId) => {
+	const settings = unitId ? await getUnitSettings(unitId) : {};
+	return settings.defaultCountry || config.phone.defaultCountry || undefined;
+};
+
+module.exports = {
+	getUnitSettings,
+	updateUnitSettings,
+	getDefaultCountry
+};
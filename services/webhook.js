@@ -0,0 +1,280 @@
+const Bull = require('bull');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { whatsappLogger } = require('../utils/logger');
+const { getRedisClient } = require('../config/redis');
+const { subscribe } = require('./events');
+const metricsService = require('./metrics');
+
+// Events that can be forwarded to a webhook receiver
+const WEBHOOK_EVENTS = [
+	'message',
+	'message_create',
+	'message_ack',
+	'group_join',
+	'qr',
+	'ready',
+	'authenticated',
+	'auth_failure',
+	'disconnected'
+];
+
+const redisOptions = {
+	host: config.redis.host,
+	port: config.redis.port,
+	db: config.redis.db
+};
+
+if (config.redis.password) {
+  	redisOptions.password = config.redis.password;
+}
+
+const configKey = (unitId) => `wa:webhook:${unitId}`;
+
+let deliveryQueue = null;
+let unsubscribe = null;
+
+/**
+ * Get webhook configuration for a unitId
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Promise<Object|null>} Webhook configuration or null if not set
+ */
+const getWebhook = async (unitId) => {
+	const raw = await getRedisClient().get(configKey(unitId));
+	return raw ? JSON.parse(raw) : null;
+};
+
+/**
+ * Create or replace webhook configuration for a unitId
+ * @param {string} unitId Unique identifier for the session
+ * @param {Object} options Webhook options
+ * @param {string} options.url Receiver URL
+ * @param {string} options.secret Secret used to sign payloads
+ * @param {Array<string>} options.events Events to forward, ['*'] for all
+ * @param {boolean} options.enabled Whether delivery is enabled
+ * @returns {Promise<Object>} Stored webhook configuration
+ */
+const setWebhook = async (unitId, { url, secret, events = ['*'], enabled = true }) => {
+	const existing = await getWebhook(unitId);
+	const webhook = {
+		unitId,
+		url,
+		secret,
+		events,
+		enabled,
+		createdAt: existing ? existing.createdAt : new Date().toISOString(),
+		updatedAt: new Date().toISOString()
+	};
+	await getRedisClient().set(configKey(unitId), JSON.stringify(webhook));
+	logger.info(`Webhook configured for unitId ${unitId}: ${url}`);
+	return webhook;
+};
+
+/**
+ * Delete webhook configuration for a unitId
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Promise<boolean>} Whether a configuration was removed
+ */
+const deleteWebhook = async (unitId) => {
+	const removed = await getRedisClient().del(configKey(unitId));
+	return removed > 0;
+};
+
+/**
+ * Sign a webhook body
+ * @param {string} secret Webhook secret
+ * @param {string} timestamp Delivery timestamp (unix seconds)
+ * @param {string} body Raw JSON body
+ * @returns {string} Signature header value
+ */
+const signPayload = (secret, timestamp, body) => {
+	const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+	return `sha256=${hmac}`;
+};
+
+/**
+ * Check whether a webhook wants a given event
+ * @param {Object} webhook Webhook configuration
+ * @param {string} event Event name
+ * @returns {boolean}
+ */
+const acceptsEvent = (webhook, event) => {
+	if (!webhook || !webhook.enabled) return false;
+	const events = webhook.events || ['*'];
+	return events.includes('*') || events.includes(event);
+};
+
+/**
+ * POST a payload to the configured receiver
+ * @param {Object} job Bull job
+ * @returns {Promise<Object>} Delivery result
+ */
+const deliver = async (job) => {
+	const { unitId, payload } = job.data;
+	const webhook = await getWebhook(unitId);
+
+	// Configuration removed or disabled after the event was queued
+	if (!webhook || !webhook.enabled) {
+		return { skipped: true };
+	}
+
+	const body = JSON.stringify(payload);
+	const timestamp = Math.floor(Date.now() / 1000).toString();
+	const headers = {
+		'Content-Type': 'application/json',
+		'User-Agent': 'whatsapp-bulk-sender-webhook',
+		'X-Webhook-Event': payload.event,
+		'X-Webhook-Delivery': payload.id,
+		'X-Webhook-Timestamp': timestamp
+	};
+	if (webhook.secret) {
+		headers['X-Webhook-Signature'] = signPayload(webhook.secret, timestamp, body);
+	}
+
+	const response = await fetch(webhook.url, {
+		method: 'POST',
+		headers,
+		body,
+		signal: AbortSignal.timeout(config.webhook.timeout)
+	});
+
+	if (!response.ok) {
+		throw new Error(`Webhook receiver responded with HTTP ${response.status}`);
+	}
+
+	return { status: response.status };
+};
+
+/**
+ * Get (or create) the webhook delivery queue
+ * @returns {Bull.Queue} Bull queue instance
+ */
+const getDeliveryQueue = () => {
+	if (deliveryQueue) {
+		return deliveryQueue;
+	}
+
+	deliveryQueue = new Bull('whatsapp-webhooks', {
+		redis: redisOptions,
+		defaultJobOptions: {
+			attempts: config.webhook.retryCount,
+			backoff: {
+				type: 'exponential',
+				delay: config.webhook.retryDelay
+			},
+			removeOnComplete: 100,
+			removeOnFail: 500
+		}
+	});
+
+	deliveryQueue.process(deliver);
+
+	deliveryQueue.on('completed', (job, result) => {
+		if (!result.skipped) {
+			metricsService.recordWebhookDelivery(job.data.unitId, 'delivered');
+		}
+	});
+
+	deliveryQueue.on('failed', (job, error) => {
+		const finalAttempt = job.attemptsMade >= job.opts.attempts;
+		metricsService.recordWebhookDelivery(job.data.unitId, finalAttempt ? 'failed' : 'retrying');
+		whatsappLogger.warn(`Webhook delivery ${job.data.payload.id} (${job.data.payload.event}) for unit_id ${job.data.unitId} failed${finalAttempt ? ' permanently' : ''}: ${error.message}`);
+	});
+
+	deliveryQueue.on('error', (error) => {
+		logger.error(`Webhook queue error: ${error.message}`);
+	});
+
+	return deliveryQueue;
+};
+
+/**
+ * Queue an event for delivery if the unit's webhook subscribes to it
+ * @param {string} unitId Unique identifier for the session
+ * @param {string} event Event name
+ * @param {Object} data Event payload
+ * @param {string} timestamp ISO timestamp of the event
+ * @returns {Promise<Object|null>} Queued delivery or null if not forwarded
+ */
+const dispatchEvent = async (unitId, event, data, timestamp = new Date().toISOString()) => {
+	const webhook = await getWebhook(unitId);
+	if (!acceptsEvent(webhook, event)) {
+		return null;
+	}
+
+	const payload = {
+		id: uuidv4(),
+		event,
+		unit_id: unitId,
+		timestamp,
+		data
+	};
+	await getDeliveryQueue().add({ unitId, payload }, { jobId: `webhook-${payload.id}` });
+	return { id: payload.id, event };
+};
+
+/**
+ * Start forwarding published events to webhooks
+ */
+const startWebhookDispatcher = () => {
+	if (unsubscribe) return;
+	getDeliveryQueue();
+	unsubscribe = subscribe(({ unitId, event, data, timestamp }) => {
+		if (!WEBHOOK_EVENTS.includes(event)) return;
+		dispatchEvent(unitId, event, data, timestamp).catch((error) => {
+			logger.error(`Failed to queue webhook event ${event} for unit_id ${unitId}: ${error.message}`);
+		});
+	});
+	logger.info('Webhook dispatcher started');
+};
+
+/**
+ * Stop forwarding events and close the delivery queue, pending deliveries stay in Redis
+ * @returns {Promise<void>}
+ */
+const stopWebhookDispatcher = async () => {
+	if (unsubscribe) {
+		unsubscribe();
+		unsubscribe = null;
+	}
+	if (deliveryQueue) {
+		await deliveryQueue.close();
+		deliveryQueue = null;
+	}
+	logger.info('Webhook dispatcher stopped');
+};
+
+/**
+ * Send a test event to the unit's webhook
+ * @param {string} unitId Unique identifier for the session
+ * @returns {Promise<Object|null>} Queued delivery or null if no webhook configured
+ */
+const sendTestEvent = async (unitId) => {
+	const webhook = await getWebhook(unitId);
+	if (!webhook) {
+		return null;
+	}
+	const payload = {
+		id: uuidv4(),
+		event: 'webhook_test',
+		unit_id: unitId,
+		timestamp: new Date().toISOString(),
+		data: { message: 'Webhook test event' }
+	};
+	await getDeliveryQueue().add({ unitId, payload }, { jobId: `webhook-${payload.id}` });
+	return { id: payload.id, event: payload.event };
+};
+
+module.exports = {
+	WEBHOOK_EVENTS,
+	getWebhook,
+	setWebhook,
+	deleteWebhook,
+	dispatchEvent,
+	sendTestEvent,
+	signPayload,
+	startWebhookDispatcher,
+	stopWebhookDispatcher
+};
@@ -1,14 +1,51 @@
-const { MessageMedia } = require('whatsapp-web.js');
 const fs = require('fs').promises;
 const path = require('path');
 const { whatsappLogger } = require('../utils/logger');
 const sessionService = require('./session');
-const { validatePhoneNumber, formatError,getMimeType } = require('../utils/helpers');
+const contactService = require('./contacts');
+const { validatePhoneNumber, isGroupId, buildVCard, formatError,getMimeType } = require('../utils/helpers');
+
+/**
+ * Load media for a transport: URLs are passed on, files are read as base64
+ * @param {string|Object} content URL, file path or uploaded file ({ path })
+ * @param {string} label Media, Document, Sticker or Voice note, for error messages
+ * @returns {Promise<Object>} { url } or { mimetype, data, filename }
+ */
+const loadMedia = async (content, label) => {
+	if (typeof content === 'string' && content.startsWith('http')) {
+		whatsappLogger.info(`Loading ${label.toLowerCase()} from URL: ${content}`);
+		return { url: content };
+	}
+
+	const filePath = path.resolve(content.path || content);
+	if (!(await fs.access(filePath).then(() => true).catch(() => false))) {
+		throw new Error(`${label} file not found: ${filePath}`);
+	}
+	const fileName = path.basename(filePath);
+	whatsappLogger.debug(`Loading ${label.toLowerCase()} from file: ${fileName}`);
+	return {
+		mimetype: getMimeType(filePath),
+		data: await fs.readFile(filePath, {encoding: 'base64'}),
+		filename: fileName
+	};
+};
+
+/**
+ * Remove an uploaded temporary file once sent
+ * @param {string|Object} content Media content
+ * @param {string} label Media, Document, Sticker or Voice note, for error messages
+ * @returns {Promise<void>}
+ */
+const cleanupUpload = async (content, label) => {
+	if (content && content.path) {
+		await fs.unlink(content.path).catch(err => whatsappLogger.error(`Failed to cleanup ${label.toLowerCase()}: ${err.message}`));
+	}
+};
 
 /**
  * Send a message to a recipient
  * @param {string} unitId Unique identifier for the session
- * @param {string} recipient Recipient phone number
+ * @param {string} recipient Recipient phone number or group ID
  * @param {Object} messageContent Processed message content
  * @returns {Promise<Object>} Result of the send operation
  */
@@ -18,24 +55,25 @@ const sendMessage = async (unitId, recipient, messageContent) => {
 		throw new Error(`WhatsApp session ${unitId} is not ready`);
 	}
 
-	// Get WhatsApp client
-	const client = sessionService.getClientByUnitId(unitId);
-	if (!client) {
+	// Get the transport of the session
+	const transport = sessionService.getTransportByUnitId(unitId);
+	if (!transport) {
 		throw new Error(`No WhatsApp client found for unitId: ${unitId}`);
 	}
 
-	// Validate phone number
-	const formattedNumber = validatePhoneNumber(recipient);
+	// Groups are addressed by their ID, phone numbers are validated
+	const isGroup = isGroupId(recipient);
+	const formattedNumber = isGroup ? recipient : validatePhoneNumber(recipient);
 	if (!formattedNumber) {
 		throw new Error(`Invalid phone number: ${recipient}`);
 	}
 
 	// Format the recipient with WhatsApp ID format
-	const chatId = `${formattedNumber}@c.us`;
+	const chatId = isGroup ? recipient : `${formattedNumber}@c.us`;
 
 	try {
-		// Check if the contact exists on WhatsApp
-		const isRegistered = await client.isRegisteredUser(chatId);
+		// Check if the contact exists on WhatsApp, reusing recent contact checks
+		const isRegistered = isGroup || await contactService.isRegistered(transport, formattedNumber);
 		if (!isRegistered) {
 			whatsappLogger.warn(`Phone number ${formattedNumber} is not registered on WhatsApp`);
 			return {
@@ -50,50 +88,20 @@ const sendMessage = async (unitId, recipient, messageContent) => {
 
 		// Send text message if present
 		if (messageContent.hasText) {
-			result = await client.sendMessage(chatId, messageContent.content.text);
+			result = await transport.sendText(chatId, messageContent.content.text);
 			whatsappLogger.info(`Sent text message to ${formattedNumber} from unitId: ${unitId}`);
 		}
 
 		// Send media message if present
 		if (messageContent.hasMedia) {
-			let media;			
 			try {
 				const mediaContent = messageContent.content.media;
-
-				if(typeof mediaContent === 'string' && mediaContent.startsWith('http')) {
-					media = await MessageMedia.fromUrl(mediaContent);
-					whatsappLogger.info(`Loading media URL from ${mediaContent}`);
-				}else{
-					const filePath = path.resolve(mediaContent.path || mediaContent);          
-					if (await fs.access(filePath).then(() => true).catch(() => false)) {
-						const mimeType = getMimeType(filePath);
-						const base64Data = await fs.readFile(filePath, {encoding: 'base64'});
-						const fileName = path.basename(filePath);
-						
-						media = new MessageMedia(mimeType, base64Data, fileName);
-						whatsappLogger.debug(`Loading media from file: ${fileName}`);
-					} else {
-						throw new Error(`Media file not found: ${filePath}`);
-					}
-				}
-
-				if (!media) {
-					throw new Error('Invalid media content provided');
-				}
-
-				// Send media message
-				result = await client.sendMessage(chatId, media, {
-					caption: messageContent.content.caption || '',
-					sendMediaAsDocument: false
+				result = await transport.sendMedia(chatId, await loadMedia(mediaContent, 'Media'), {
+					caption: messageContent.content.caption,
+					viewOnce: messageContent.content.viewOnce
 				});
-
-				// Cleanup temp file if it exists
-				if (mediaContent.path) {
-					await fs.unlink(mediaContent.path).catch(err => whatsappLogger.error(`Failed to cleanup media: ${err.message}`));
-				}
-
+				await cleanupUpload(mediaContent, 'Media');
 				whatsappLogger.info(`Sent media message to ${formattedNumber} from unitId: ${unitId}`);
-
 			} catch (error) {
 				whatsappLogger.error(`Failed to process media: ${error.message}`);
 				throw error;
@@ -102,43 +110,13 @@ const sendMessage = async (unitId, recipient, messageContent) => {
 
 		// Send document if present
 		if (messageContent.hasDocument) {
-			let document;
 			try {
 				const docContent = messageContent.content.document;
-				
-				if (typeof docContent === 'string' && docContent.startsWith('http')) {
-					document = await MessageMedia.fromUrl(docContent);
-					whatsappLogger.debug(`Loading document from URL: ${docContent}`);
-				}else if (typeof docContent === 'string' || docContent.path) {
-					const filePath = path.resolve(docContent.path || docContent);
-					
-					if (await fs.access(filePath).then(() => true).catch(() => false)) {
-						const mimeType = getMimeType(filePath);
-						const base64Data = await fs.readFile(filePath, {encoding: 'base64'});
-						const fileName = path.basename(filePath);
-						
-						document = new MessageMedia(mimeType, base64Data, fileName);
-						whatsappLogger.debug(`Loading document from file: ${fileName}`);
-					} else {
-						throw new Error(`Document file not found: ${filePath}`);
-					}
-				}
-
-				if (!document) {
-					throw new Error('Invalid document content provided');
-				}
-
-				// Send document message
-				result = await client.sendMessage(chatId, document, {
-					caption: messageContent.content.caption || '',
-					sendMediaAsDocument: true
+				result = await transport.sendMedia(chatId, await loadMedia(docContent, 'Document'), {
+					caption: messageContent.content.caption,
+					asDocument: true
 				});
-
-				// Cleanup temp file if it exists
-				if (docContent.path) {
-					await fs.unlink(docContent.path).catch(err => whatsappLogger.error(`Failed to cleanup document: ${err.message}`));
-				}
-
+				await cleanupUpload(docContent, 'Document');
 				whatsappLogger.info(`Sent document message to ${formattedNumber} from unitId: ${unitId}`);
 			} catch (error) {
 				whatsappLogger.error(`Failed to process document: ${error.message}`);
@@ -146,10 +124,55 @@ const sendMessage = async (unitId, recipient, messageContent) => {
 			}
 		}
 
+		// Send image as sticker if present
+		if (messageContent.hasSticker) {
+			try {
+				const stickerContent = messageContent.content.sticker;
+				result = await transport.sendMedia(chatId, await loadMedia(stickerContent, 'Sticker'), { asSticker: true });
+				await cleanupUpload(stickerContent, 'Sticker');
+				whatsappLogger.info(`Sent sticker to ${formattedNumber} from unitId: ${unitId}`);
+			} catch (error) {
+				whatsappLogger.error(`Failed to process sticker: ${error.message}`);
+				throw error;
+			}
+		}
+
+		// Send audio as voice note if present
+		if (messageContent.hasVoice) {
+			try {
+				const voiceContent = messageContent.content.voice;
+				result = await transport.sendMedia(chatId, await loadMedia(voiceContent, 'Voice note'), { asVoice: true });
+				await cleanupUpload(voiceContent, 'Voice note');
+				whatsappLogger.info(`Sent voice note to ${formattedNumber} from unitId: ${unitId}`);
+			} catch (error) {
+				whatsappLogger.error(`Failed to process voice note: ${error.message}`);
+				throw error;
+			}
+		}
+
+		// Send location pin if present
+		if (messageContent.hasLocation) {
+			result = await transport.sendLocation(chatId, messageContent.content.location);
+			whatsappLogger.info(`Sent location to ${formattedNumber} from unitId: ${unitId}`);
+		}
+
+		// Send contact card if present
+		if (messageContent.hasContact) {
+			result = await transport.sendContact(chatId, buildVCard(messageContent.content.contact));
+			whatsappLogger.info(`Sent contact card to ${formattedNumber} from unitId: ${unitId}`);
+		}
+
+		// Send poll if present
+		if (messageContent.hasPoll) {
+			result = await transport.sendPoll(chatId, messageContent.content.poll);
+			whatsappLogger.info(`Sent poll to ${formattedNumber} from unitId: ${unitId}`);
+		}
+
 		return {
 			success: true,
 			recipient: formattedNumber,
-			messageId: result?.id?.id || null
+			messageId: result ? result.id : null,
+			serializedId: result ? result.serializedId : null
 		};
 	} catch (error) {
 		whatsappLogger.error(`Error sending message to ${formattedNumber} from unitId ${unitId}: ${formatError(error)}`);
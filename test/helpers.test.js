@@ -0,0 +1,58 @@
+// Unit tests of the pure helpers, no Redis or WhatsApp session needed.
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { normalizePhoneNumber, validatePhoneNumber, parseList } = require('../utils/helpers');
+
+describe('normalizePhoneNumber', () => {
+	test('keeps international numbers written with +, 00 or without prefix', () => {
+		for (const input of ['+1 415 555 0123', '0014155550123', '14155550123']) {
+			assert.deepStrictEqual(normalizePhoneNumber(input, 'ID'), {
+				valid: true,
+				phone: '14155550123',
+				e164: '+14155550123',
+				country: 'US'
+			}, input);
+		}
+	});
+
+	test('does not turn a foreign number into a national one of the default country', () => {
+		assert.strictEqual(validatePhoneNumber('14155550123', 'ID'), '14155550123');
+		assert.strictEqual(validatePhoneNumber('6281234567890', 'US'), '6281234567890');
+	});
+
+	test('reads numbers starting with the trunk prefix as national', () => {
+		assert.strictEqual(validatePhoneNumber('0812-3456-7890', 'ID'), '6281234567890');
+		assert.strictEqual(validatePhoneNumber('1 (415) 555-0123', 'US'), '14155550123');
+	});
+
+	test('falls back to the national reading when the international one is not valid', () => {
+		assert.strictEqual(validatePhoneNumber('4155550123', 'US'), '14155550123');
+	});
+
+	test('treats WhatsApp IDs as international', () => {
+		assert.strictEqual(validatePhoneNumber('14155550123@c.us', 'ID'), '14155550123');
+		assert.strictEqual(validatePhoneNumber('6281234567890@c.us', 'US'), '6281234567890');
+	});
+
+	test('rejects national numbers without a default country', () => {
+		assert.strictEqual(normalizePhoneNumber('081234567890').reason, 'invalid_country');
+	});
+
+	test('reports why a number is rejected', () => {
+		assert.strictEqual(normalizePhoneNumber('').reason, 'missing');
+		assert.strictEqual(normalizePhoneNumber('call me').reason, 'not_a_number');
+		assert.strictEqual(normalizePhoneNumber('0812', 'ID').reason, 'too_short');
+	});
+});
+
+describe('parseList', () => {
+	test('splits comma separated strings and trims arrays into distinct values', () => {
+		assert.deepStrictEqual(parseList(' a, b,,a '), ['a', 'b']);
+		assert.deepStrictEqual(parseList(['x ', 1, '', 'x']), ['x', '1']);
+	});
+
+	test('returns an empty list for values that are not lists', () => {
+		assert.deepStrictEqual(parseList(undefined), []);
+		assert.deepStrictEqual(parseList({ a: 1 }), []);
+	});
+});
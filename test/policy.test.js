@@ -0,0 +1,61 @@
+// Unit tests of sending windows and daily limits, no Redis needed.
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { isWithinWindow, nextWindowStart, getDailyLimit } = require('../services/policy');
+
+// 2024-05-06 is a Monday
+const officeHours = { timezone: 'Asia/Jakarta', window: { start: '08:00', end: '17:30', days: [1, 2, 3, 4, 5] } };
+const nightShift = { timezone: 'UTC', window: { start: '22:00', end: '06:00' } };
+
+describe('isWithinWindow', () => {
+	test('uses the policy timezone and an exclusive end', () => {
+		assert.strictEqual(isWithinWindow(new Date('2024-05-06T01:00:00Z'), officeHours), true); // 08:00 WIB
+		assert.strictEqual(isWithinWindow(new Date('2024-05-06T10:29:00Z'), officeHours), true); // 17:29 WIB
+		assert.strictEqual(isWithinWindow(new Date('2024-05-06T10:30:00Z'), officeHours), false); // 17:30 WIB
+	});
+
+	test('skips weekdays outside the window', () => {
+		assert.strictEqual(isWithinWindow(new Date('2024-05-05T03:00:00Z'), officeHours), false); // Sunday 10:00 WIB
+	});
+
+	test('handles windows spanning midnight', () => {
+		assert.strictEqual(isWithinWindow(new Date('2024-05-06T23:00:00Z'), nightShift), true);
+		assert.strictEqual(isWithinWindow(new Date('2024-05-06T05:59:00Z'), nightShift), true);
+		assert.strictEqual(isWithinWindow(new Date('2024-05-06T12:00:00Z'), nightShift), false);
+	});
+
+	test('allows any time without a window', () => {
+		assert.strictEqual(isWithinWindow(new Date('2024-05-05T03:00:00Z'), { timezone: 'UTC' }), true);
+	});
+});
+
+describe('nextWindowStart', () => {
+	test('returns the date itself inside the window', () => {
+		const date = new Date('2024-05-06T03:00:00Z');
+		assert.strictEqual(nextWindowStart(date, officeHours), date);
+	});
+
+	test('moves after the window to the next open day', () => {
+		// Friday 18:00 WIB opens again on Monday 08:00 WIB
+		assert.strictEqual(nextWindowStart(new Date('2024-05-10T11:00:00Z'), officeHours).toISOString(), '2024-05-13T01:00:00.000Z');
+	});
+
+	test('returns null when the window never opens', () => {
+		const closed = { timezone: 'UTC', window: { start: '08:00', end: '17:00', days: [] } };
+		assert.strictEqual(nextWindowStart(new Date('2024-05-06T03:00:00Z'), closed), null);
+	});
+});
+
+describe('getDailyLimit', () => {
+	const warmup = { enabled: true, startedAt: '2024-05-01T00:00:00Z', initialDaily: 20, dailyIncrement: 10 };
+
+	test('raises the warm-up limit every day, capped by perDay', () => {
+		assert.strictEqual(getDailyLimit({ limits: { perDay: 100 }, warmup }, new Date('2024-05-01T12:00:00Z')), 20);
+		assert.strictEqual(getDailyLimit({ limits: { perDay: 100 }, warmup }, new Date('2024-05-04T12:00:00Z')), 50);
+		assert.strictEqual(getDailyLimit({ limits: { perDay: 100 }, warmup }, new Date('2024-06-01T12:00:00Z')), 100);
+	});
+
+	test('is unlimited without perDay or warm-up', () => {
+		assert.strictEqual(getDailyLimit({ limits: { perHour: 10 } }, new Date()), null);
+	});
+});
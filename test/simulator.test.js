@@ -0,0 +1,94 @@
+// Sends a message end to end through the simulator transport: queue, send, acknowledgements and tracking.
+// Needs a Redis server, REDIS_HOST/REDIS_PORT/REDIS_DB select it (localhost:6379 by default);
+// it is skipped when none is reachable.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-test-'));
+Object.assign(process.env, {
+	WA_TRANSPORT: 'simulator',
+	WA_SIMULATOR_LOGIN: 'auto',
+	WA_SIMULATOR_DELAY: '20',
+	WA_SIMULATOR_ACK: 'read',
+	WA_SIMULATOR_FAILURE_RATE: '0',
+	WA_DATA_PATH: dataPath,
+	TEMP_MEDIA_PATH: dataPath,
+	MIN_MESSAGE_DELAY: '0',
+	MAX_MESSAGE_DELAY: '0'
+});
+
+const sessionService = require('../services/session');
+const queueService = require('../services/queue');
+const trackingService = require('../services/tracking');
+const config = require('../config');
+const { getRedisClient, closeRedisClient } = require('../config/redis');
+const { withTimeout } = require('../utils/helpers');
+
+// A unit of its own so runs do not pick up each other's jobs
+const unitId = `test-${process.pid}-${Date.now()}`;
+let redisError = null;
+
+/**
+ * Poll until a check returns a truthy value
+ * @param {Function} check Async function returning the awaited value
+ * @param {string} what Description used when the wait times out
+ * @param {number} timeout Timeout in milliseconds
+ * @returns {Promise<*>} Value returned by the check
+ */
+const waitFor = async (check, what, timeout = 10000) => {
+	const deadline = Date.now() + timeout;
+	while (Date.now() < deadline) {
+		const value = await check();
+		if (value) return value;
+		await new Promise(resolve => setTimeout(resolve, 50));
+	}
+	throw new Error(`Timed out waiting for ${what}`);
+};
+
+before(async () => {
+	try {
+		await withTimeout(getRedisClient().ping(), 5000);
+	} catch (error) {
+		// Stop reconnecting so the run ends instead of hanging
+		getRedisClient().disconnect();
+		redisError = `Redis is not reachable at ${config.redis.host}:${config.redis.port}: ${error.message}`;
+		return;
+	}
+	trackingService.startAckTracking();
+	queueService.startQueueProcessing();
+	await sessionService.createSession(unitId);
+	await waitFor(() => sessionService.isSessionReady(unitId), `session ${unitId} to be ready`);
+});
+
+after(async () => {
+	fs.rmSync(dataPath, { recursive: true, force: true });
+	if (redisError) return;
+	await queueService.closeAllQueues();
+	await sessionService.deleteSession(unitId);
+	await closeRedisClient();
+});
+
+test('a queued message is sent and tracked up to its read acknowledgement', async (t) => {
+	if (redisError) {
+		t.skip(redisError);
+		return;
+	}
+	const result = await queueService.queueMessage(unitId, ['6281234567890'], { text: 'Hello from the simulator' });
+	assert.strictEqual(result.jobCount, 1);
+	const [{ id: jobId }] = result.jobs;
+
+	const record = await waitFor(async () => {
+		const status = await trackingService.getJobStatus(jobId);
+		return status && status.status === 'read' ? status : null;
+	}, `job ${jobId} to be read`);
+
+	assert.ok(record.messageId, 'the message ID of the sent message is recorded');
+	assert.strictEqual(record.ack, 3);
+	assert.deepStrictEqual(
+		record.history.map(entry => entry.status),
+		['queued', 'pending', 'sent', 'delivered', 'read']
+	);
+});
@@ -0,0 +1,33 @@
+// Unit tests of template placeholders, no Redis needed.
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { extractPlaceholders, findMissingVariables, renderTemplate } = require('../services/template');
+
+describe('renderTemplate', () => {
+	test('replaces placeholders, including nested paths and spaces inside the braces', () => {
+		const text = 'Hi {{ name }}, invoice {{invoice.number}} is due on {{invoice.due_date}}';
+		const variables = { name: 'Budi', invoice: { number: 17, due_date: '2024-05-01' } };
+		assert.strictEqual(renderTemplate(text, variables), 'Hi Budi, invoice 17 is due on 2024-05-01');
+	});
+
+	test('renders missing values as empty text', () => {
+		assert.strictEqual(renderTemplate('Hi {{name}}!', {}), 'Hi !');
+		assert.strictEqual(renderTemplate('Hi {{name}}!', { name: null }), 'Hi !');
+	});
+
+	test('leaves text without placeholders and non-text values alone', () => {
+		assert.strictEqual(renderTemplate('Hello', { name: 'Budi' }), 'Hello');
+		assert.strictEqual(renderTemplate(undefined, { name: 'Budi' }), undefined);
+	});
+});
+
+describe('placeholders', () => {
+	test('lists each placeholder once', () => {
+		assert.deepStrictEqual(extractPlaceholders('{{name}} {{ name }} {{invoice.total}}'), ['name', 'invoice.total']);
+	});
+
+	test('reports placeholders without a usable value', () => {
+		const text = '{{name}} {{invoice}} {{invoice.total}} {{count}}';
+		assert.deepStrictEqual(findMissingVariables(text, { invoice: { total: 10 }, count: 0 }), ['name', 'invoice']);
+	});
+});
@@ -1,5 +1,17 @@
 const config = require('../config');
 const path = require('path');
+const { parsePhoneNumberFromString, validatePhoneNumberLength, isSupportedCountry, Metadata } = require('libphonenumber-js');
+
+// Rejection reasons of normalizePhoneNumber with their descriptions
+const PHONE_REJECTIONS = {
+	missing: 'Phone number is missing',
+	not_a_number: 'Not a phone number',
+	invalid_country: 'Country code is missing and no default country is set',
+	too_short: 'Too short for its country',
+	too_long: 'Too long for its country',
+	invalid_length: 'Length is not valid for its country',
+	invalid_number: 'Not a valid number for its country'
+};
 
 /**
  * Generate a random delay within the specified range
@@ -11,20 +23,118 @@ const getRandomDelay = () => {
 	return Math.floor(Math.random() * (max - min + 1) + min);
 };
 
+/**
+ * Build a phone number rejection
+ * @param {string} input Phone number as given
+ * @param {string} reason Key of PHONE_REJECTIONS
+ * @returns {Object} { valid: false, input, reason, message }
+ */
+const rejectPhoneNumber = (input, reason) => ({
+	valid: false,
+	input,
+	reason,
+	message: PHONE_REJECTIONS[reason]
+});
+
+/**
+ * Get the national (trunk) prefix of a country, e.g. 0 for ID or 1 for US
+ * @param {string} country ISO 3166-1 alpha-2 country
+ * @returns {string|null} Prefix or null if the country has none
+ */
+const getNationalPrefix = (country) => {
+	if (!country || !isSupportedCountry(country)) return null;
+	const metadata = new Metadata();
+	metadata.selectNumberingPlan(country);
+	return metadata.numberingPlan.nationalPrefix() || null;
+};
+
+/**
+ * Normalize a phone number to E.164
+ * Accepts international numbers (+62..., 0062..., 62... and WhatsApp IDs) and, with a default
+ * country, national numbers such as 0812...
+ * @param {string} phoneNumber Phone number to normalize
+ * @param {string} defaultCountry ISO 3166-1 alpha-2 country for national numbers (optional)
+ * @returns {Object} { valid: true, phone, e164, country } where phone is the E.164 number
+ * without "+", or a rejection { valid: false, input, reason, message }
+ */
+const normalizePhoneNumber = (phoneNumber, defaultCountry) => {
+	const input = phoneNumber === undefined || phoneNumber === null ? '' : String(phoneNumber).trim();
+	if (!input) return rejectPhoneNumber(input, 'missing');
+
+	// Accept WhatsApp IDs and the usual separators, nothing else
+	const text = input.replace(/@c\.us$/, '');
+	if (!/^\+?[\d\s().\-\/]+$/.test(text)) return rejectPhoneNumber(input, 'not_a_number');
+
+	let digits = text.replace(/\D/g, '');
+	// WhatsApp IDs always hold the international number
+	let international = text.startsWith('+') || text !== input;
+	if (!international && digits.startsWith('00')) {
+		digits = digits.slice(2);
+		international = true;
+	}
+
+	// Numbers without a prefix are read as international without "+", and as national only when that
+	// is not a valid number or they start with the trunk prefix of the default country (0812... in ID)
+	const internationalReading = international || !digits.startsWith('0') ? [`+${digits}`] : null;
+	const nationalReading = !international && defaultCountry ? [digits, defaultCountry] : null;
+	const nationalPrefix = getNationalPrefix(defaultCountry);
+	const nationalFirst = nationalPrefix !== null && digits.startsWith(nationalPrefix);
+	const candidates = (nationalFirst ? [nationalReading, internationalReading] : [internationalReading, nationalReading])
+		.filter(Boolean);
+	if (candidates.length === 0) return rejectPhoneNumber(input, 'invalid_country');
+
+	for (const [candidate, country] of candidates) {
+		const parsed = parsePhoneNumberFromString(candidate, country);
+		if (parsed && parsed.isValid()) {
+			return {
+				valid: true,
+				phone: parsed.number.slice(1),
+				e164: parsed.number,
+				country: parsed.country || null
+			};
+		}
+	}
+
+	// Report the reading the number most likely was meant in
+	const lengthError = validatePhoneNumberLength(...(nationalReading || candidates[0]));
+	const reason = lengthError ? lengthError.toLowerCase() : 'invalid_number';
+	return rejectPhoneNumber(input, PHONE_REJECTIONS[reason] ? reason : 'invalid_number');
+};
+
 /**
  * Validate phone number format
  * @param {string} phoneNumber Phone number to validate
- * @returns {string|boolean} Formatted phone number or false if invalid
+ * @param {string} defaultCountry Country for national numbers (optional)
+ * @returns {string|boolean} E.164 number without "+" or false if invalid
  */
-const validatePhoneNumber = (phoneNumber) => {
-	// Remove any non-digit characters
-	const cleanNumber = phoneNumber.toString().replace(/\D/g, '');
-	
-	// Check if it's a valid number (simple validation)
-	if (cleanNumber.length < 10) return false;
-	
-	// Make sure the number has a country code
-	return cleanNumber;
+const validatePhoneNumber = (phoneNumber, defaultCountry) => {
+	const result = normalizePhoneNumber(phoneNumber, defaultCountry);
+	return result.valid ? result.phone : false;
+};
+
+// WhatsApp group IDs, e.g. 120363012345678901@g.us or the older 6281234567890-1600000000@g.us
+const GROUP_ID_PATTERN = /^\d+(-\d+)?@g\.us$/;
+
+/**
+ * Check whether a recipient is a WhatsApp group ID
+ * @param {string} recipient Recipient
+ * @returns {boolean}
+ */
+const isGroupId = (recipient) => typeof recipient === 'string' && GROUP_ID_PATTERN.test(recipient.trim());
+
+/**
+ * Normalize a message recipient: group IDs are kept, phone numbers are normalized to E.164
+ * @param {string} recipient Phone number or group ID
+ * @param {string} defaultCountry Country for national numbers (optional)
+ * @returns {Object} { valid: true, phone, group } where phone is the group ID or the E.164
+ * number without "+", or a rejection as returned by normalizePhoneNumber
+ */
+const normalizeRecipient = (recipient, defaultCountry) => {
+	if (isGroupId(recipient)) {
+		return { valid: true, phone: recipient.trim(), group: true };
+	}
+	const normalized = normalizePhoneNumber(recipient, defaultCountry);
+	return normalized.valid ? { ...normalized, group: false } : normalized;
 };
 
 /**
@@ -34,33 +144,86 @@ const validatePhoneNumber = (phoneNumber) => {
  */
 const processMessageContent = (message) => {
 	//console.log('Processing message content:', message);
+	// Media-only messages have no text
+	const text = typeof message.text === 'string' ? message.text.trim() : '';
 	const result = {
-		hasText: Boolean(message.text && message.text.trim()),
+		hasText: Boolean(text),
 		hasMedia: Boolean(message.media),
 		hasDocument: Boolean(message.document),
+		hasSticker: Boolean(message.sticker),
+		hasVoice: Boolean(message.voice),
+		hasLocation: Boolean(message.location),
+		hasContact: Boolean(message.contact),
+		hasPoll: Boolean(message.poll),
 		content: {},
 	};
 
 	if (result.hasText && (!result.hasMedia && !result.hasDocument)) {
-	  	result.content.text = message.text.trim();
+	  	result.content.text = text;
 	}
 
 	if (result.hasMedia) {
 		result.hasText = false; // If media is present, text is not needed
 		result.content.media = message.media;
-		result.content.caption = message.text.trim() || '';
+		result.content.caption = text;
+		result.content.viewOnce = Boolean(message.viewOnce);
 	}
 
 	if (result.hasDocument) {
 		result.hasText = false; // If document is present, text is not needed
 		result.content.document = message.document;
 		result.content.documentFilename = message.documentFilename || 'document';
-		result.content.caption = message.text.trim() || '';
+		result.content.caption = text;
+	}
+
+	// Stickers, voice notes, locations, contact cards and polls take no caption, text is sent before them
+	if (result.hasSticker) {
+		result.content.sticker = message.sticker;
+	}
+
+	if (result.hasVoice) {
+		result.content.voice = message.voice;
+	}
+
+	if (result.hasLocation) {
+		result.content.location = message.location;
+	}
+
+	if (result.hasContact) {
+		result.content.contact = message.contact;
+	}
+
+	if (result.hasPoll) {
+		result.content.poll = message.poll;
 	}
 
 	return result;
 };
 
+/**
+ * Escape a vCard property value
+ * @param {string} value Property value
+ * @returns {string} Escaped value
+ */
+const escapeVCard = (value) => String(value).replace(/\\/g, '\\\\').replace(/([,;])/g, '\\$1').replace(/\r?\n/g, '\\n');
+
+/**
+ * Build the vCard of a contact card, the waid parameter links the card to the WhatsApp account
+ * @param {Object} contact { name, phone, organization, email }, phone being E.164 without "+"
+ * @returns {string} vCard 3.0 text
+ */
+const buildVCard = ({ name, phone, organization, email }) => {
+	return [
+		'BEGIN:VCARD',
+		'VERSION:3.0',
+		`FN:${escapeVCard(name)}`,
+		organization && `ORG:${escapeVCard(organization)}`,
+		`TEL;type=CELL;type=VOICE;waid=${phone}:+${phone}`,
+		email && `EMAIL:${escapeVCard(email)}`,
+		'END:VCARD'
+	].filter(Boolean).join('\n');
+};
+
 /**
  * Format error messages
  * @param {Error} error Error object
@@ -141,12 +304,129 @@ const getMimeType = (filePath) => {
 	return mimeTypes[ext] || 'application/octet-stream';
 };
 
+/**
+ * Parse an ISO 8601 timestamp that carries an explicit timezone
+ * @param {string} value Timestamp such as 2024-05-01T08:00:00+07:00
+ * @returns {Date|null} Parsed date or null if invalid or missing a timezone
+ */
+const parseTimestampWithTimezone = (value) => {
+	if (typeof value !== 'string') return null;
+	if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(value.trim())) {
+		return null;
+	}
+	const date = new Date(value.trim());
+	return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Build CSV text from a list of rows
+ * @param {Array<string>} headers Column names
+ * @param {Array<Array>} rows Row values, in header order
+ * @returns {string} CSV text
+ */
+const toCsv = (headers, rows) => {
+	const escape = (value) => {
+		if (value === undefined || value === null) return '';
+		const text = String(value);
+		return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	};
+	return [headers, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Convert a whatsapp-web.js message into a plain JSON object
+ * @param {Object} message whatsapp-web.js Message instance
+ * @returns {Object} Serializable message data
+ */
+const serializeMessage = (message) => {
+	return {
+		id: message.id ? message.id._serialized : null,
+		from: message.from,
+		to: message.to,
+		author: message.author || null,
+		fromMe: Boolean(message.fromMe),
+		type: message.type,
+		body: message.body,
+		hasMedia: Boolean(message.hasMedia),
+		ack: message.ack,
+		isForwarded: Boolean(message.isForwarded),
+		timestamp: message.timestamp
+	};
+};
+
+/**
+ * Convert a whatsapp-web.js group notification into a plain JSON object
+ * @param {Object} notification whatsapp-web.js GroupNotification instance
+ * @returns {Object} Serializable notification data
+ */
+const serializeGroupNotification = (notification) => {
+	return {
+		id: notification.id ? notification.id._serialized : null,
+		chatId: notification.chatId,
+		author: notification.author || null,
+		recipientIds: notification.recipientIds || [],
+		type: notification.type,
+		body: notification.body,
+		timestamp: notification.timestamp
+	};
+};
+
+/**
+ * Resolve a promise or reject once a timeout elapses
+ * @param {Promise} promise Promise to wait for
+ * @param {number} ms Timeout in milliseconds
+ * @returns {Promise}
+ */
+const withTimeout = (promise, ms) => {
+	let timer;
+	const timeout = new Promise((resolve, reject) => {
+		timer = setTimeout(() => reject(new Error(`No response within ${ms}ms`)), ms);
+	});
+	return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Normalize a list given as array or comma separated string
+ * @param {Array|string} value List value
+ * @returns {Array<string>} Trimmed distinct values, empty if not a list
+ */
+const parseList = (value) => {
+	if (typeof value === 'string') {
+		value = value.split(',');
+	}
+	if (!Array.isArray(value)) return [];
+	return [...new Set(value.map(item => String(item).trim()).filter(Boolean))];
+};
+
+/**
+ * Create an error carrying an HTTP status code, used by the error handler as response status
+ * @param {string} message Error message
+ * @param {number} statusCode HTTP status code
+ * @returns {Error}
+ */
+const createHttpError = (message, statusCode) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+};
+
 module.exports = {
 	getRandomDelay,
 	validatePhoneNumber,
+	normalizePhoneNumber,
+	isGroupId,
+	normalizeRecipient,
 	processMessageContent,
+	buildVCard,
 	formatError,
 	getErrorLocation,
 	getMimeTypeFromBase64,
-	getMimeType
+	getMimeType,
+	parseTimestampWithTimezone,
+	toCsv,
+	serializeMessage,
+	serializeGroupNotification,
+	withTimeout,
+	parseList,
+	createHttpError
 };
\ No newline at end of file
@@ -0,0 +1,197 @@
+const { authenticateToken } = require('../middlewares/auth');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const errorSchema = {
+	type: 'object',
+	properties: {
+		success: { type: 'boolean', const: false },
+		message: { type: 'string' }
+	}
+};
+
+const components = {
+	securitySchemes: {
+		ApiToken: { type: 'apiKey', in: 'header', name: 'x-api-token' }
+	},
+	schemas: {
+		Success: {
+			type: 'object',
+			properties: {
+				success: { type: 'boolean', const: true },
+				message: { type: 'string' },
+				data: {}
+			}
+		},
+		Error: errorSchema,
+		ValidationError: {
+			...errorSchema,
+			properties: {
+				...errorSchema.properties,
+				errors: {
+					type: 'array',
+					items: {
+						type: 'object',
+						properties: {
+							field: { type: 'string', description: 'Request part and path, e.g. body.recipients' },
+							message: { type: 'string' }
+						}
+					}
+				}
+			}
+		}
+	},
+	responses: {
+		Success: { description: 'Success', content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } } },
+		ValidationError: { description: 'Invalid request', content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } } },
+		Unauthorized: { description: 'Missing or invalid API token', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+		Forbidden: { description: 'API key lacks the permission or unit', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+	}
+};
+
+/**
+ * Convert an Express route path to an OpenAPI path (/:unitId becomes /{unitId})
+ * @param {string} path Express route path
+ * @returns {string} OpenAPI path
+ */
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}').replace(/\/$/, '') || '/';
+
+/**
+ * Describe route parameters or query string fields as OpenAPI parameters
+ * @param {string} location path or query
+ * @param {Object} schema JSON schema of the fields
+ * @returns {Array<Object>} OpenAPI parameters
+ */
+const toParameters = (location, schema) => {
+	const required = schema.required || [];
+	return Object.entries(schema.properties || {}).map(([name, { description, ...property }]) => ({
+		name,
+		in: location,
+		required: location === 'path' || required.includes(name),
+		...(description && { description }),
+		schema: property
+	}));
+};
+
+/**
+ * Describe the request body, uploads are sent as multipart/form-data
+ * @param {Object} schema Route schema
+ * @returns {Object} OpenAPI request body
+ */
+const toRequestBody = (schema) => {
+	const body = schema.body || { type: 'object', properties: {} };
+	const content = {};
+	const files = schema.files;
+
+	// Routes needing an upload do not take JSON
+	if (!files || !files.required) {
+		content['application/json'] = { schema: body };
+	}
+	if (files) {
+		const uploads = {};
+		Object.entries(files.properties).forEach(([name, file]) => {
+			uploads[name] = { type: 'string', format: 'binary', ...file };
+		});
+		content['multipart/form-data'] = {
+			schema: {
+				...body,
+				properties: { ...body.properties, ...uploads },
+				required: [...(body.required || []), ...(files.required || [])]
+			}
+		};
+	}
+	return { required: Boolean(body.required || (files && files.required)), content };
+};
+
+/**
+ * Describe a route from its validation schema and authorization middleware
+ * @param {Object} route Express route
+ * @param {string} tag Tag of the router
+ * @param {Object} access { authenticated, permission } applying to every route of the router, unless the route sets its own
+ * @returns {Object} OpenAPI operation
+ */
+const toOperation = (route, tag, access) => {
+	const handles = route.stack.map(layer => layer.handle);
+	const validator = handles.find(handle => handle.schema);
+	const authorizer = handles.find(handle => handle.permission);
+	const schema = validator ? validator.schema : {};
+	const permission = authorizer ? authorizer.permission : access.permission;
+	const authenticated = access.authenticated || handles.includes(authenticateToken);
+
+	const description = [schema.description, permission && `Requires the \`${permission}\` permission.`]
+		.filter(Boolean)
+		.join('\n\n');
+	const parameters = [
+		...(schema.params ? toParameters('path', schema.params) : []),
+		...(schema.query ? toParameters('query', schema.query) : [])
+	];
+
+	return {
+		tags: [tag],
+		...(schema.summary && { summary: schema.summary }),
+		...(description && { description }),
+		...(parameters.length > 0 && { parameters }),
+		...((schema.body || schema.files) && { requestBody: toRequestBody(schema) }),
+		security: authenticated ? [{ ApiToken: [] }] : [],
+		responses: {
+			'2XX': { $ref: '#/components/responses/Success' },
+			...(validator && (parameters.length > 0 || schema.body || schema.files) && {
+				400: { $ref: '#/components/responses/ValidationError' }
+			}),
+			...(authenticated && {
+				401: { $ref: '#/components/responses/Unauthorized' },
+				403: { $ref: '#/components/responses/Forbidden' }
+			})
+		}
+	};
+};
+
+/**
+ * Add the routes of a router to the OpenAPI paths
+ * @param {Object} paths OpenAPI paths
+ * @param {Object} section { path, router, name } mounted router
+ */
+const addRouterPaths = (paths, { path: prefix, router, name }) => {
+	const access = { authenticated: false, permission: null };
+
+	router.stack.forEach((layer) => {
+		// Router level middleware applies to the routes defined after it
+		if (!layer.route) {
+			if (layer.handle === authenticateToken) access.authenticated = true;
+			if (layer.handle.permission) access.permission = layer.handle.permission;
+			return;
+		}
+
+		const path = toOpenApiPath(`${prefix}${layer.route.path}`);
+		METHODS
+			.filter(method => layer.route.methods[method])
+			.forEach((method) => {
+				paths[path] = paths[path] || {};
+				paths[path][method] = toOperation(layer.route, name, access);
+			});
+	});
+};
+
+/**
+ * Build the OpenAPI document of the API from the route schemas
+ * @param {Object} info OpenAPI info (title, version, description)
+ * @param {Array<Object>} sections Mounted routers as { path, router, name, description }
+ * @returns {Object} OpenAPI 3.1 document
+ */
+const buildOpenApiDocument = (info, sections) => {
+	const paths = {};
+	sections.forEach(section => addRouterPaths(paths, section));
+
+	return {
+		openapi: '3.1.0',
+		info,
+		servers: [{ url: '/api' }],
+		tags: sections.map(({ name, description }) => ({ name, description })),
+		paths,
+		components
+	};
+};
+
+module.exports = {
+	buildOpenApiDocument
+};
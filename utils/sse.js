@@ -0,0 +1,60 @@
+// Comment sent regularly so proxies do not close idle streams
+const KEEP_ALIVE_INTERVAL = 15000;
+
+// Open streams, ended on shutdown so the HTTP server can close
+const streams = new Set();
+
+/**
+ * Turn a response into a Server-Sent Events stream
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} onClose Called once when the stream ends or the client goes away
+ * @returns {Object} { send(event, data), end() }
+ */
+const openEventStream = (req, res, onClose) => {
+	res.status(200).set({
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		Connection: 'keep-alive',
+		// Disable response buffering in nginx
+		'X-Accel-Buffering': 'no'
+	});
+	res.flushHeaders();
+
+	let closed = false;
+	const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+
+	const close = () => {
+		if (closed) return;
+		closed = true;
+		clearInterval(keepAlive);
+		streams.delete(stream);
+		if (onClose) onClose();
+	};
+	req.on('close', close);
+
+	const stream = {
+		send: (event, data) => {
+			if (closed) return;
+			res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+		},
+		end: () => {
+			close();
+			res.end();
+		}
+	};
+	streams.add(stream);
+	return stream;
+};
+
+/**
+ * End all open event streams
+ */
+const closeAllEventStreams = () => {
+	streams.forEach(stream => stream.end());
+};
+
+module.exports = {
+	openEventStream,
+	closeAllEventStreams
+};